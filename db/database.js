@@ -2,8 +2,25 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const crypto = require('crypto');
 const fs = require('fs');
-
-const DB_PATH = path.join(__dirname, 'judging.db');
+const scoring = require('../services/scoring');
+const venue = require('../services/venue');
+const judgeRequirements = require('../services/judge-requirements');
+const expertise = require('../services/expertise');
+const pairwise = require('../services/pairwise');
+const scoreHistory = require('../services/score-history');
+const tiebreakers = require('../services/tiebreakers');
+const liveUpdates = require('../services/live-updates');
+const resultsVisibility = require('../services/results-visibility');
+
+// DATABASE_PATH points tests (or a second instance) at another database file
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'judging.db');
+
+// Judge lock timeout bounds (minutes)
+const DEFAULT_LOCK_TIMEOUT_MINUTES = 15;
+const MAX_LOCK_TIMEOUT_MINUTES = 240;
+
+// Reasons a judge can give for skipping a queued team
+const SKIP_REASONS = ['absent', 'technical', 'conflict'];
 
 let db = null;
 
@@ -289,6 +306,40 @@ const createTables = () => {
         }
       });
 
+      // Rubric criteria table (admin-defined scoring criteria with weights and ranges)
+      db.run(`CREATE TABLE IF NOT EXISTS rubric_criteria (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        weight REAL NOT NULL DEFAULT 1,
+        min_score REAL NOT NULL DEFAULT 0,
+        max_score REAL NOT NULL DEFAULT 10,
+        display_order INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating rubric_criteria table:', err);
+        }
+      });
+
+      // Criterion scores table (one row per judge/team/round/criterion)
+      db.run(`CREATE TABLE IF NOT EXISTS criterion_scores (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        judge_email TEXT NOT NULL,
+        team_name TEXT NOT NULL,
+        round INTEGER NOT NULL,
+        criterion_id INTEGER NOT NULL,
+        score REAL NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(judge_email, team_name, round, criterion_id),
+        FOREIGN KEY (criterion_id) REFERENCES rubric_criteria(id) ON DELETE CASCADE
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating criterion_scores table:', err);
+        }
+      });
+
       // Judge team assignments (tracks which judges have judged which teams)
       db.run(`CREATE TABLE IF NOT EXISTS judge_team_assignments (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -305,6 +356,184 @@ const createTables = () => {
         }
         // Add locked_at column if it doesn't exist (migration)
         db.run(`ALTER TABLE judge_team_assignments ADD COLUMN locked_at DATETIME`, () => { });
+        // Autosaved score entry draft, kept only while the judge holds the team
+        db.run(`ALTER TABLE judge_team_assignments ADD COLUMN draft TEXT`, () => { });
+        db.run(`ALTER TABLE judge_team_assignments ADD COLUMN draft_saved_at DATETIME`, () => { });
+      });
+
+      // Skipped queue assignments (team not present, technical issue, conflict)
+      db.run(`CREATE TABLE IF NOT EXISTS team_skips (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        judge_email TEXT NOT NULL,
+        team_name TEXT NOT NULL,
+        round INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating team_skips table:', err);
+        }
+      });
+
+      // Score submissions already saved, by the submission id on the score form
+      // (offline submissions replayed by the service worker are only saved once)
+      db.run(`CREATE TABLE IF NOT EXISTS score_submissions (
+        submission_id TEXT PRIMARY KEY,
+        judge_email TEXT NOT NULL,
+        team_name TEXT NOT NULL,
+        round INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating score_submissions table:', err);
+        }
+      });
+
+      // Calibration round: sample projects every judge scores before live judging.
+      // Kept apart from scores so calibration never reaches results or the judging queue
+      db.run(`CREATE TABLE IF NOT EXISTS calibration_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        link TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating calibration_items table:', err);
+        }
+      });
+
+      // criteria holds the rubric criterion scores as JSON ({ [criterionId]: score })
+      db.run(`CREATE TABLE IF NOT EXISTS calibration_scores (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        judge_email TEXT NOT NULL,
+        item_id INTEGER NOT NULL,
+        score REAL NOT NULL,
+        notes TEXT,
+        criteria TEXT DEFAULT '{}',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(judge_email, item_id)
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating calibration_scores table:', err);
+        }
+      });
+
+      // Judge conflicts of interest (judges never get assigned a conflicted team)
+      db.run(`CREATE TABLE IF NOT EXISTS judge_conflicts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        judge_email TEXT NOT NULL,
+        team_name TEXT NOT NULL,
+        reason TEXT,
+        declared_by TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(judge_email, team_name)
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating judge_conflicts table:', err);
+        }
+      });
+
+      // Judge expertise table (divisions and categories a judge is qualified to judge)
+      db.run(`CREATE TABLE IF NOT EXISTS judge_expertise (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        judge_email TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(judge_email, kind, value)
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating judge_expertise table:', err);
+        }
+      });
+
+      // Pairwise comparisons: one row per team a judge visits in a pairwise round.
+      // winner_team_name says which of previous_team_name and team_name the judge preferred
+      // (both are NULL for a judge's first team of the round).
+      db.run(`CREATE TABLE IF NOT EXISTS pairwise_comparisons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        judge_email TEXT NOT NULL,
+        round INTEGER NOT NULL,
+        team_name TEXT NOT NULL,
+        table_name TEXT,
+        previous_team_name TEXT,
+        winner_team_name TEXT,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(judge_email, round, team_name)
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating pairwise_comparisons table:', err);
+        }
+      });
+
+      // Finalists: the teams still competing in a round. A round with no rows is open to every team.
+      db.run(`CREATE TABLE IF NOT EXISTS round_finalists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        round INTEGER NOT NULL,
+        team_name TEXT NOT NULL,
+        selected_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(round, team_name)
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating round_finalists table:', err);
+        }
+      });
+
+      // Score history: every create, edit and delete of a score, for resolving disputes
+      db.run(`CREATE TABLE IF NOT EXISTS score_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        judge_email TEXT NOT NULL,
+        team_name TEXT NOT NULL,
+        round INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        old_score REAL,
+        new_score REAL,
+        old_notes TEXT,
+        new_notes TEXT,
+        actor_email TEXT,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating score_history table:', err);
+        }
+      });
+
+      // Category and special awards beyond the division winners. divisions and categories hold the
+      // eligible division and category names as JSON (empty means every division or category)
+      db.run(`CREATE TABLE IF NOT EXISTS awards (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        sponsor TEXT,
+        divisions TEXT DEFAULT '[]',
+        categories TEXT DEFAULT '[]',
+        placements INTEGER DEFAULT 1,
+        announced INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating awards table:', err);
+        }
+      });
+
+      // The team placed at each of an award's placements
+      db.run(`CREATE TABLE IF NOT EXISTS award_winners (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        award_id INTEGER NOT NULL,
+        place INTEGER NOT NULL,
+        team_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(award_id, place)
+      )`, (err) => {
+        if (err) {
+          console.error('Error creating award_winners table:', err);
+        }
       });
 
       // Event settings table
@@ -333,6 +562,33 @@ const createTables = () => {
         db.run(`ALTER TABLE event_settings ADD COLUMN event_dates_text TEXT`, () => { });
         db.run(`ALTER TABLE event_settings ADD COLUMN judging_locked INTEGER DEFAULT 0`, () => { });
         db.run(`ALTER TABLE event_settings ADD COLUMN winners TEXT DEFAULT '{}'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN score_normalization TEXT DEFAULT 'raw'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN lock_timeout_minutes INTEGER DEFAULT 15`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN proximity_routing INTEGER DEFAULT 0`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN judges_per_team TEXT`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN expertise_matching TEXT DEFAULT 'off'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN judging_mode TEXT DEFAULT 'scores'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN round_judging_modes TEXT DEFAULT '{}'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN tiebreakers TEXT DEFAULT '[]'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN head_judge_order TEXT DEFAULT '{}'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN score_aggregation TEXT DEFAULT 'sum'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN round_weights TEXT DEFAULT '{}'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN feedback_released INTEGER DEFAULT 0`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN calibration_mode INTEGER DEFAULT 0`, () => { });
+        // Public results: 'hidden', 'live' or 'frozen' at results_frozen_at (UTC, like CURRENT_TIMESTAMP)
+        db.run(`ALTER TABLE event_settings ADD COLUMN public_results TEXT DEFAULT 'hidden'`, () => { });
+        db.run(`ALTER TABLE event_settings ADD COLUMN results_frozen_at TEXT`, () => { });
+        // Slide the awards ceremony is showing (the presenter view moves it, the stage view follows)
+        db.run(`ALTER TABLE event_settings ADD COLUMN ceremony_slide INTEGER DEFAULT 0`, () => { });
+        // Background image certificates are printed on (an upload in public/uploads)
+        db.run(`ALTER TABLE event_settings ADD COLUMN certificate_template TEXT`, () => { });
+        // Admin review of judge notes before they are released to teams
+        // (feedback_notes replaces the judge's notes when set; feedback_hidden withholds the note)
+        db.run(`ALTER TABLE scores ADD COLUMN feedback_notes TEXT`, () => { });
+        db.run(`ALTER TABLE scores ADD COLUMN feedback_hidden INTEGER DEFAULT 0`, () => { });
+        // Optional venue coordinates for proximity routing (grid names are used when unset)
+        db.run(`ALTER TABLE tables ADD COLUMN x REAL`, () => { });
+        db.run(`ALTER TABLE tables ADD COLUMN y REAL`, () => { });
 
         // Newsletter sends table (tracks newsletter sends to prevent duplicates)
         db.run(`CREATE TABLE IF NOT EXISTS newsletter_sends (
@@ -366,6 +622,9 @@ const createTables = () => {
       db.run(`CREATE INDEX IF NOT EXISTS idx_scores_team ON scores(team_name, round)`, () => { });
       db.run(`CREATE INDEX IF NOT EXISTS idx_scores_table ON scores(table_name, round)`, () => { });
       db.run(`CREATE INDEX IF NOT EXISTS idx_teams_table ON teams(table_name)`, () => { });
+      db.run(`CREATE INDEX IF NOT EXISTS idx_criterion_scores_score ON criterion_scores(judge_email, team_name, round)`, () => { });
+      db.run(`CREATE INDEX IF NOT EXISTS idx_judge_conflicts_team ON judge_conflicts(team_name)`, () => { });
+      db.run(`CREATE INDEX IF NOT EXISTS idx_team_skips_team ON team_skips(team_name, round)`, () => { });
       db.run(`CREATE INDEX IF NOT EXISTS idx_tokens_email ON magic_tokens(email, expires_at, used)`, () => {
         console.log('Database tables initialized');
         // Wait a bit for column migrations to complete, then initialize default admin
@@ -628,7 +887,10 @@ const markTokenAsUsed = (token) => {
 // Table operations
 const syncTables = (tables) => {
   return new Promise((resolve, reject) => {
-    const stmt = db.prepare('INSERT OR REPLACE INTO tables (name, updated_at) VALUES (?, datetime("now"))');
+    // Upsert so re-syncing a table keeps any venue coordinates set for it
+    const stmt = db.prepare(
+      'INSERT INTO tables (name, updated_at) VALUES (?, datetime("now")) ON CONFLICT(name) DO UPDATE SET updated_at = excluded.updated_at'
+    );
 
     tables.forEach(table => {
       stmt.run(table.name);
@@ -641,6 +903,20 @@ const syncTables = (tables) => {
   });
 };
 
+// Set or clear a table's venue coordinates (pass null for both to fall back to the grid name)
+const setTablePosition = (name, x, y) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE tables SET x = ?, y = ?, updated_at = datetime("now") WHERE name = ?',
+      [x, y, name],
+      function (err) {
+        if (err) reject(err);
+        else resolve({ updated: this.changes });
+      }
+    );
+  });
+};
+
 // Initialize chess board-style tables (A1-A10 through P1-P10)
 const initializeChessBoardTables = () => {
   return new Promise((resolve, reject) => {
@@ -727,6 +1003,91 @@ const getCategoryByName = (name) => {
   });
 };
 
+// Rubric criteria operations
+const getRubricCriteria = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM rubric_criteria ORDER BY display_order, id', [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+const getRubricCriterionById = (id) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM rubric_criteria WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+const createRubricCriterion = (criterion) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO rubric_criteria (name, description, weight, min_score, max_score, display_order, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, datetime("now"))`,
+      [
+        criterion.name,
+        criterion.description || null,
+        criterion.weight,
+        criterion.min_score,
+        criterion.max_score,
+        criterion.display_order || 0
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          // Criterion weights feed every ranking
+          liveUpdates.publish('leaderboard');
+          resolve({ id: this.lastID, ...criterion });
+        }
+      }
+    );
+  });
+};
+
+const updateRubricCriterion = (id, criterion) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE rubric_criteria
+       SET name = ?, description = ?, weight = ?, min_score = ?, max_score = ?, display_order = ?, updated_at = datetime("now")
+       WHERE id = ?`,
+      [
+        criterion.name,
+        criterion.description || null,
+        criterion.weight,
+        criterion.min_score,
+        criterion.max_score,
+        criterion.display_order || 0,
+        id
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('leaderboard');
+          resolve({ id, ...criterion });
+        }
+      }
+    );
+  });
+};
+
+const deleteRubricCriterion = (id) => {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM rubric_criteria WHERE id = ?', [id], function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        liveUpdates.publish('leaderboard');
+        resolve({ deleted: this.changes > 0 });
+      }
+    });
+  });
+};
+
 // Team operations
 const createTeam = (teamData) => {
   return new Promise((resolve, reject) => {
@@ -976,731 +1337,2892 @@ const getScore = (judgeEmail, teamName, round) => {
   });
 };
 
-const saveScore = (judgeEmail, teamName, tableName, round, score, notes = null) => {
+// Record a score change in score_history (no-op when nothing changed)
+const recordScoreChange = (judgeEmail, teamName, round, previous, next, actorEmail, reason = null) => {
   return new Promise((resolve, reject) => {
+    const action = scoreHistory.getScoreChangeAction(previous, next);
+    if (!action) {
+      resolve(null);
+      return;
+    }
     db.run(
-      `INSERT INTO scores (judge_email, team_name, table_name, round, score, notes, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, datetime("now"))
-       ON CONFLICT(judge_email, team_name, round) 
-       DO UPDATE SET score = ?, notes = ?, table_name = ?, updated_at = datetime("now")`,
-      [judgeEmail, teamName, tableName, round, score, notes, score, notes, tableName],
+      `INSERT INTO score_history 
+       (judge_email, team_name, round, action, old_score, new_score, old_notes, new_notes, actor_email, reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        judgeEmail, teamName, round, action,
+        previous ? previous.score : null, next ? next.score : null,
+        previous ? previous.notes : null, next ? next.notes : null,
+        actorEmail || judgeEmail, reason
+      ],
       function (err) {
         if (err) reject(err);
-        else resolve({ id: this.lastID });
+        else resolve({ id: this.lastID, action });
       }
     );
   });
 };
 
-const getJudgeScores = (judgeEmail, round = null, tableName = null) => {
+// Save a judge's score, recording the change in score_history
+// actorEmail is who made the change (defaults to the judge)
+const saveScore = (judgeEmail, teamName, tableName, round, score, notes = null, actorEmail = null) => {
   return new Promise((resolve, reject) => {
-    let query = `
-      SELECT s.*, t.division
-      FROM scores s
-      LEFT JOIN teams t ON s.team_name = t.name
-      WHERE s.judge_email = ?
-    `;
-    const params = [judgeEmail];
-
-    if (round) {
-      query += ' AND s.round = ?';
-      params.push(round);
-    }
-
-    if (tableName) {
-      query += ' AND s.table_name = ?';
-      params.push(tableName);
-    }
-
-    query += ' ORDER BY s.round DESC, s.team_name';
-
-    db.all(query, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
+    getScore(judgeEmail, teamName, round).then(previous => {
+      db.run(
+        `INSERT INTO scores (judge_email, team_name, table_name, round, score, notes, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, datetime("now"))
+         ON CONFLICT(judge_email, team_name, round) 
+         DO UPDATE SET score = ?, notes = ?, table_name = ?, updated_at = datetime("now"),
+           feedback_notes = CASE WHEN notes IS excluded.notes THEN feedback_notes ELSE NULL END`,
+        [judgeEmail, teamName, tableName, round, score, notes, score, notes, tableName],
+        function (err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          const id = this.lastID;
+          recordScoreChange(judgeEmail, teamName, round, previous, { score, notes }, actorEmail)
+            .then(() => {
+              liveUpdates.publish('leaderboard', 'queue');
+              resolve({ id });
+            })
+            .catch(reject);
+        }
+      );
+    }).catch(reject);
   });
 };
 
-// Results/Leaderboard operations - Cumulative scoring across rounds
-const getTableResults = (round, tableName = null) => {
+// Get an already-saved score submission by the submission id on the score form
+const getScoreSubmission = (submissionId) => {
   return new Promise((resolve, reject) => {
-    let query = `
-      SELECT 
-        s.team_name,
-        s.table_name,
-        t.division,
-        SUM(s.score) as total_score,
-        COUNT(DISTINCT s.judge_email) as judge_count,
-        COUNT(DISTINCT s.round) as rounds_completed
-      FROM scores s
-      LEFT JOIN teams t ON s.team_name = t.name
-      WHERE s.round <= ?
-    `;
-    const params = [round];
-
-    if (tableName) {
-      query += ' AND s.table_name = ?';
-      params.push(tableName);
-    }
-
-    query += `
-      GROUP BY s.team_name, s.table_name, t.division
-      ORDER BY t.division, total_score DESC
-    `;
-
-    db.all(query, params, (err, rows) => {
+    db.get('SELECT * FROM score_submissions WHERE submission_id = ?', [submissionId], (err, row) => {
       if (err) reject(err);
-      else {
-        // Group by division only and calculate rankings within each division
-        const resultsByDivision = {};
-        rows.forEach(row => {
-          const division = row.division || 'Unassigned';
-          if (!resultsByDivision[division]) {
-            resultsByDivision[division] = [];
-          }
-          resultsByDivision[division].push(row);
-        });
-
-        // Add rankings within each division (1st, 2nd, 3rd, etc.)
-        Object.keys(resultsByDivision).forEach(division => {
-          resultsByDivision[division].forEach((team, index) => {
-            if (index === 0) team.rank = 1;
-            else if (index === 1) team.rank = 2;
-            else if (index === 2) team.rank = 3;
-            else team.rank = index + 1;
-          });
-        });
-
-        resolve(resultsByDivision);
-      }
+      else resolve(row || null);
     });
   });
 };
 
-// Event settings operations
-const getEventSettings = () => {
+// Remember a saved score submission so a replay of it isn't saved again
+const recordScoreSubmission = (submissionId, judgeEmail, teamName, round) => {
   return new Promise((resolve, reject) => {
-    db.get('SELECT * FROM event_settings ORDER BY id DESC LIMIT 1', [], (err, row) => {
-      if (err) reject(err);
-      else {
-        if (!row) {
-          // Return default settings if none exist
-          resolve({
-            event_name: 'Hackathon',
-            start_date: null,
-            end_date: null,
-            divisions: '[]',
-            logo_filename: null
+    db.run(
+      `INSERT OR IGNORE INTO score_submissions (submission_id, judge_email, team_name, round)
+       VALUES (?, ?, ?, ?)`,
+      [submissionId, judgeEmail, teamName, round],
+      function (err) {
+        if (err) reject(err);
+        else resolve({ recorded: this.changes > 0 });
+      }
+    );
+  });
+};
+
+// Save a judge's submitted score with its rubric criterion scores, remember the submission id (if any)
+// and complete the judge's assignment in one transaction, so a failure partway saves none of it
+const submitScore = (judgeEmail, teamName, tableName, round, score, notes, criterionScores, submissionId = null) => {
+  return new Promise((resolve, reject) => {
+    db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+      if (beginErr) {
+        reject(beginErr);
+        return;
+      }
+      saveScore(judgeEmail, teamName, tableName, round, score, notes)
+        .then(() => saveCriterionScores(judgeEmail, teamName, round, criterionScores))
+        .then(() => submissionId && recordScoreSubmission(submissionId, judgeEmail, teamName, round))
+        .then(() => markAssignmentCompleted(judgeEmail, teamName, round))
+        .then(() => {
+          db.run('COMMIT', (commitErr) => {
+            if (commitErr) {
+              db.run('ROLLBACK', () => { });
+              reject(commitErr);
+            } else {
+              resolve();
+            }
           });
-        } else {
-          // Parse divisions JSON string
-          let divisions = [];
-          try {
-            divisions = row.divisions ? JSON.parse(row.divisions) : [];
-          } catch (e) {
-            divisions = [];
+        })
+        .catch((err) => {
+          db.run('ROLLBACK', () => { });
+          reject(err);
+        });
+    });
+  });
+};
+
+// Delete a judge's score (and rubric criterion scores) for a team/round, recording it in score_history.
+// The judge's queue assignment is removed too, so the team counts as needing that judge again.
+const deleteScore = (judgeEmail, teamName, round, actorEmail, reason = null) => {
+  return new Promise((resolve, reject) => {
+    getScore(judgeEmail, teamName, round).then(previous => {
+      if (!previous) {
+        resolve({ deleted: false });
+        return;
+      }
+      db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+        if (beginErr) {
+          reject(beginErr);
+          return;
+        }
+        const fail = (err) => {
+          db.run('ROLLBACK', () => { });
+          reject(err);
+        };
+        const params = [judgeEmail, teamName, round];
+
+        db.run('DELETE FROM criterion_scores WHERE judge_email = ? AND team_name = ? AND round = ?', params, (err) => {
+          if (err) {
+            fail(err);
+            return;
+          }
+          db.run('DELETE FROM judge_team_assignments WHERE judge_email = ? AND team_name = ? AND round = ?', params, (err) => {
+            if (err) {
+              fail(err);
+              return;
+            }
+            db.run('DELETE FROM scores WHERE judge_email = ? AND team_name = ? AND round = ?', params, (err) => {
+              if (err) {
+                fail(err);
+                return;
+              }
+              recordScoreChange(judgeEmail, teamName, round, previous, null, actorEmail, reason)
+                .then(() => {
+                  db.run('COMMIT', (commitErr) => {
+                    if (commitErr) {
+                      fail(commitErr);
+                      return;
+                    }
+                    liveUpdates.publish('leaderboard', 'queue');
+                    resolve({ deleted: true });
+                  });
+                })
+                .catch(fail);
+            });
+          });
+        });
+      });
+    }).catch(reject);
+  });
+};
+
+// Get current scores, optionally filtered by team, judge and round
+const getScores = ({ teamName = null, judgeEmail = null, round = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    let query = `
+      SELECT s.*, u.name as judge_name
+      FROM scores s
+      LEFT JOIN users u ON s.judge_email = u.email
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (teamName) {
+      query += ' AND s.team_name = ?';
+      params.push(teamName);
+    }
+    if (judgeEmail) {
+      query += ' AND s.judge_email = ?';
+      params.push(judgeEmail);
+    }
+    if (round) {
+      query += ' AND s.round = ?';
+      params.push(round);
+    }
+
+    query += ' ORDER BY s.round DESC, s.team_name, s.judge_email';
+
+    db.all(query, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Admin review of a judge's note before release: edited text (null, or the judge's own notes
+// unchanged, keeps the original) and whether the note is hidden from the team
+const updateScoreFeedback = (id, feedbackNotes, hidden) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE scores SET feedback_notes = NULLIF(?, notes), feedback_hidden = ? WHERE id = ?',
+      [feedbackNotes, hidden ? 1 : 0, id],
+      function (err) {
+        if (err) reject(err);
+        else resolve({ updated: this.changes > 0 });
+      }
+    );
+  });
+};
+
+// Rubric criterion scores for one team, every judge and round, for released feedback
+const getTeamFeedbackCriterionScores = (teamName) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT cs.judge_email, cs.round, cs.criterion_id, cs.score, rc.name, rc.max_score
+       FROM criterion_scores cs
+       INNER JOIN rubric_criteria rc ON cs.criterion_id = rc.id
+       WHERE cs.team_name = ?
+       ORDER BY cs.round, rc.display_order, rc.id`,
+      [teamName],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get score history, newest first, optionally filtered by team, judge and round
+const getScoreHistory = ({ teamName = null, judgeEmail = null, round = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    let query = `
+      SELECT sh.*, u.name as judge_name
+      FROM score_history sh
+      LEFT JOIN users u ON sh.judge_email = u.email
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (teamName) {
+      query += ' AND sh.team_name = ?';
+      params.push(teamName);
+    }
+    if (judgeEmail) {
+      query += ' AND sh.judge_email = ?';
+      params.push(judgeEmail);
+    }
+    if (round) {
+      query += ' AND sh.round = ?';
+      params.push(round);
+    }
+
+    query += ' ORDER BY sh.created_at DESC, sh.id DESC';
+
+    db.all(query, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Get a judge's rubric criterion scores for a team/round
+const getCriterionScores = (judgeEmail, teamName, round) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT cs.criterion_id, cs.score, rc.name, rc.weight
+       FROM criterion_scores cs
+       INNER JOIN rubric_criteria rc ON cs.criterion_id = rc.id
+       WHERE cs.judge_email = ? AND cs.team_name = ? AND cs.round = ?
+       ORDER BY rc.display_order, rc.id`,
+      [judgeEmail, teamName, round],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Save a judge's rubric criterion scores for a team/round
+// criterionScores should be an array of {criterion_id, score}
+const saveCriterionScores = (judgeEmail, teamName, round, criterionScores) => {
+  return new Promise((resolve, reject) => {
+    if (!criterionScores || criterionScores.length === 0) {
+      resolve();
+      return;
+    }
+
+    const stmt = db.prepare(
+      `INSERT INTO criterion_scores (judge_email, team_name, round, criterion_id, score, updated_at)
+       VALUES (?, ?, ?, ?, ?, datetime("now"))
+       ON CONFLICT(judge_email, team_name, round, criterion_id)
+       DO UPDATE SET score = excluded.score, updated_at = datetime("now")`
+    );
+
+    let runError = null;
+    criterionScores.forEach(({ criterion_id, score }) => {
+      stmt.run(judgeEmail, teamName, round, criterion_id, score, (err) => {
+        runError = runError || err;
+      });
+    });
+
+    stmt.finalize((err) => {
+      if (err || runError) reject(err || runError);
+      else resolve();
+    });
+  });
+};
+
+// Average score per rubric criterion for each team (cumulative up to the given round, or all rounds)
+// asOf leaves out criterion scores whose score was saved after that UTC timestamp
+// Returns { teamName: { criterionId: avgScore } }
+const getTeamCriterionAverages = (round = null, asOf = null) => {
+  return new Promise((resolve, reject) => {
+    let query = `SELECT cs.team_name, cs.criterion_id, AVG(cs.score) as avg_score
+      FROM criterion_scores cs
+      LEFT JOIN scores s ON s.judge_email = cs.judge_email AND s.team_name = cs.team_name AND s.round = cs.round
+      WHERE 1 = 1`;
+    const params = [];
+
+    if (round) {
+      query += ' AND cs.round <= ?';
+      params.push(round);
+    }
+    if (asOf) {
+      query += ' AND s.updated_at <= ?';
+      params.push(asOf);
+    }
+
+    query += ' GROUP BY cs.team_name, cs.criterion_id';
+
+    db.all(
+      query,
+      params,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const averages = {};
+        rows.forEach(row => {
+          if (!averages[row.team_name]) {
+            averages[row.team_name] = {};
+          }
+          averages[row.team_name][row.criterion_id] = parseFloat(row.avg_score) || 0;
+        });
+        resolve(averages);
+      }
+    );
+  });
+};
+
+const getJudgeScores = (judgeEmail, round = null, tableName = null) => {
+  return new Promise((resolve, reject) => {
+    let query = `
+      SELECT s.*, t.division
+      FROM scores s
+      LEFT JOIN teams t ON s.team_name = t.name
+      WHERE s.judge_email = ?
+    `;
+    const params = [judgeEmail];
+
+    if (round) {
+      query += ' AND s.round = ?';
+      params.push(round);
+    }
+
+    if (tableName) {
+      query += ' AND s.table_name = ?';
+      params.push(tableName);
+    }
+
+    query += ' ORDER BY s.round DESC, s.team_name';
+
+    db.all(query, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Effective score for a row in `scores` (aliased as s): the weighted sum of the
+// judge's rubric criterion scores when present, otherwise the single legacy score
+const WEIGHTED_SCORE_SQL = `COALESCE((
+        SELECT SUM(cs.score * rc.weight)
+        FROM criterion_scores cs
+        INNER JOIN rubric_criteria rc ON cs.criterion_id = rc.id
+        WHERE cs.judge_email = s.judge_email AND cs.team_name = s.team_name AND cs.round = s.round
+      ), s.score)`;
+
+// Get every score with its effective (rubric-weighted) value, cumulative up to the given round
+// (or all rounds). Used as the input for normalization and ranking.
+// asOf (a UTC timestamp) gives the scores as they stood then, for frozen scoreboards
+const getEffectiveScores = (round = null, asOf = null) => {
+  return new Promise((resolve, reject) => {
+    let query = `
+      SELECT 
+        s.judge_email,
+        s.team_name,
+        s.table_name,
+        s.round,
+        s.updated_at,
+        t.division,
+        ${WEIGHTED_SCORE_SQL} as score
+      FROM scores s
+      LEFT JOIN teams t ON s.team_name = t.name
+    `;
+    const params = [];
+
+    if (round) {
+      query += ' WHERE s.round <= ?';
+      params.push(round);
+    }
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (!asOf) {
+        resolve(rows);
+        return;
+      }
+      Promise.all([getScoreHistoryBefore(asOf, { round }), getTeamPlaces()])
+        .then(([history, teams]) => resolve(resultsVisibility.getScoresAsOf(rows, history, asOf, teams)))
+        .catch(reject);
+    });
+  });
+};
+
+// Score changes made up to a UTC timestamp, optionally for one team and up to a round
+const getScoreHistoryBefore = (asOf, { teamName = null, round = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    let query = 'SELECT * FROM score_history WHERE created_at <= ?';
+    const params = [asOf];
+
+    if (teamName) {
+      query += ' AND team_name = ?';
+      params.push(teamName);
+    }
+    if (round) {
+      query += ' AND round <= ?';
+      params.push(round);
+    }
+
+    db.all(query, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Every team's table and division, for scores rebuilt from score_history
+const getTeamPlaces = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT name, table_name, division FROM teams', [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// A team's scores as participants and the public may see them: everything, or as it stood at asOf
+const getVisibleTeamScores = async (teamName, asOf = null) => {
+  const scores = await getScores({ teamName });
+  if (!asOf) {
+    return scores;
+  }
+  return resultsVisibility.getScoresAsOf(scores, await getScoreHistoryBefore(asOf, { teamName }), asOf, await getTeamPlaces());
+};
+
+// Combine normalized scores per team with the event's aggregation strategy (see services/scoring.js)
+// Returns { teamName: { total_score, avg_score, judge_count, rounds_completed, latest_round_score } },
+// where total_score is the score every ranking view orders by, avg_score the plain mean, and
+// latest_round_score the average in the team's latest judged round (a tiebreaker)
+const aggregateTeamScores = (rows, strategy = 'sum', roundWeights = {}) => {
+  const teams = {};
+  rows.forEach(row => {
+    if (!teams[row.team_name]) {
+      teams[row.team_name] = { total: 0, count: 0, judges: new Set(), rounds: new Set(), byRound: {}, rows: [], row };
+    }
+    const team = teams[row.team_name];
+    team.rows.push(row);
+    team.total += Number(row.score) || 0;
+    team.count++;
+    team.judges.add(row.judge_email);
+    team.rounds.add(row.round);
+    if (!team.byRound[row.round]) {
+      team.byRound[row.round] = { total: 0, count: 0 };
+    }
+    team.byRound[row.round].total += Number(row.score) || 0;
+    team.byRound[row.round].count++;
+  });
+
+  const aggregates = {};
+  Object.keys(teams).forEach(teamName => {
+    const team = teams[teamName];
+    const latestRound = team.byRound[Math.max(...Object.keys(team.byRound).map(Number))];
+    aggregates[teamName] = {
+      table_name: team.row.table_name,
+      division: team.row.division,
+      total_score: scoring.aggregateScores(team.rows, strategy, roundWeights),
+      avg_score: team.count > 0 ? team.total / team.count : 0,
+      judge_count: team.judges.size,
+      rounds_completed: team.rounds.size,
+      latest_round_score: latestRound.total / latestRound.count
+    };
+  });
+  return aggregates;
+};
+
+// Every team a judge has finished with: scored teams plus teams visited in pairwise rounds.
+// Used wherever operations care that a judge was at a table, not how they judged it.
+const JUDGED_VISITS_SQL = `
+        SELECT id, judge_email, team_name, table_name, round, created_at, updated_at FROM scores
+        UNION ALL
+        SELECT id, judge_email, team_name, table_name, round, created_at, updated_at FROM pairwise_comparisons`;
+
+// Count the judges who finished with each team in each round (scored or visited pairwise)
+const getTeamJudgeCountsByRound = () => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT team_name, round, COUNT(DISTINCT judge_email) as judge_count
+       FROM (${JUDGED_VISITS_SQL})
+       GROUP BY team_name, round`,
+      [],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get a judge's pairwise visit to a team in a round (undefined if they haven't submitted one)
+const getPairwiseVisit = (judgeEmail, round, teamName) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM pairwise_comparisons WHERE judge_email = ? AND round = ? AND team_name = ?',
+      [judgeEmail, round, teamName],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+};
+
+// Get the team a judge should compare `teamName` against: the last team they visited
+// this round. Resolves null for the judge's first team of the round.
+const getPreviousPairwiseTeam = (judgeEmail, round, teamName) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT team_name, table_name FROM pairwise_comparisons
+       WHERE judge_email = ? AND round = ? AND team_name != ?
+       ORDER BY created_at DESC, id DESC LIMIT 1`,
+      [judgeEmail, round, teamName],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
+
+// Record (or update) a judge's visit to a team in a pairwise round, along with which of
+// the previous and current team they preferred
+const savePairwiseComparison = (comparison) => {
+  return new Promise((resolve, reject) => {
+    const { judgeEmail, round, teamName, tableName, previousTeamName, winnerTeamName, notes } = comparison;
+    db.run(
+      `INSERT INTO pairwise_comparisons 
+       (judge_email, round, team_name, table_name, previous_team_name, winner_team_name, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(judge_email, round, team_name) DO UPDATE SET
+         winner_team_name = excluded.winner_team_name,
+         notes = excluded.notes,
+         updated_at = datetime("now")`,
+      [judgeEmail, round, teamName, tableName || null, previousTeamName || null, winnerTeamName || null, notes || null],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        liveUpdates.publish('leaderboard', 'queue');
+        resolve({ id: this.lastID, changes: this.changes });
+      }
+    );
+  });
+};
+
+// Rank teams from pairwise comparisons up to the given round with a Bradley-Terry model.
+// Returns the same shape as aggregateTeamScores, with the model score (0-100) as total_score.
+// asOf leaves out comparisons made after that UTC timestamp
+const getPairwiseAggregates = (round = null, asOf = null) => {
+  return new Promise((resolve, reject) => {
+    let query = `
+      SELECT pc.judge_email, pc.team_name, pc.round, pc.previous_team_name, pc.winner_team_name,
+        COALESCE(t.table_name, pc.table_name) as table_name, t.division
+      FROM pairwise_comparisons pc
+      LEFT JOIN teams t ON pc.team_name = t.name
+    `;
+    const conditions = [];
+    const params = [];
+
+    if (round) {
+      conditions.push('pc.round <= ?');
+      params.push(round);
+    }
+    if (asOf) {
+      conditions.push('pc.created_at <= ?');
+      params.push(asOf);
+    }
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const teams = {};
+      const comparisons = [];
+      rows.forEach(row => {
+        if (!teams[row.team_name]) {
+          teams[row.team_name] = { judges: new Set(), rounds: new Set(), row };
+        }
+        teams[row.team_name].judges.add(row.judge_email);
+        teams[row.team_name].rounds.add(row.round);
+
+        if (row.previous_team_name && row.winner_team_name) {
+          comparisons.push({
+            winner: row.winner_team_name,
+            loser: row.winner_team_name === row.team_name ? row.previous_team_name : row.team_name
+          });
+        }
+      });
+
+      const aggregates = {};
+      pairwise.fitBradleyTerry(comparisons, Object.keys(teams))
+        .filter(result => teams[result.team_name])
+        .forEach(result => {
+          const team = teams[result.team_name];
+          aggregates[result.team_name] = {
+            table_name: team.row.table_name,
+            division: team.row.division,
+            total_score: result.score,
+            avg_score: result.score,
+            judge_count: team.judges.size,
+            rounds_completed: team.rounds.size,
+            latest_round_score: result.score,
+            wins: result.wins,
+            losses: result.losses
+          };
+        });
+      resolve(aggregates);
+    });
+  });
+};
+
+// Per-team aggregates for ranking up to a round: Bradley-Terry scores when the round is
+// judged pairwise, otherwise (normalized) score totals. tableName limits the teams returned,
+// and teams eliminated before the round are left out. asOf ranks on the scores as they stood then.
+const getRankingAggregates = async (round, normalization = 'raw', tableName = null, asOf = null) => {
+  const settings = await getEventSettings();
+  let aggregates;
+  if (pairwise.isPairwiseRound(settings, round)) {
+    aggregates = await getPairwiseAggregates(round, asOf);
+    if (tableName) {
+      Object.keys(aggregates).forEach(teamName => {
+        if (aggregates[teamName].table_name !== tableName) {
+          delete aggregates[teamName];
+        }
+      });
+    }
+  } else {
+    // Normalize against each judge's full set of scores before filtering by table
+    const scores = scoring.normalizeScores(await getEffectiveScores(round, asOf), normalization);
+    const filteredScores = tableName ? scores.filter(s => s.table_name === tableName) : scores;
+    aggregates = aggregateTeamScores(filteredScores, settings.score_aggregation, settings.round_weights);
+  }
+
+  // A round's rankings only include the teams that advanced to it
+  const finalists = round ? await getRoundFinalists(round) : [];
+  if (finalists.length > 0) {
+    Object.keys(aggregates).forEach(teamName => {
+      if (!finalists.includes(teamName)) {
+        delete aggregates[teamName];
+      }
+    });
+  }
+  return aggregates;
+};
+
+// Options for tiebreakers.rankTeams: the admin's tiebreakers plus the data they need up to `round`
+// (and up to asOf for frozen scoreboards)
+const getRankingOptions = async (round, scoreKey = 'total_score', nameKey = 'team_name', asOf = null) => {
+  const settings = await getEventSettings();
+  const usesCriteria = settings.tiebreakers.some(key => key.startsWith('criterion:'));
+  return {
+    scoreKey,
+    nameKey,
+    tiebreakers: settings.tiebreakers,
+    data: {
+      criterionAverages: usesCriteria ? await getTeamCriterionAverages(round, asOf) : {},
+      headJudgeOrder: settings.head_judge_order
+    }
+  };
+};
+
+// Results/Leaderboard operations - Cumulative scoring across rounds
+// normalization: 'raw' (default), 'zscore' or 'rank' - see services/scoring.js
+// Rounds judged pairwise are ranked with Bradley-Terry instead - see services/pairwise.js
+// asOf (a UTC timestamp) ranks the scores as they stood then, for frozen scoreboards
+const getTableResults = (round, tableName = null, normalization = 'raw', asOf = null) => {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const aggregates = await getRankingAggregates(round, normalization, tableName, asOf);
+
+      const rows = Object.keys(aggregates).map(teamName => ({
+        team_name: teamName,
+        table_name: aggregates[teamName].table_name,
+        division: aggregates[teamName].division,
+        total_score: aggregates[teamName].total_score,
+        judge_count: aggregates[teamName].judge_count,
+        rounds_completed: aggregates[teamName].rounds_completed,
+        latest_round_score: aggregates[teamName].latest_round_score
+      }));
+
+      // Group by division only and calculate rankings within each division
+      const resultsByDivision = {};
+      rows.forEach(row => {
+        const division = row.division || 'Unassigned';
+        if (!resultsByDivision[division]) {
+          resultsByDivision[division] = [];
+        }
+        resultsByDivision[division].push(row);
+      });
+
+      // Add rankings within each division; teams the tiebreakers can't separate share a rank
+      const options = await getRankingOptions(round, 'total_score', 'team_name', asOf);
+      Object.keys(resultsByDivision).sort().forEach(division => {
+        resultsByDivision[division] = tiebreakers.rankTeams(resultsByDivision[division], options);
+      });
+
+      resolve(resultsByDivision);
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+// Event settings operations
+const getEventSettings = () => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM event_settings ORDER BY id DESC LIMIT 1', [], (err, row) => {
+      if (err) reject(err);
+      else {
+        if (!row) {
+          // Return default settings if none exist
+          resolve({
+            event_name: 'Hackathon',
+            start_date: null,
+            end_date: null,
+            divisions: '[]',
+            logo_filename: null,
+            lock_timeout_minutes: DEFAULT_LOCK_TIMEOUT_MINUTES,
+            judges_per_team: judgeRequirements.parseJudgeRequirements(null),
+            expertise_matching: 'off',
+            judging_mode: 'scores',
+            round_judging_modes: {},
+            tiebreakers: [],
+            head_judge_order: {},
+            score_aggregation: 'sum',
+            round_weights: {},
+            feedback_released: false,
+            calibration_mode: false,
+            public_results: 'hidden',
+            results_frozen_at: null,
+            ceremony_slide: 0,
+            certificate_template: null
+          });
+        } else {
+          // Parse divisions JSON string
+          let divisions = [];
+          try {
+            divisions = row.divisions ? JSON.parse(row.divisions) : [];
+          } catch (e) {
+            divisions = [];
+          }
+          // Parse winners JSON string
+          let winners = {};
+          try {
+            winners = row.winners ? JSON.parse(row.winners) : {};
+          } catch (e) {
+            winners = {};
+          }
+          resolve({
+            ...row,
+            divisions,
+            judging_locked: row.judging_locked === 1,
+            feedback_released: row.feedback_released === 1,
+            calibration_mode: row.calibration_mode === 1,
+            public_results: resultsVisibility.PUBLIC_RESULTS_MODES.includes(row.public_results) ? row.public_results : 'hidden',
+            ceremony_slide: row.ceremony_slide || 0,
+            score_normalization: row.score_normalization || 'raw',
+            score_aggregation: row.score_aggregation || 'sum',
+            round_weights: scoring.parseRoundWeights(row.round_weights),
+            proximity_routing: row.proximity_routing === 1,
+            judges_per_team: judgeRequirements.parseJudgeRequirements(row.judges_per_team),
+            expertise_matching: row.expertise_matching || 'off',
+            judging_mode: row.judging_mode || 'scores',
+            round_judging_modes: pairwise.parseRoundJudgingModes(row.round_judging_modes),
+            tiebreakers: tiebreakers.parseTiebreakers(row.tiebreakers),
+            head_judge_order: tiebreakers.parseHeadJudgeOrder(row.head_judge_order),
+            lock_timeout_minutes: row.lock_timeout_minutes === null || row.lock_timeout_minutes === undefined
+              ? DEFAULT_LOCK_TIMEOUT_MINUTES
+              : row.lock_timeout_minutes,
+            winners
+          });
+        }
+      }
+    });
+  });
+};
+
+const updateEventSettings = (settings) => {
+  return new Promise((resolve, reject) => {
+    const divisionsJson = Array.isArray(settings.divisions)
+      ? JSON.stringify(settings.divisions)
+      : (settings.divisions || '[]');
+
+    db.run(
+      `UPDATE event_settings 
+       SET event_name = ?, start_date = ?, end_date = ?, divisions = ?, logo_filename = ?, 
+           hero_banner_image = ?, hero_banner_link = ?, landing_page_content = ?, event_dates_text = ?,
+           updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [
+        settings.event_name || 'Hackathon',
+        settings.start_date || null,
+        settings.end_date || null,
+        divisionsJson,
+        settings.logo_filename || null,
+        settings.hero_banner_image || null,
+        settings.hero_banner_link || null,
+        settings.landing_page_content || null,
+        settings.event_dates_text || null
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        // If no rows were updated, insert instead
+        if (this.changes === 0) {
+          db.run(
+            `INSERT INTO event_settings (event_name, start_date, end_date, divisions, logo_filename, 
+                                        hero_banner_image, hero_banner_link, landing_page_content, event_dates_text, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"))`,
+            [
+              settings.event_name || 'Hackathon',
+              settings.start_date || null,
+              settings.end_date || null,
+              divisionsJson,
+              settings.logo_filename || null,
+              settings.hero_banner_image || null,
+              settings.hero_banner_link || null,
+              settings.landing_page_content || null,
+              settings.event_dates_text || null
+            ],
+            function (insertErr) {
+              if (insertErr) reject(insertErr);
+              else resolve({ id: this.lastID, ...settings, divisions: Array.isArray(settings.divisions) ? settings.divisions : JSON.parse(divisionsJson) });
+            }
+          );
+        } else {
+          resolve({ ...settings, divisions: Array.isArray(settings.divisions) ? settings.divisions : JSON.parse(divisionsJson) });
+        }
+      }
+    );
+  });
+};
+
+// Teams (aliased as t) still competing in a round: its finalists, or every team when none were picked.
+// Takes the round twice as parameters.
+const ROUND_TEAMS_SQL = `(NOT EXISTS (SELECT 1 FROM round_finalists rf WHERE rf.round = ?)
+         OR t.name IN (SELECT rf.team_name FROM round_finalists rf WHERE rf.round = ?))`;
+
+// Get the finalists for every round that has them: { round: [teamNames] }
+const getFinalistsByRound = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT round, team_name FROM round_finalists ORDER BY round, team_name', [], (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const finalistsByRound = {};
+      rows.forEach(row => {
+        if (!finalistsByRound[row.round]) {
+          finalistsByRound[row.round] = [];
+        }
+        finalistsByRound[row.round].push(row.team_name);
+      });
+      resolve(finalistsByRound);
+    });
+  });
+};
+
+// Get the finalists for a round (empty when every team competes in it)
+const getRoundFinalists = (round) => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT team_name FROM round_finalists WHERE round = ? ORDER BY team_name', [round], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.team_name));
+    });
+  });
+};
+
+// Replace a round's finalists inside a transaction the caller has begun.
+// done(err) runs once every row is written, or with the first error.
+const replaceRoundFinalists = (round, names, selectedBy, done) => {
+  db.run('DELETE FROM round_finalists WHERE round = ?', [round], (err) => {
+    if (err) {
+      done(err);
+      return;
+    }
+    const insertFrom = (index) => {
+      if (index >= names.length) {
+        done(null);
+        return;
+      }
+      db.run(
+        'INSERT INTO round_finalists (round, team_name, selected_by) VALUES (?, ?, ?)',
+        [round, names[index], selectedBy],
+        (err) => {
+          if (err) done(err);
+          else insertFrom(index + 1);
+        }
+      );
+    };
+    insertFrom(0);
+  });
+};
+
+// Replace the finalists for a round. An empty list opens the round to every team.
+const setRoundFinalists = (round, teamNames, selectedBy = null) => {
+  return new Promise((resolve, reject) => {
+    const names = [...new Set(teamNames || [])];
+
+    db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+      if (beginErr) {
+        reject(beginErr);
+        return;
+      }
+      replaceRoundFinalists(round, names, selectedBy, (err) => {
+        if (err) {
+          db.run('ROLLBACK', () => { });
+          reject(err);
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) {
+            db.run('ROLLBACK', () => { });
+            reject(commitErr);
+            return;
+          }
+          liveUpdates.publish('leaderboard', 'queue');
+          resolve({ round, finalists: names.length });
+        });
+      });
+    });
+  });
+};
+
+// Start the next round with the teams that advanced, locking the current one.
+// The finalists and the new round are saved together, so finalists are never left for a round that didn't start.
+const advanceToNextRound = (teamNames, selectedBy = null) => {
+  return new Promise((resolve, reject) => {
+    const names = [...new Set(teamNames || [])];
+
+    getEventSettings().then(settings => {
+      const currentRound = settings.current_round || 1;
+      const lockedRounds = JSON.parse(settings.locked_rounds || '[]');
+      if (!lockedRounds.includes(currentRound)) {
+        lockedRounds.push(currentRound);
+      }
+      const nextRound = currentRound + 1;
+
+      db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+        if (beginErr) {
+          reject(beginErr);
+          return;
+        }
+        const fail = (err) => {
+          db.run('ROLLBACK', () => { });
+          reject(err);
+        };
+        replaceRoundFinalists(nextRound, names, selectedBy, (err) => {
+          if (err) {
+            fail(err);
+            return;
+          }
+          db.run(
+            'UPDATE event_settings SET current_round = ?, locked_rounds = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+            [nextRound, JSON.stringify(lockedRounds)],
+            (err) => {
+              if (err) {
+                fail(err);
+                return;
+              }
+              db.run('COMMIT', (commitErr) => {
+                if (commitErr) {
+                  fail(commitErr);
+                  return;
+                }
+                liveUpdates.publish('leaderboard', 'queue');
+                resolve({ currentRound: nextRound, lockedRounds, finalists: names.length });
+              });
+            }
+          );
+        });
+      });
+    }).catch(reject);
+  });
+};
+
+const isRoundLocked = (round) => {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const settings = await getEventSettings();
+      const lockedRounds = JSON.parse(settings.locked_rounds || '[]');
+      resolve(lockedRounds.includes(round));
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+// Lock or unlock judging
+const setJudgingLocked = (locked) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE event_settings 
+       SET judging_locked = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [locked ? 1 : 0],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('leaderboard', 'queue');
+          resolve({ judging_locked: locked });
+        }
+      }
+    );
+  });
+};
+
+// Release judge feedback to teams (or take it back)
+const setFeedbackReleased = (released) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE event_settings 
+       SET feedback_released = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [released ? 1 : 0],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ feedback_released: released });
+        }
+      }
+    );
+  });
+};
+
+// Turn the calibration round on or off (judges score calibration items before real teams)
+const setCalibrationMode = (enabled) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE event_settings 
+       SET calibration_mode = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [enabled ? 1 : 0],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ calibration_mode: enabled });
+        }
+      }
+    );
+  });
+};
+
+// Move the awards ceremony to a slide; open stage views follow it
+const setCeremonySlide = (index) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE event_settings 
+       SET ceremony_slide = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [index],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('ceremony');
+          resolve({ ceremony_slide: index });
+        }
+      }
+    );
+  });
+};
+
+// Set the certificate template image (a filename in public/uploads, or null for the plain design)
+const setCertificateTemplate = (filename) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE event_settings 
+       SET certificate_template = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [filename || null],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ certificate_template: filename || null });
+        }
+      }
+    );
+  });
+};
+
+// Set who sees results outside the judging team: 'hidden', 'live' or 'frozen' at frozenAt
+// (a UTC timestamp; kept when switching to live so the reveal can be undone)
+const setPublicResults = (mode, frozenAt = null) => {
+  return new Promise((resolve, reject) => {
+    if (!resultsVisibility.PUBLIC_RESULTS_MODES.includes(mode)) {
+      reject(new Error(`Invalid public results mode: ${mode}`));
+      return;
+    }
+    if (mode === 'frozen' && !frozenAt) {
+      reject(new Error('A frozen scoreboard needs a freeze time'));
+      return;
+    }
+    db.run(
+      `UPDATE event_settings 
+       SET public_results = ?, results_frozen_at = COALESCE(?, results_frozen_at), updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [mode, frozenAt],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('leaderboard');
+          resolve({ public_results: mode, results_frozen_at: frozenAt });
+        }
+      }
+    );
+  });
+};
+
+// Set leaderboard score normalization mode ('raw', 'zscore' or 'rank')
+const setScoreNormalization = (mode) => {
+  return new Promise((resolve, reject) => {
+    if (!scoring.NORMALIZATION_MODES.includes(mode)) {
+      reject(new Error(`Invalid score normalization mode: ${mode}`));
+      return;
+    }
+    db.run(
+      `UPDATE event_settings 
+       SET score_normalization = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [mode],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('leaderboard');
+          resolve({ score_normalization: mode });
+        }
+      }
+    );
+  });
+};
+
+// Set how every ranking view combines a team's scores (see scoring.AGGREGATION_STRATEGIES)
+// roundWeights ({ [round]: weight }) is kept for the weighted_rounds strategy
+const setScoreAggregation = (strategy, roundWeights = {}) => {
+  return new Promise((resolve, reject) => {
+    if (!scoring.AGGREGATION_STRATEGIES.includes(strategy)) {
+      reject(new Error(`Invalid score aggregation: ${strategy}`));
+      return;
+    }
+    const error = scoring.validateRoundWeights(roundWeights);
+    if (error) {
+      reject(new Error(error));
+      return;
+    }
+    const weights = scoring.parseRoundWeights(roundWeights);
+    db.run(
+      `UPDATE event_settings 
+       SET score_aggregation = ?, round_weights = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [strategy, JSON.stringify(weights)],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('leaderboard');
+          resolve({ score_aggregation: strategy, round_weights: weights });
+        }
+      }
+    );
+  });
+};
+
+// Set how many minutes a judge may hold a team before the lock expires (0 = never)
+const setLockTimeout = (minutes) => {
+  return new Promise((resolve, reject) => {
+    const value = parseInt(minutes, 10);
+    if (isNaN(value) || value < 0 || value > MAX_LOCK_TIMEOUT_MINUTES) {
+      reject(new Error(`Lock timeout must be between 0 and ${MAX_LOCK_TIMEOUT_MINUTES} minutes`));
+      return;
+    }
+    db.run(
+      `UPDATE event_settings 
+       SET lock_timeout_minutes = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [value],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lock_timeout_minutes: value });
+        }
+      }
+    );
+  });
+};
+
+// Set how many judges each team needs: { default, rules: [{ round, division, judges }] }
+const setJudgesPerTeam = (requirements) => {
+  return new Promise((resolve, reject) => {
+    const error = judgeRequirements.validateJudgeRequirements(requirements);
+    if (error) {
+      reject(new Error(error));
+      return;
+    }
+    const value = judgeRequirements.parseJudgeRequirements(requirements);
+    db.run(
+      `UPDATE event_settings 
+       SET judges_per_team = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [JSON.stringify(value)],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ judges_per_team: value });
+        }
+      }
+    );
+  });
+};
+
+// Set how the judge queue uses judge expertise ('off', 'prefer' or 'restrict')
+const setExpertiseMatching = (mode) => {
+  return new Promise((resolve, reject) => {
+    if (!expertise.EXPERTISE_MODES.includes(mode)) {
+      reject(new Error(`Invalid expertise matching mode: ${mode}`));
+      return;
+    }
+    db.run(
+      `UPDATE event_settings 
+       SET expertise_matching = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [mode],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ expertise_matching: mode });
+        }
+      }
+    );
+  });
+};
+
+// Set the event-wide judging mode ('scores' or 'pairwise') and any per-round overrides
+// roundModes: { [round]: mode } - rounds left out use the event-wide mode
+const setJudgingModes = (mode, roundModes = {}) => {
+  return new Promise((resolve, reject) => {
+    const error = pairwise.validateJudgingModes(mode, roundModes);
+    if (error) {
+      reject(new Error(error));
+      return;
+    }
+    const overrides = pairwise.parseRoundJudgingModes(roundModes);
+    db.run(
+      `UPDATE event_settings 
+       SET judging_mode = ?, round_judging_modes = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [mode, JSON.stringify(overrides)],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('leaderboard');
+          resolve({ judging_mode: mode, round_judging_modes: overrides });
+        }
+      }
+    );
+  });
+};
+
+// Set the ordered tiebreakers used wherever teams are ranked (see services/tiebreakers.js)
+const setTiebreakers = (keys) => {
+  return new Promise((resolve, reject) => {
+    getRubricCriteria().then(criteria => {
+      const error = tiebreakers.validateTiebreakers(keys, criteria);
+      if (error) {
+        reject(new Error(error));
+        return;
+      }
+      db.run(
+        `UPDATE event_settings 
+         SET tiebreakers = ?, updated_at = datetime("now")
+         WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+        [JSON.stringify(keys)],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            liveUpdates.publish('leaderboard');
+            resolve(keys);
+          }
+        }
+      );
+    }).catch(reject);
+  });
+};
+
+// Record the head judge's order for tied teams: { teamName: position }, 1 is best.
+// A null or empty position clears that team's decision; other teams keep theirs.
+const setHeadJudgeOrder = (positions) => {
+  return new Promise((resolve, reject) => {
+    const invalid = Object.keys(positions || {}).find(teamName => {
+      const position = positions[teamName];
+      return position !== null && position !== '' && !/^[1-9][0-9]*$/.test(String(position));
+    });
+    if (invalid) {
+      reject(new Error(`Invalid head judge position for ${invalid}`));
+      return;
+    }
+    getEventSettings().then(settings => {
+      const order = { ...settings.head_judge_order };
+      Object.keys(positions || {}).forEach(teamName => {
+        const position = positions[teamName];
+        if (position === null || position === '') {
+          delete order[teamName];
+        } else {
+          order[teamName] = parseInt(position, 10);
+        }
+      });
+      db.run(
+        `UPDATE event_settings 
+         SET head_judge_order = ?, updated_at = datetime("now")
+         WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+        [JSON.stringify(order)],
+        function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            liveUpdates.publish('leaderboard');
+            resolve(order);
+          }
+        }
+      );
+    }).catch(reject);
+  });
+};
+
+// Turn proximity routing in the judge queue on or off
+const setProximityRouting = (enabled) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE event_settings 
+       SET proximity_routing = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [enabled ? 1 : 0],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ proximity_routing: !!enabled });
+        }
+      }
+    );
+  });
+};
+
+// Set winners for divisions
+const setWinners = (winners) => {
+  return new Promise((resolve, reject) => {
+    const winnersJson = JSON.stringify(winners || {});
+    db.run(
+      `UPDATE event_settings 
+       SET winners = ?, updated_at = datetime("now")
+       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
+      [winnersJson],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('leaderboard');
+          resolve({ winners });
+        }
+      }
+    );
+  });
+};
+
+// Parse an awards row (eligible divisions and categories are stored as JSON)
+const parseAwardRow = (row) => {
+  const parseList = (value) => {
+    try {
+      const list = JSON.parse(value || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  };
+  return {
+    ...row,
+    divisions: parseList(row.divisions),
+    categories: parseList(row.categories),
+    placements: row.placements || 1,
+    announced: row.announced === 1
+  };
+};
+
+// Every award with its placed teams (winners: [{ place, team_id, team_name, project_name, ... }])
+const getAwards = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM awards ORDER BY id', [], (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      // Placements of deleted teams drop out with the join
+      db.all(
+        `SELECT aw.award_id, aw.place, aw.team_id, t.name as team_name, t.project_name, t.table_name, t.division,
+                t.logo_image, t.banner_image
+         FROM award_winners aw
+         JOIN teams t ON aw.team_id = t.id
+         ORDER BY aw.award_id, aw.place`,
+        [],
+        (winnersErr, winners) => {
+          if (winnersErr) {
+            reject(winnersErr);
+            return;
+          }
+          resolve(rows.map(row => ({
+            ...parseAwardRow(row),
+            winners: winners.filter(winner => winner.award_id === row.id)
+          })));
+        }
+      );
+    });
+  });
+};
+
+const getAwardById = async (id) => {
+  const awards = await getAwards();
+  return awards.find(award => award.id === id) || null;
+};
+
+const createAward = (award) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO awards (name, description, sponsor, divisions, categories, placements, announced)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [award.name, award.description || null, award.sponsor || null, JSON.stringify(award.divisions || []),
+        JSON.stringify(award.categories || []), award.placements || 1, award.announced ? 1 : 0],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          if (award.announced) {
+            liveUpdates.publish('leaderboard');
+          }
+          resolve({ id: this.lastID, ...award });
+        }
+      }
+    );
+  });
+};
+
+// Placements beyond a reduced number of placements are removed
+const updateAward = (id, award) => {
+  return new Promise((resolve, reject) => {
+    db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+      if (beginErr) {
+        reject(beginErr);
+        return;
+      }
+      const fail = (err) => {
+        db.run('ROLLBACK', () => { });
+        reject(err);
+      };
+
+      db.run(
+        `UPDATE awards
+         SET name = ?, description = ?, sponsor = ?, divisions = ?, categories = ?, placements = ?, announced = ?,
+             updated_at = datetime("now")
+         WHERE id = ?`,
+        [award.name, award.description || null, award.sponsor || null, JSON.stringify(award.divisions || []),
+          JSON.stringify(award.categories || []), award.placements || 1, award.announced ? 1 : 0, id],
+        (err) => {
+          if (err) {
+            fail(err);
+            return;
+          }
+          db.run('DELETE FROM award_winners WHERE award_id = ? AND place > ?', [id, award.placements || 1], (err) => {
+            if (err) {
+              fail(err);
+              return;
+            }
+            db.run('COMMIT', (commitErr) => {
+              if (commitErr) {
+                fail(commitErr);
+                return;
+              }
+              liveUpdates.publish('leaderboard');
+              resolve({ id, ...award });
+            });
+          });
+        }
+      );
+    });
+  });
+};
+
+const setAwardAnnounced = (id, announced) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE awards SET announced = ?, updated_at = datetime("now") WHERE id = ?',
+      [announced ? 1 : 0, id],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          liveUpdates.publish('leaderboard');
+          resolve({ id, announced: !!announced });
+        }
+      }
+    );
+  });
+};
+
+// Replace an award's placed teams (winners: [{ place, team_id }])
+const setAwardWinners = (awardId, winners) => {
+  return new Promise((resolve, reject) => {
+    const placed = winners || [];
+
+    db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+      if (beginErr) {
+        reject(beginErr);
+        return;
+      }
+      const fail = (err) => {
+        db.run('ROLLBACK', () => { });
+        reject(err);
+      };
+
+      db.run('DELETE FROM award_winners WHERE award_id = ?', [awardId], (err) => {
+        if (err) {
+          fail(err);
+          return;
+        }
+        const insertFrom = (index) => {
+          if (index >= placed.length) {
+            db.run('COMMIT', (commitErr) => {
+              if (commitErr) {
+                fail(commitErr);
+                return;
+              }
+              liveUpdates.publish('leaderboard');
+              resolve({ awardId, winners });
+            });
+            return;
+          }
+          db.run(
+            'INSERT INTO award_winners (award_id, place, team_id) VALUES (?, ?, ?)',
+            [awardId, placed[index].place, placed[index].team_id],
+            (err) => {
+              if (err) fail(err);
+              else insertFrom(index + 1);
+            }
+          );
+        };
+        insertFrom(0);
+      });
+    });
+  });
+};
+
+// Removing an award removes its placements
+const deleteAward = (id) => {
+  return new Promise((resolve, reject) => {
+    db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+      if (beginErr) {
+        reject(beginErr);
+        return;
+      }
+      const fail = (err) => {
+        db.run('ROLLBACK', () => { });
+        reject(err);
+      };
+
+      db.run('DELETE FROM award_winners WHERE award_id = ?', [id], (err) => {
+        if (err) {
+          fail(err);
+          return;
+        }
+        db.run('DELETE FROM awards WHERE id = ?', [id], function (err) {
+          if (err) {
+            fail(err);
+            return;
+          }
+          const changes = this.changes;
+          db.run('COMMIT', (commitErr) => {
+            if (commitErr) {
+              fail(commitErr);
+              return;
+            }
+            liveUpdates.publish('leaderboard');
+            resolve({ changes });
+          });
+        });
+      });
+    });
+  });
+};
+
+// Get teams with scores for a division (for winner selection), ranked with the admin's tiebreakers
+const getTeamsByDivisionWithScores = (division, normalization = 'raw') => {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const teams = await new Promise((res, rej) => {
+        db.all(
+          `SELECT id, name, division, table_name, project_name
+           FROM teams
+           WHERE division = ?`,
+          [division],
+          (err, rows) => {
+            if (err) rej(err);
+            else res(rows);
+          }
+        );
+      });
+
+      // Normalize across all of a judge's scores, not just this division
+      const aggregates = await getRankingAggregates(null, normalization);
+
+      const rows = teams.map(team => {
+        const aggregate = aggregates[team.name];
+        return {
+          ...team,
+          total_score: aggregate ? aggregate.total_score : 0,
+          judge_count: aggregate ? aggregate.judge_count : 0,
+          rounds_judged: aggregate ? aggregate.rounds_completed : 0,
+          latest_round_score: aggregate ? aggregate.latest_round_score : null
+        };
+      });
+
+      resolve(tiebreakers.rankTeams(rows, await getRankingOptions(null, 'total_score', 'name')));
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+// Get top team per category (for leaderboard sidebar)
+const getTopTeamPerCategory = (round, normalization = 'raw', asOf = null) => {
+  return new Promise(async (resolve, reject) => {
+    try {
+      // Start from teams (not categories) to ensure we get teams with categories
+      const teams = await new Promise((res, rej) => {
+        db.all(
+          `SELECT 
+            c.id as category_id,
+            c.name as category_name,
+            t.id as team_id,
+            t.name as team_name,
+            t.table_name,
+            t.project_name
+           FROM teams t
+           INNER JOIN categories c ON t.category_id = c.id
+           WHERE t.category_id IS NOT NULL`,
+          [],
+          (err, rows) => {
+            if (err) rej(err);
+            else res(rows);
+          }
+        );
+      });
+
+      const aggregates = await getRankingAggregates(round, normalization, null, asOf);
+
+      // Only teams that have been judged can lead a category
+      const rows = teams
+        .filter(team => aggregates[team.team_name])
+        .map(team => ({
+          ...team,
+          total_score: aggregates[team.team_name].total_score,
+          judge_count: aggregates[team.team_name].judge_count,
+          rounds_completed: aggregates[team.team_name].rounds_completed,
+          latest_round_score: aggregates[team.team_name].latest_round_score
+        }));
+
+      // Group by category and take the top-ranked team (tied leaders are marked `tied`)
+      const byCategory = {};
+      rows.forEach(row => {
+        (byCategory[row.category_id] = byCategory[row.category_id] || []).push(row);
+      });
+      const options = await getRankingOptions(round, 'total_score', 'team_name', asOf);
+      const categoryLeaders = {};
+      Object.keys(byCategory).forEach(categoryId => {
+        categoryLeaders[categoryId] = tiebreakers.rankTeams(byCategory[categoryId], options)[0];
+      });
+
+      // Convert to array and sort by category name
+      resolve(Object.values(categoryLeaders).sort((a, b) =>
+        a.category_name.localeCompare(b.category_name)
+      ));
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+const close = () => {
+  return new Promise((resolve, reject) => {
+    if (db) {
+      db.close((err) => {
+        if (err) reject(err);
+        else {
+          console.log('Database connection closed');
+          resolve();
+        }
+      });
+    } else {
+      resolve();
+    }
+  });
+};
+
+// Load what the queue needs to route a judge to nearby tables.
+// Resolves null when proximity routing is off or the judge's last table has no known position.
+const getProximityContext = (judgeEmail) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT proximity_routing FROM event_settings ORDER BY id DESC LIMIT 1`,
+      [],
+      (err, settings) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (!settings || !settings.proximity_routing) {
+          resolve(null);
+          return;
+        }
+
+        db.get(
+          `SELECT table_name FROM (${JUDGED_VISITS_SQL}) WHERE judge_email = ? ORDER BY updated_at DESC, id DESC LIMIT 1`,
+          [judgeEmail],
+          (err, lastScore) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            if (!lastScore) {
+              resolve(null);
+              return;
+            }
+
+            db.all('SELECT name, x, y FROM tables', [], (err, tables) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+
+              const positions = venue.buildPositionMap(tables);
+              if (!venue.lookupPosition(positions, lastScore.table_name)) {
+                resolve(null);
+                return;
+              }
+
+              resolve({ positions, originTable: lastScore.table_name });
+            });
+          }
+        );
+      }
+    );
+  });
+};
+
+// Load what the queue needs to match a judge's expertise.
+// Resolves null when matching is off or the judge has no tags (untagged judges take any team).
+// `coveredTeams` are teams another qualified judge can still take; in restrict mode only those are held back.
+const getExpertiseContext = async (judgeEmail, teams) => {
+  const settings = await getEventSettings();
+  const mode = settings.expertise_matching;
+  if (mode === 'off') {
+    return null;
+  }
+
+  const expertiseByJudge = await getAllJudgeExpertise();
+  const judgeExpertise = expertiseByJudge[judgeEmail];
+  if (!expertise.hasExpertise(judgeExpertise)) {
+    return null;
+  }
+  if (mode === 'prefer') {
+    return { mode, judgeExpertise, coveredTeams: new Set() };
+  }
+
+  const query = (sql, params) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+  const judges = await query(`SELECT email FROM users WHERE role = 'judge'`, []);
+  const unavailableRows = await query(
+    `SELECT DISTINCT judge_email, team_name FROM judge_team_assignments
+     UNION
+     SELECT judge_email, team_name FROM judge_conflicts`,
+    []
+  );
+  const unavailable = new Set(unavailableRows.map(row => `${row.judge_email}|${row.team_name}`));
+
+  return {
+    mode,
+    judgeExpertise,
+    coveredTeams: expertise.getTeamsWithQualifiedJudges(
+      teams,
+      judges.map(j => j.email),
+      expertiseByJudge,
+      unavailable,
+      judgeEmail
+    )
+  };
+};
+
+// Get the teams a judge is held back from in restrict mode (outside their expertise while
+// qualified judges remain), so self-assignment follows the same rule as the queue
+const getTeamsOutsideExpertise = (judgeEmail) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT t.name, t.division, c.name as category
+       FROM teams t
+       LEFT JOIN categories c ON t.category_id = c.id`,
+      [],
+      (err, teams) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        getExpertiseContext(judgeEmail, teams).then(context => {
+          if (!context || context.mode !== 'restrict') {
+            resolve([]);
+            return;
+          }
+          resolve(teams
+            .filter(t => !expertise.matchesExpertise(context.judgeExpertise, t) && context.coveredTeams.has(t.name))
+            .map(t => t.name));
+        }).catch(reject);
+      }
+    );
+  });
+};
+
+// Get the next team assignment for a judge in the current round
+const getNextTeamForJudge = (judgeEmail, round) => {
+  return new Promise((resolve, reject) => {
+    // Get all teams still competing this round, with how often each was skipped
+    db.all(
+      `SELECT t.name, t.table_name, t.division, c.name as category,
+        (SELECT COUNT(*) FROM team_skips ts WHERE ts.team_name = t.name AND ts.round = ?) as skip_count
+       FROM teams t
+       LEFT JOIN categories c ON t.category_id = c.id
+       WHERE ${ROUND_TEAMS_SQL}
+       ORDER BY t.name`,
+      [round, round, round],
+      (err, teams) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        // Get all teams this judge has EVER judged (across all rounds) or declared a conflict with
+        // This prevents a judge from judging the same team twice, ever
+        db.all(
+          `SELECT DISTINCT team_name FROM judge_team_assignments WHERE judge_email = ?
+           UNION
+           SELECT team_name FROM judge_conflicts WHERE judge_email = ?`,
+          [judgeEmail, judgeEmail],
+          (err, judgedTeams) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+
+            const judgedTeamNames = new Set(judgedTeams.map(t => t.team_name));
+
+            // Get how many judges each team has for the current round
+            // Also check which teams this judge is already assigned to in this round
+            // And which teams are currently locked
+            db.all(
+              `SELECT 
+                team_name, 
+                COUNT(*) as judge_count,
+                SUM(CASE WHEN judge_email = ? THEN 1 ELSE 0 END) as already_assigned,
+                SUM(CASE WHEN completed = 0 AND locked_at IS NOT NULL AND judge_email != ? THEN 1 ELSE 0 END) as is_locked
+               FROM judge_team_assignments 
+               WHERE round = ? 
+               GROUP BY team_name`,
+              [judgeEmail, judgeEmail, round],
+              (err, teamCounts) => {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+
+                const teamCountMap = {};
+                const alreadyAssignedSet = new Set();
+                const lockedTeamsSet = new Set();
+                teamCounts.forEach(tc => {
+                  teamCountMap[tc.team_name] = tc.judge_count;
+                  if (tc.already_assigned > 0) {
+                    alreadyAssignedSet.add(tc.team_name);
+                  }
+                  if (tc.is_locked > 0) {
+                    lockedTeamsSet.add(tc.team_name);
+                  }
+                });
+
+                // Get last assignment times for round-robin ordering
+                db.all(
+                  `SELECT team_name, MAX(assigned_at) as last_assigned
+                   FROM judge_team_assignments
+                   WHERE round = ? AND completed = 1
+                   GROUP BY team_name`,
+                  [round],
+                  (err, lastAssignments) => {
+                    if (err) {
+                      reject(err);
+                      return;
+                    }
+
+                    const lastAssignedMap = {};
+                    lastAssignments.forEach(la => {
+                      lastAssignedMap[la.team_name] = la.last_assigned || '';
+                    });
+
+                    Promise.all([
+                      getEventSettings(),
+                      getProximityContext(judgeEmail),
+                      getExpertiseContext(judgeEmail, teams)
+                    ]).then(([eventSettings, proximity, expertiseContext]) => {
+                      // Filter teams the judge hasn't judged yet AND isn't already assigned to in this round
+                      // AND that still need more judges AND are not currently locked
+                      const availableTeams = teams
+                        .filter(t => {
+                          // Must not have judged this team ever or have a conflict of interest
+                          if (judgedTeamNames.has(t.name)) return false;
+                          // Must not already be assigned to this team in current round
+                          if (alreadyAssignedSet.has(t.name)) return false;
+                          // Must not be locked by another judge
+                          if (lockedTeamsSet.has(t.name)) return false;
+                          // Must still need more judges for its round and division (prevent over-assignment)
+                          const currentJudgeCount = teamCountMap[t.name] || 0;
+                          const requiredJudges = judgeRequirements.getRequiredJudges(eventSettings.judges_per_team, round, t.division);
+                          if (currentJudgeCount >= requiredJudges) return false;
+                          // In restrict mode, leave teams outside the judge's expertise to qualified judges while any remain
+                          if (expertiseContext && expertiseContext.mode === 'restrict' &&
+                            !expertise.matchesExpertise(expertiseContext.judgeExpertise, t) &&
+                            expertiseContext.coveredTeams.has(t.name)) return false;
+                          return true;
+                        })
+                        .map(t => ({
+                          name: t.name,
+                          table_name: t.table_name,
+                          division: t.division,
+                          category: t.category,
+                          judge_count: teamCountMap[t.name] || 0,
+                          expertise_match: expertiseContext ? expertise.matchesExpertise(expertiseContext.judgeExpertise, t) : true,
+                          skip_count: t.skip_count || 0,
+                          last_assigned: lastAssignedMap[t.name] || '',
+                          distance: proximity
+                            ? venue.getTableDistance(proximity.positions, proximity.originTable, t.table_name)
+                            : null
+                        }))
+                        .sort((a, b) => {
+                          // First priority: teams with fewer judges
+                          if (a.judge_count !== b.judge_count) {
+                            return a.judge_count - b.judge_count;
+                          }
+                          // Teams judges found missing go behind others with as many judges, so they have time to return
+                          if (a.skip_count !== b.skip_count) {
+                            return a.skip_count - b.skip_count;
+                          }
+                          // Optional: prefer teams matching the judge's expertise
+                          if (a.expertise_match !== b.expertise_match) {
+                            return a.expertise_match ? -1 : 1;
+                          }
+                          // Optional: prefer teams closest to the judge's last-scored table
+                          if (a.distance !== b.distance) {
+                            if (a.distance === null) return 1; // Tables without a position go last
+                            if (b.distance === null) return -1;
+                            return a.distance - b.distance;
+                          }
+                          // Second priority: round-robin - teams that haven't been assigned recently
+                          // (for teams with same judge count, prefer ones not assigned recently)
+                          if (a.last_assigned !== b.last_assigned) {
+                            if (!a.last_assigned) return -1; // Never assigned gets priority
+                            if (!b.last_assigned) return 1;
+                            return a.last_assigned.localeCompare(b.last_assigned);
+                          }
+                          // Third priority: alphabetical by name
+                          return a.name.localeCompare(b.name);
+                        });
+
+                      if (availableTeams.length === 0) {
+                        resolve(null); // No available teams for this judge
+                        return;
+                      }
+
+                      // Return the team with the fewest judges (round-robin style)
+                      resolve(availableTeams[0]);
+                    }).catch(reject);
+                  }
+                );
+              }
+            );
+          }
+        );
+      }
+    );
+  });
+};
+
+// Assign a judge to a team
+// Note: For atomic locking, use lockTeamForJudge() instead
+const assignJudgeToTeam = (judgeEmail, teamName, round) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR IGNORE INTO judge_team_assignments (judge_email, team_name, round, completed, locked_at) 
+       VALUES (?, ?, ?, 0, CURRENT_TIMESTAMP)`,
+      [judgeEmail, teamName, round],
+      function (err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, judge_email: judgeEmail, team_name: teamName, round });
+      }
+    );
+  });
+};
+
+// Mark a team assignment as completed (its draft is no longer needed)
+const markAssignmentCompleted = (judgeEmail, teamName, round) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE judge_team_assignments 
+       SET completed = 1, draft = NULL, draft_saved_at = NULL 
+       WHERE judge_email = ? AND team_name = ? AND round = ?`,
+      [judgeEmail, teamName, round],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        liveUpdates.publish('queue');
+        resolve();
+      }
+    );
+  });
+};
+
+// Make sure a judge sent by the queue still holds the team when their score arrives.
+// A lock released by the timeout is taken again while the team still needs judges; once other
+// judges have filled the team it resolves { success: false, reason: 'team_complete' }
+const reclaimAssignment = (judgeEmail, teamName, round) => {
+  return new Promise((resolve, reject) => {
+    getEventSettings().then(eventSettings => {
+      db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+        if (beginErr) {
+          reject(beginErr);
+          return;
+        }
+
+        db.get(
+          `SELECT
+            (SELECT id FROM judge_team_assignments WHERE judge_email = ? AND team_name = ? AND round = ?) as assignment_id,
+            (SELECT COUNT(*) FROM judge_team_assignments WHERE team_name = ? AND round = ?) as judge_count,
+            (SELECT division FROM teams WHERE name = ?) as division`,
+          [judgeEmail, teamName, round, teamName, round, teamName],
+          (err, row) => {
+            if (err) {
+              db.run('ROLLBACK', () => { });
+              reject(err);
+              return;
+            }
+
+            if (row.assignment_id) {
+              // Still held (or already scored once)
+              db.run('COMMIT', (commitErr) => {
+                if (commitErr) reject(commitErr);
+                else resolve({ success: true, reclaimed: false });
+              });
+              return;
+            }
+
+            const requiredJudges = judgeRequirements.getRequiredJudges(eventSettings.judges_per_team, round, row.division);
+            if (row.judge_count >= requiredJudges) {
+              db.run('ROLLBACK', () => { });
+              resolve({ success: false, reason: 'team_complete' });
+              return;
+            }
+
+            db.run(
+              `INSERT INTO judge_team_assignments (judge_email, team_name, round, completed, locked_at) 
+               VALUES (?, ?, ?, 0, CURRENT_TIMESTAMP)`,
+              [judgeEmail, teamName, round],
+              (err) => {
+                if (err) {
+                  db.run('ROLLBACK', () => { });
+                  reject(err);
+                  return;
+                }
+                db.run('COMMIT', (commitErr) => {
+                  if (commitErr) {
+                    db.run('ROLLBACK', () => { });
+                    reject(commitErr);
+                    return;
+                  }
+                  liveUpdates.publish('queue');
+                  resolve({ success: true, reclaimed: true });
+                });
+              }
+            );
+          }
+        );
+      });
+    }).catch(reject);
+  });
+};
+
+// Autosave a judge's score entry draft on the team they hold
+// Resolves { saved: false } when the judge no longer holds the team (scored, skipped or lock released)
+const saveScoreDraft = (judgeEmail, teamName, round, draft) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE judge_team_assignments 
+       SET draft = ?, draft_saved_at = CURRENT_TIMESTAMP 
+       WHERE judge_email = ? AND team_name = ? AND round = ? 
+         AND completed = 0 AND locked_at IS NOT NULL`,
+      [JSON.stringify(draft), judgeEmail, teamName, round],
+      function (err) {
+        if (err) reject(err);
+        else resolve({ saved: this.changes > 0 });
+      }
+    );
+  });
+};
+
+// Get judge queue statistics for current round (team-based)
+const getJudgeQueueStats = (round) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT 
+        t.name as team_name,
+        t.table_name,
+        t.division,
+        COUNT(DISTINCT jta.judge_email) as judge_count,
+        COUNT(DISTINCT CASE WHEN jta.completed = 1 THEN jta.judge_email END) as completed_count,
+        GROUP_CONCAT(DISTINCT jta.judge_email) as judges,
+        (SELECT COUNT(*) FROM team_skips ts WHERE ts.team_name = t.name AND ts.round = ?) as skip_count
+       FROM teams t
+       LEFT JOIN judge_team_assignments jta ON t.name = jta.team_name AND jta.round = ?
+       WHERE ${ROUND_TEAMS_SQL}
+       GROUP BY t.name
+       ORDER BY judge_count ASC, t.name`,
+      [round, round, round, round],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // Attach how many judges each team needs for this round and its division
+        getEventSettings().then(eventSettings => {
+          resolve(rows.map(row => ({
+            ...row,
+            required_judges: judgeRequirements.getRequiredJudges(eventSettings.judges_per_team, round, row.division)
+          })));
+        }).catch(reject);
+      }
+    );
+  });
+};
+
+// Get what every judge is doing this round: current lock, teams scored, pace and idle time
+// Average time per team runs from the queue assignment to the score being submitted
+const getJudgeActivity = (round) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT 
+        u.email as judge_email,
+        u.name as judge_name,
+        cur.team_name as current_team,
+        cur.locked_at,
+        CAST((julianday('now') - julianday(cur.locked_at)) * 1440 AS INTEGER) as held_minutes,
+        t.table_name as current_table,
+        COALESCE(sc.teams_scored, 0) as teams_scored,
+        sc.last_score_at,
+        CAST((julianday('now') - julianday(sc.last_score_at)) * 1440 AS INTEGER) as minutes_since_last_score,
+        pace.avg_minutes_per_team
+       FROM users u
+       LEFT JOIN judge_team_assignments cur 
+         ON cur.judge_email = u.email AND cur.round = ? AND cur.completed = 0 AND cur.locked_at IS NOT NULL
+       LEFT JOIN teams t ON cur.team_name = t.name
+       LEFT JOIN (
+         SELECT judge_email, COUNT(*) as teams_scored, MAX(updated_at) as last_score_at
+         FROM (${JUDGED_VISITS_SQL}) WHERE round = ?
+         GROUP BY judge_email
+       ) sc ON sc.judge_email = u.email
+       LEFT JOIN (
+         SELECT jta.judge_email,
+           AVG(CASE WHEN s.created_at >= jta.assigned_at 
+               THEN (julianday(s.created_at) - julianday(jta.assigned_at)) * 1440 END) as avg_minutes_per_team
+         FROM judge_team_assignments jta
+         INNER JOIN (${JUDGED_VISITS_SQL}) s 
+           ON s.judge_email = jta.judge_email AND s.team_name = jta.team_name AND s.round = jta.round
+         WHERE jta.round = ? AND jta.completed = 1
+         GROUP BY jta.judge_email
+       ) pace ON pace.judge_email = u.email
+       WHERE u.role = 'judge' OR sc.judge_email IS NOT NULL OR cur.id IS NOT NULL
+       ORDER BY u.email`,
+      [round, round, round],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get the tables each judge visited this round (scored or compared), in the order they visited them
+// Resolves { judgeEmail: ['A1', 'A2', ...] } for measuring walking distance
+const getJudgeTableSequences = (round) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT judge_email, table_name FROM (${JUDGED_VISITS_SQL})
+       WHERE round = ?
+       ORDER BY judge_email, created_at, id`,
+      [round],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const sequences = {};
+        rows.forEach(row => {
+          if (!sequences[row.judge_email]) {
+            sequences[row.judge_email] = [];
+          }
+          sequences[row.judge_email].push(row.table_name);
+        });
+        resolve(sequences);
+      }
+    );
+  });
+};
+
+// Get all teams a judge has judged (across all rounds)
+const getJudgedTeamsByJudge = (judgeEmail) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT jta.team_name, jta.round, t.table_name, t.division 
+       FROM judge_team_assignments jta
+       LEFT JOIN teams t ON jta.team_name = t.name
+       WHERE jta.judge_email = ? 
+       ORDER BY jta.round, jta.team_name`,
+      [judgeEmail],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get current incomplete assignments (locked but not completed) for a judge
+const getCurrentAssignmentsForJudge = (judgeEmail, round) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT jta.team_name, jta.round, jta.locked_at, jta.draft, jta.draft_saved_at, t.table_name, t.division 
+       FROM judge_team_assignments jta
+       LEFT JOIN teams t ON jta.team_name = t.name
+       WHERE jta.judge_email = ? 
+         AND jta.round = ?
+         AND jta.completed = 0
+         AND jta.locked_at IS NOT NULL
+       ORDER BY jta.locked_at DESC`,
+      [judgeEmail, round],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Check if a team is currently locked by any judge
+const isTeamLocked = (teamName, round) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT judge_email, locked_at 
+       FROM judge_team_assignments 
+       WHERE team_name = ? 
+         AND round = ? 
+         AND completed = 0 
+         AND locked_at IS NOT NULL
+       LIMIT 1`,
+      [teamName, round],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(!!row); // Return true if locked, false if not
+      }
+    );
+  });
+};
+
+// Atomically lock a team for a judge
+// Uses a transaction to prevent race conditions
+const lockTeamForJudge = (judgeEmail, teamName, round) => {
+  return new Promise((resolve, reject) => {
+    // Use a transaction to ensure atomicity
+    db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+      if (beginErr) {
+        reject(beginErr);
+        return;
+      }
+
+      // Check if team is already locked by another judge, or the judge has a conflict with it
+      db.get(
+        `SELECT
+          (SELECT judge_email 
+           FROM judge_team_assignments 
+           WHERE team_name = ? 
+             AND round = ? 
+             AND completed = 0 
+             AND locked_at IS NOT NULL
+             AND judge_email != ?
+           LIMIT 1) as locked_by,
+          (SELECT id FROM judge_conflicts WHERE judge_email = ? AND team_name = ?) as conflict_id`,
+        [teamName, round, judgeEmail, judgeEmail, teamName],
+        (err, existingLock) => {
+          if (err) {
+            db.run('ROLLBACK', () => { });
+            reject(err);
+            return;
           }
-          // Parse winners JSON string
-          let winners = {};
-          try {
-            winners = row.winners ? JSON.parse(row.winners) : {};
-          } catch (e) {
-            winners = {};
+
+          if (existingLock.conflict_id) {
+            // Judge declared (or was given) a conflict of interest with this team
+            db.run('ROLLBACK', () => { });
+            resolve({ success: false, reason: 'conflict' });
+            return;
           }
-          resolve({
-            ...row,
-            divisions,
-            judging_locked: row.judging_locked === 1,
-            winners
-          });
+
+          if (existingLock.locked_by) {
+            // Team is locked by another judge
+            db.run('ROLLBACK', () => { });
+            resolve({ success: false, reason: 'already_locked' });
+            return;
+          }
+
+          // Try to insert or update the assignment with lock
+          db.run(
+            `INSERT INTO judge_team_assignments (judge_email, team_name, round, completed, locked_at) 
+             VALUES (?, ?, ?, 0, CURRENT_TIMESTAMP)
+             ON CONFLICT(judge_email, team_name, round) 
+             DO UPDATE SET locked_at = CURRENT_TIMESTAMP 
+             WHERE completed = 0 AND locked_at IS NULL`,
+            [judgeEmail, teamName, round],
+            function (err) {
+              if (err) {
+                db.run('ROLLBACK', () => { });
+                reject(err);
+                return;
+              }
+
+              // Verify the lock was set (check if this judge now has the lock)
+              db.get(
+                `SELECT locked_at, id
+                 FROM judge_team_assignments 
+                 WHERE judge_email = ? 
+                   AND team_name = ? 
+                   AND round = ? 
+                   AND completed = 0 
+                   AND locked_at IS NOT NULL`,
+                [judgeEmail, teamName, round],
+                (err, lockCheck) => {
+                  if (err) {
+                    db.run('ROLLBACK', () => { });
+                    reject(err);
+                    return;
+                  }
+
+                  db.run('COMMIT', (commitErr) => {
+                    if (commitErr) {
+                      db.run('ROLLBACK', () => { });
+                      reject(commitErr);
+                      return;
+                    }
+
+                    if (lockCheck) {
+                      liveUpdates.publish('queue');
+                      resolve({ success: true, id: lockCheck.id });
+                    } else {
+                      // Lock was not set (possibly due to race condition)
+                      resolve({ success: false, reason: 'lock_failed' });
+                    }
+                  });
+                }
+              );
+            }
+          );
         }
-      }
+      );
     });
   });
 };
 
-const updateEventSettings = (settings) => {
+// Release locks held longer than the timeout so abandoned teams return to the queue
+// The unfinished assignment is removed entirely, so the team no longer counts as judged
+const releaseStaleLocks = (timeoutMinutes) => {
   return new Promise((resolve, reject) => {
-    const divisionsJson = Array.isArray(settings.divisions)
-      ? JSON.stringify(settings.divisions)
-      : (settings.divisions || '[]');
-
+    const minutes = parseInt(timeoutMinutes, 10);
+    if (!minutes || minutes <= 0) {
+      resolve({ released: 0 });
+      return;
+    }
     db.run(
-      `UPDATE event_settings 
-       SET event_name = ?, start_date = ?, end_date = ?, divisions = ?, logo_filename = ?, 
-           hero_banner_image = ?, hero_banner_link = ?, landing_page_content = ?, event_dates_text = ?,
-           updated_at = datetime("now")
-       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
-      [
-        settings.event_name || 'Hackathon',
-        settings.start_date || null,
-        settings.end_date || null,
-        divisionsJson,
-        settings.logo_filename || null,
-        settings.hero_banner_image || null,
-        settings.hero_banner_link || null,
-        settings.landing_page_content || null,
-        settings.event_dates_text || null
-      ],
+      `DELETE FROM judge_team_assignments 
+       WHERE completed = 0 
+         AND locked_at IS NOT NULL 
+         AND locked_at <= datetime('now', ?)`,
+      [`-${minutes} minutes`],
       function (err) {
         if (err) {
           reject(err);
           return;
         }
-
-        // If no rows were updated, insert instead
-        if (this.changes === 0) {
-          db.run(
-            `INSERT INTO event_settings (event_name, start_date, end_date, divisions, logo_filename, 
-                                        hero_banner_image, hero_banner_link, landing_page_content, event_dates_text, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"))`,
-            [
-              settings.event_name || 'Hackathon',
-              settings.start_date || null,
-              settings.end_date || null,
-              divisionsJson,
-              settings.logo_filename || null,
-              settings.hero_banner_image || null,
-              settings.hero_banner_link || null,
-              settings.landing_page_content || null,
-              settings.event_dates_text || null
-            ],
-            function (insertErr) {
-              if (insertErr) reject(insertErr);
-              else resolve({ id: this.lastID, ...settings, divisions: Array.isArray(settings.divisions) ? settings.divisions : JSON.parse(divisionsJson) });
-            }
-          );
-        } else {
-          resolve({ ...settings, divisions: Array.isArray(settings.divisions) ? settings.divisions : JSON.parse(divisionsJson) });
+        if (this.changes > 0) {
+          liveUpdates.publish('queue');
         }
+        resolve({ released: this.changes });
       }
     );
   });
 };
 
-const incrementRound = () => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Get current settings
-      const settings = await getEventSettings();
-      const currentRound = settings.current_round || 1;
-      const lockedRounds = JSON.parse(settings.locked_rounds || '[]');
-
-      // Lock the current round
-      if (!lockedRounds.includes(currentRound)) {
-        lockedRounds.push(currentRound);
+// Get every lock currently held (incomplete assignments) across all rounds
+const getActiveLocks = () => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT jta.id, jta.judge_email, jta.team_name, jta.round, jta.locked_at, 
+              CAST((julianday('now') - julianday(jta.locked_at)) * 1440 AS INTEGER) as held_minutes,
+              t.table_name, t.division, u.name as judge_name
+       FROM judge_team_assignments jta
+       LEFT JOIN teams t ON jta.team_name = t.name
+       LEFT JOIN users u ON jta.judge_email = u.email
+       WHERE jta.completed = 0 AND jta.locked_at IS NOT NULL
+       ORDER BY jta.locked_at ASC`,
+      [],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
       }
-
-      // Increment to next round
-      const nextRound = currentRound + 1;
-
-      db.run(
-        'UPDATE event_settings SET current_round = ?, locked_rounds = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
-        [nextRound, JSON.stringify(lockedRounds)],
-        (err) => {
-          if (err) reject(err);
-          else resolve({ currentRound: nextRound, lockedRounds });
-        }
-      );
-    } catch (error) {
-      reject(error);
-    }
-  });
-};
-
-const isRoundLocked = (round) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const settings = await getEventSettings();
-      const lockedRounds = JSON.parse(settings.locked_rounds || '[]');
-      resolve(lockedRounds.includes(round));
-    } catch (error) {
-      reject(error);
-    }
+    );
   });
 };
 
-// Lock or unlock judging
-const setJudgingLocked = (locked) => {
+// Force-release a single lock (admin)
+const releaseLock = (assignmentId) => {
   return new Promise((resolve, reject) => {
     db.run(
-      `UPDATE event_settings 
-       SET judging_locked = ?, updated_at = datetime("now")
-       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
-      [locked ? 1 : 0],
+      'DELETE FROM judge_team_assignments WHERE id = ? AND completed = 0',
+      [assignmentId],
       function (err) {
         if (err) {
           reject(err);
-        } else {
-          resolve({ judging_locked: locked });
+          return;
         }
+        if (this.changes > 0) {
+          liveUpdates.publish('queue');
+        }
+        resolve({ released: this.changes });
       }
     );
   });
 };
 
-// Set winners for divisions
-const setWinners = (winners) => {
+// Skip a queued team (e.g. team not at their table)
+// Releases the judge's unfinished assignment without marking the team as judged by them
+const skipTeamForJudge = (judgeEmail, teamName, round, reason) => {
   return new Promise((resolve, reject) => {
-    const winnersJson = JSON.stringify(winners || {});
-    db.run(
-      `UPDATE event_settings 
-       SET winners = ?, updated_at = datetime("now")
-       WHERE id = (SELECT id FROM event_settings ORDER BY id DESC LIMIT 1)`,
-      [winnersJson],
-      function (err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ winners });
+    if (!SKIP_REASONS.includes(reason)) {
+      reject(new Error(`Invalid skip reason: ${reason}`));
+      return;
+    }
+    db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+      if (beginErr) {
+        reject(beginErr);
+        return;
+      }
+      const fail = (err) => {
+        db.run('ROLLBACK', () => { });
+        reject(err);
+      };
+      const commit = () => {
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) {
+            fail(commitErr);
+            return;
+          }
+          liveUpdates.publish('queue');
+          resolve({ success: true });
+        });
+      };
+
+      db.run(
+        'DELETE FROM judge_team_assignments WHERE judge_email = ? AND team_name = ? AND round = ? AND completed = 0',
+        [judgeEmail, teamName, round],
+        function (err) {
+          if (err) {
+            fail(err);
+            return;
+          }
+          if (this.changes === 0) {
+            db.run('ROLLBACK', () => { });
+            resolve({ success: false, reason: 'not_assigned' });
+            return;
+          }
+          db.run(
+            'INSERT INTO team_skips (judge_email, team_name, round, reason) VALUES (?, ?, ?, ?)',
+            [judgeEmail, teamName, round, reason],
+            (err) => {
+              if (err) {
+                fail(err);
+                return;
+              }
+              if (reason !== 'conflict') {
+                commit();
+                return;
+              }
+              // A conflict found at the table is recorded so the judge is never sent back
+              db.run(
+                `INSERT OR IGNORE INTO judge_conflicts (judge_email, team_name, reason, declared_by) 
+                 VALUES (?, ?, 'Declared when skipping', ?)`,
+                [judgeEmail, teamName, judgeEmail],
+                (err) => {
+                  if (err) fail(err);
+                  else commit();
+                }
+              );
+            }
+          );
         }
+      );
+    });
+  });
+};
+
+// Get skip counts per team and round, most skipped first
+const getTeamSkipSummary = () => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT ts.team_name, ts.round, t.table_name, t.division,
+        COUNT(*) as skip_count,
+        SUM(CASE WHEN ts.reason = 'absent' THEN 1 ELSE 0 END) as absent_count,
+        SUM(CASE WHEN ts.reason = 'technical' THEN 1 ELSE 0 END) as technical_count,
+        SUM(CASE WHEN ts.reason = 'conflict' THEN 1 ELSE 0 END) as conflict_count,
+        MAX(ts.created_at) as last_skipped_at
+       FROM team_skips ts
+       LEFT JOIN teams t ON ts.team_name = t.name
+       GROUP BY ts.team_name, ts.round
+       ORDER BY skip_count DESC, last_skipped_at DESC`,
+      [],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
       }
     );
   });
 };
 
-// Get teams with scores for a division (for winner selection)
-const getTeamsByDivisionWithScores = (division) => {
+// Conflict of interest operations
+const getJudgeConflicts = () => {
   return new Promise((resolve, reject) => {
     db.all(
-      `SELECT 
-        t.id,
-        t.name,
-        t.division,
-        t.table_name,
-        t.project_name,
-        COALESCE(AVG(s.score), 0) as avg_score,
-        COUNT(DISTINCT s.judge_email) as judge_count,
-        COUNT(DISTINCT s.round) as rounds_judged
-       FROM teams t
-       LEFT JOIN scores s ON t.name = s.team_name
-       WHERE t.division = ?
-       GROUP BY t.id, t.name, t.division, t.table_name, t.project_name
-       ORDER BY avg_score DESC, judge_count DESC, rounds_judged DESC`,
-      [division],
+      `SELECT jc.*, t.table_name, t.division, u.name as judge_name
+       FROM judge_conflicts jc
+       LEFT JOIN teams t ON jc.team_name = t.name
+       LEFT JOIN users u ON jc.judge_email = u.email
+       ORDER BY jc.judge_email, jc.team_name`,
+      [],
       (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows.map(row => ({
-            ...row,
-            avg_score: parseFloat(row.avg_score) || 0,
-            judge_count: parseInt(row.judge_count) || 0,
-            rounds_judged: parseInt(row.rounds_judged) || 0
-          })));
-        }
+        if (err) reject(err);
+        else resolve(rows);
       }
     );
   });
 };
 
-// Get top team per category (for leaderboard sidebar)
-const getTopTeamPerCategory = (round) => {
+const getConflictsForJudge = (judgeEmail) => {
   return new Promise((resolve, reject) => {
-    // Get all teams with their scores grouped by category
-    // Start from teams (not categories) to ensure we get teams with categories and scores
     db.all(
-      `SELECT 
-        c.id as category_id,
-        c.name as category_name,
-        t.id as team_id,
-        t.name as team_name,
-        t.table_name,
-        t.project_name,
-        COALESCE(SUM(s.score), 0) as total_score,
-        COUNT(DISTINCT s.judge_email) as judge_count,
-        COUNT(DISTINCT s.round) as rounds_completed
-       FROM teams t
-       INNER JOIN categories c ON t.category_id = c.id
-       LEFT JOIN scores s ON t.name = s.team_name AND s.round <= ?
-       WHERE t.category_id IS NOT NULL
-       GROUP BY c.id, c.name, t.id, t.name, t.table_name, t.project_name
-       HAVING total_score > 0 OR judge_count > 0
-       ORDER BY c.name, total_score DESC, judge_count DESC`,
-      [round],
+      `SELECT jc.*, t.table_name, t.division
+       FROM judge_conflicts jc
+       LEFT JOIN teams t ON jc.team_name = t.name
+       WHERE jc.judge_email = ?
+       ORDER BY jc.team_name`,
+      [judgeEmail],
       (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// declaredBy is the email of whoever recorded the conflict (the judge or an admin)
+// Any unfinished assignment the judge holds for the team is released
+const addJudgeConflict = (judgeEmail, teamName, reason, declaredBy) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO judge_conflicts (judge_email, team_name, reason, declared_by) VALUES (?, ?, ?, ?)`,
+      [judgeEmail, teamName, reason || null, declaredBy],
+      function (err) {
         if (err) {
           reject(err);
-        } else {
-          // Group by category and get the top team (first one, highest score) for each category
-          const categoryLeaders = {};
-          rows.forEach(row => {
-            const categoryId = row.category_id;
-            // Only take the first team for each category (which will be the highest scoring due to ORDER BY)
-            if (!categoryLeaders[categoryId]) {
-              categoryLeaders[categoryId] = {
-                category_id: row.category_id,
-                category_name: row.category_name,
-                team_id: row.team_id,
-                team_name: row.team_name,
-                table_name: row.table_name,
-                project_name: row.project_name,
-                total_score: parseFloat(row.total_score) || 0,
-                judge_count: parseInt(row.judge_count) || 0,
-                rounds_completed: parseInt(row.rounds_completed) || 0
-              };
-            }
-          });
-
-          // Convert to array and sort by category name
-          resolve(Object.values(categoryLeaders).sort((a, b) =>
-            a.category_name.localeCompare(b.category_name)
-          ));
+          return;
         }
+        const conflictId = this.lastID;
+        db.run(
+          'DELETE FROM judge_team_assignments WHERE judge_email = ? AND team_name = ? AND completed = 0',
+          [judgeEmail, teamName],
+          (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            liveUpdates.publish('queue');
+            resolve({ id: conflictId, judge_email: judgeEmail, team_name: teamName, reason, declared_by: declaredBy });
+          }
+        );
       }
     );
   });
 };
 
-const close = () => {
+const getJudgeConflictById = (id) => {
   return new Promise((resolve, reject) => {
-    if (db) {
-      db.close((err) => {
-        if (err) reject(err);
-        else {
-          console.log('Database connection closed');
-          resolve();
-        }
-      });
-    } else {
-      resolve();
-    }
+    db.get('SELECT * FROM judge_conflicts WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
   });
 };
 
-// Get the next team assignment for a judge in the current round
-const getNextTeamForJudge = (judgeEmail, round) => {
+const deleteJudgeConflict = (id) => {
   return new Promise((resolve, reject) => {
-    // Get all teams
-    db.all('SELECT name, table_name, division FROM teams ORDER BY name', [], (err, teams) => {
+    db.run('DELETE FROM judge_conflicts WHERE id = ?', [id], function (err) {
       if (err) {
         reject(err);
         return;
       }
+      if (this.changes > 0) {
+        liveUpdates.publish('queue');
+      }
+      resolve({ changes: this.changes });
+    });
+  });
+};
 
-      // Get all teams this judge has EVER judged (across all rounds)
-      // This prevents a judge from judging the same team twice, ever
-      db.all(
-        'SELECT DISTINCT team_name FROM judge_team_assignments WHERE judge_email = ?',
-        [judgeEmail],
-        (err, judgedTeams) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          const judgedTeamNames = new Set(judgedTeams.map(t => t.team_name));
-
-          // Get how many judges each team has for the current round
-          // Also check which teams this judge is already assigned to in this round
-          // And which teams are currently locked
-          db.all(
-            `SELECT 
-              team_name, 
-              COUNT(*) as judge_count,
-              SUM(CASE WHEN judge_email = ? THEN 1 ELSE 0 END) as already_assigned,
-              SUM(CASE WHEN completed = 0 AND locked_at IS NOT NULL AND judge_email != ? THEN 1 ELSE 0 END) as is_locked
-             FROM judge_team_assignments 
-             WHERE round = ? 
-             GROUP BY team_name`,
-            [judgeEmail, judgeEmail, round],
-            (err, teamCounts) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-
-              const teamCountMap = {};
-              const alreadyAssignedSet = new Set();
-              const lockedTeamsSet = new Set();
-              teamCounts.forEach(tc => {
-                teamCountMap[tc.team_name] = tc.judge_count;
-                if (tc.already_assigned > 0) {
-                  alreadyAssignedSet.add(tc.team_name);
-                }
-                if (tc.is_locked > 0) {
-                  lockedTeamsSet.add(tc.team_name);
-                }
-              });
-
-              // Get required judges per team from env (default to 2)
-              const requiredJudgesPerTeam = parseInt(process.env.JUDGES_PER_TEAM || '2', 10);
-
-              // Get last assignment times for round-robin ordering
-              db.all(
-                `SELECT team_name, MAX(assigned_at) as last_assigned
-                 FROM judge_team_assignments
-                 WHERE round = ? AND completed = 1
-                 GROUP BY team_name`,
-                [round],
-                (err, lastAssignments) => {
-                  if (err) {
-                    reject(err);
-                    return;
-                  }
-
-                  const lastAssignedMap = {};
-                  lastAssignments.forEach(la => {
-                    lastAssignedMap[la.team_name] = la.last_assigned || '';
-                  });
-
-                  // Filter teams the judge hasn't judged yet AND isn't already assigned to in this round
-                  // AND that still need more judges AND are not currently locked
-                  const availableTeams = teams
-                    .filter(t => {
-                      // Must not have judged this team ever
-                      if (judgedTeamNames.has(t.name)) return false;
-                      // Must not already be assigned to this team in current round
-                      if (alreadyAssignedSet.has(t.name)) return false;
-                      // Must not be locked by another judge
-                      if (lockedTeamsSet.has(t.name)) return false;
-                      // Must still need more judges (prevent over-assignment)
-                      const currentJudgeCount = teamCountMap[t.name] || 0;
-                      if (currentJudgeCount >= requiredJudgesPerTeam) return false;
-                      return true;
-                    })
-                    .map(t => ({
-                      name: t.name,
-                      table_name: t.table_name,
-                      division: t.division,
-                      judge_count: teamCountMap[t.name] || 0,
-                      last_assigned: lastAssignedMap[t.name] || ''
-                    }))
-                    .sort((a, b) => {
-                      // First priority: teams with fewer judges
-                      if (a.judge_count !== b.judge_count) {
-                        return a.judge_count - b.judge_count;
-                      }
-                      // Second priority: round-robin - teams that haven't been assigned recently
-                      // (for teams with same judge count, prefer ones not assigned recently)
-                      if (a.last_assigned !== b.last_assigned) {
-                        if (!a.last_assigned) return -1; // Never assigned gets priority
-                        if (!b.last_assigned) return 1;
-                        return a.last_assigned.localeCompare(b.last_assigned);
-                      }
-                      // Third priority: alphabetical by name
-                      return a.name.localeCompare(b.name);
-                    });
+// Group judge_expertise rows into { judgeEmail: { divisions: [], categories: [] } }
+const groupExpertiseRows = (rows) => {
+  const byJudge = {};
+  rows.forEach(row => {
+    if (!byJudge[row.judge_email]) {
+      byJudge[row.judge_email] = { divisions: [], categories: [] };
+    }
+    if (row.kind === 'division') {
+      byJudge[row.judge_email].divisions.push(row.value);
+    } else if (row.kind === 'category') {
+      byJudge[row.judge_email].categories.push(row.value);
+    }
+  });
+  return byJudge;
+};
 
-                  if (availableTeams.length === 0) {
-                    resolve(null); // No available teams for this judge
-                    return;
-                  }
+// Calibration items, oldest first (the order judges score them in)
+const getCalibrationItems = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM calibration_items ORDER BY id', [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
 
-                  // Return the team with the fewest judges (round-robin style)
-                  resolve(availableTeams[0]);
-                }
-              );
-            }
-          );
-        }
-      );
+const getCalibrationItemById = (id) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM calibration_items WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row || null);
     });
   });
 };
 
-// Assign a judge to a team
-// Note: For atomic locking, use lockTeamForJudge() instead
-const assignJudgeToTeam = (judgeEmail, teamName, round) => {
+const addCalibrationItem = (name, description, link) => {
   return new Promise((resolve, reject) => {
     db.run(
-      `INSERT OR IGNORE INTO judge_team_assignments (judge_email, team_name, round, completed, locked_at) 
-       VALUES (?, ?, ?, 0, CURRENT_TIMESTAMP)`,
-      [judgeEmail, teamName, round],
+      'INSERT INTO calibration_items (name, description, link) VALUES (?, ?, ?)',
+      [name, description || null, link || null],
       function (err) {
         if (err) reject(err);
-        else resolve({ id: this.lastID, judge_email: judgeEmail, team_name: teamName, round });
+        else resolve({ id: this.lastID, name, description, link });
       }
     );
   });
 };
 
-// Mark a team assignment as completed
-const markAssignmentCompleted = (judgeEmail, teamName, round) => {
+// Removing an item removes the calibration scores judges gave it
+const deleteCalibrationItem = (id) => {
   return new Promise((resolve, reject) => {
-    db.run(
-      `UPDATE judge_team_assignments 
-       SET completed = 1 
-       WHERE judge_email = ? AND team_name = ? AND round = ?`,
-      [judgeEmail, teamName, round],
-      (err) => {
+    db.serialize(() => {
+      db.run('DELETE FROM calibration_scores WHERE item_id = ?', [id]);
+      db.run('DELETE FROM calibration_items WHERE id = ?', [id], function (err) {
         if (err) reject(err);
-        else resolve();
-      }
-    );
+        else resolve({ changes: this.changes });
+      });
+    });
   });
 };
 
-// Get judge queue statistics for current round (team-based)
-const getJudgeQueueStats = (round) => {
+// Calibration scores for every judge, or just one (criteria parsed from JSON)
+const getCalibrationScores = (judgeEmail = null) => {
   return new Promise((resolve, reject) => {
-    db.all(
-      `SELECT 
-        t.name as team_name,
-        t.table_name,
-        t.division,
-        COUNT(DISTINCT jta.judge_email) as judge_count,
-        GROUP_CONCAT(DISTINCT jta.judge_email) as judges
-       FROM teams t
-       LEFT JOIN judge_team_assignments jta ON t.name = jta.team_name AND jta.round = ?
-       GROUP BY t.name
-       ORDER BY judge_count ASC, t.name`,
-      [round],
-      (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
+    let query = `SELECT cs.*, u.name as judge_name
+       FROM calibration_scores cs
+       LEFT JOIN users u ON cs.judge_email = u.email`;
+    const params = [];
+    if (judgeEmail) {
+      query += ' WHERE cs.judge_email = ?';
+      params.push(judgeEmail);
+    }
+    query += ' ORDER BY cs.judge_email, cs.item_id';
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
       }
-    );
+      resolve(rows.map(row => {
+        let criteria = {};
+        try {
+          criteria = row.criteria ? JSON.parse(row.criteria) : {};
+        } catch (e) {
+          criteria = {};
+        }
+        return { ...row, criteria };
+      }));
+    });
   });
 };
 
-// Get all teams a judge has judged (across all rounds)
-const getJudgedTeamsByJudge = (judgeEmail) => {
+// Save (or replace) a judge's calibration score for an item
+const saveCalibrationScore = (judgeEmail, itemId, score, notes, criteria = {}) => {
   return new Promise((resolve, reject) => {
-    db.all(
-      `SELECT jta.team_name, jta.round, t.table_name, t.division 
-       FROM judge_team_assignments jta
-       LEFT JOIN teams t ON jta.team_name = t.name
-       WHERE jta.judge_email = ? 
-       ORDER BY jta.round, jta.team_name`,
-      [judgeEmail],
-      (err, rows) => {
+    db.run(
+      `INSERT INTO calibration_scores (judge_email, item_id, score, notes, criteria)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(judge_email, item_id) DO UPDATE SET
+         score = excluded.score,
+         notes = excluded.notes,
+         criteria = excluded.criteria,
+         updated_at = CURRENT_TIMESTAMP`,
+      [judgeEmail, itemId, score, notes || null, JSON.stringify(criteria)],
+      function (err) {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve({ judge_email: judgeEmail, item_id: itemId, score });
       }
     );
   });
 };
 
-// Get current incomplete assignments (locked but not completed) for a judge
-const getCurrentAssignmentsForJudge = (judgeEmail, round) => {
+// Get the divisions and categories a judge is tagged with
+const getJudgeExpertise = (judgeEmail) => {
   return new Promise((resolve, reject) => {
     db.all(
-      `SELECT jta.team_name, jta.round, jta.locked_at, t.table_name, t.division 
-       FROM judge_team_assignments jta
-       LEFT JOIN teams t ON jta.team_name = t.name
-       WHERE jta.judge_email = ? 
-         AND jta.round = ?
-         AND jta.completed = 0
-         AND jta.locked_at IS NOT NULL
-       ORDER BY jta.locked_at DESC`,
-      [judgeEmail, round],
+      'SELECT judge_email, kind, value FROM judge_expertise WHERE judge_email = ? ORDER BY kind, value',
+      [judgeEmail],
       (err, rows) => {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve(groupExpertiseRows(rows)[judgeEmail] || { divisions: [], categories: [] });
       }
     );
   });
 };
 
-// Check if a team is currently locked by any judge
-const isTeamLocked = (teamName, round) => {
+// Get expertise for every judge, keyed by email
+const getAllJudgeExpertise = () => {
   return new Promise((resolve, reject) => {
-    db.get(
-      `SELECT judge_email, locked_at 
-       FROM judge_team_assignments 
-       WHERE team_name = ? 
-         AND round = ? 
-         AND completed = 0 
-         AND locked_at IS NOT NULL
-       LIMIT 1`,
-      [teamName, round],
-      (err, row) => {
+    db.all(
+      'SELECT judge_email, kind, value FROM judge_expertise ORDER BY judge_email, kind, value',
+      [],
+      (err, rows) => {
         if (err) reject(err);
-        else resolve(!!row); // Return true if locked, false if not
+        else resolve(groupExpertiseRows(rows));
       }
     );
   });
 };
 
-// Atomically lock a team for a judge
-// Uses a transaction to prevent race conditions
-const lockTeamForJudge = (judgeEmail, teamName, round) => {
+// Replace a judge's expertise tags (categories are stored by name)
+const setJudgeExpertise = (judgeEmail, divisions, categories) => {
   return new Promise((resolve, reject) => {
-    // Use a transaction to ensure atomicity
+    const tags = [
+      ...[...new Set(divisions || [])].map(value => ['division', value]),
+      ...[...new Set(categories || [])].map(value => ['category', value])
+    ];
+
     db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
       if (beginErr) {
         reject(beginErr);
         return;
       }
-
-      // Check if team is already locked by another judge
-      db.get(
-        `SELECT judge_email 
-         FROM judge_team_assignments 
-         WHERE team_name = ? 
-           AND round = ? 
-           AND completed = 0 
-           AND locked_at IS NOT NULL
-           AND judge_email != ?
-         LIMIT 1`,
-        [teamName, round, judgeEmail],
-        (err, existingLock) => {
-          if (err) {
-            db.run('ROLLBACK', () => { });
-            reject(err);
-            return;
-          }
-
-          if (existingLock) {
-            // Team is locked by another judge
-            db.run('ROLLBACK', () => { });
-            resolve({ success: false, reason: 'already_locked' });
-            return;
-          }
-
-          // Try to insert or update the assignment with lock
-          db.run(
-            `INSERT INTO judge_team_assignments (judge_email, team_name, round, completed, locked_at) 
-             VALUES (?, ?, ?, 0, CURRENT_TIMESTAMP)
-             ON CONFLICT(judge_email, team_name, round) 
-             DO UPDATE SET locked_at = CURRENT_TIMESTAMP 
-             WHERE completed = 0 AND locked_at IS NULL`,
-            [judgeEmail, teamName, round],
-            function (err) {
-              if (err) {
-                db.run('ROLLBACK', () => { });
-                reject(err);
-                return;
-              }
-
-              // Verify the lock was set (check if this judge now has the lock)
-              db.get(
-                `SELECT locked_at, id
-                 FROM judge_team_assignments 
-                 WHERE judge_email = ? 
-                   AND team_name = ? 
-                   AND round = ? 
-                   AND completed = 0 
-                   AND locked_at IS NOT NULL`,
-                [judgeEmail, teamName, round],
-                (err, lockCheck) => {
-                  if (err) {
-                    db.run('ROLLBACK', () => { });
-                    reject(err);
-                    return;
-                  }
-
-                  db.run('COMMIT', (commitErr) => {
-                    if (commitErr) {
-                      db.run('ROLLBACK', () => { });
-                      reject(commitErr);
-                      return;
-                    }
-
-                    if (lockCheck) {
-                      resolve({ success: true, id: lockCheck.id });
-                    } else {
-                      // Lock was not set (possibly due to race condition)
-                      resolve({ success: false, reason: 'lock_failed' });
-                    }
-                  });
-                }
-              );
-            }
-          );
+      const fail = (err) => {
+        db.run('ROLLBACK', () => { });
+        reject(err);
+      };
+      // Only add the new tags once the old ones are gone
+      const insertFrom = (index) => {
+        if (index >= tags.length) {
+          db.run('COMMIT', (commitErr) => {
+            if (commitErr) fail(commitErr);
+            else resolve({ tags: tags.length });
+          });
+          return;
         }
-      );
+        const [kind, value] = tags[index];
+        db.run('INSERT INTO judge_expertise (judge_email, kind, value) VALUES (?, ?, ?)', [judgeEmail, kind, value], (err) => {
+          if (err) fail(err);
+          else insertFrom(index + 1);
+        });
+      };
+      db.run('DELETE FROM judge_expertise WHERE judge_email = ?', [judgeEmail], (err) => {
+        if (err) fail(err);
+        else insertFrom(0);
+      });
     });
   });
 };
@@ -1914,6 +4436,22 @@ const deleteUserAccount = (email) => {
           }
         });
 
+        // Delete conflict of interest declarations
+        db.run('DELETE FROM judge_conflicts WHERE judge_email = ?', [email], (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            return reject(err);
+          }
+        });
+
+        // Delete expertise tags
+        db.run('DELETE FROM judge_expertise WHERE judge_email = ?', [email], (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            return reject(err);
+          }
+        });
+
         // Delete scores (but keep team data for historical records)
         // Note: We keep scores for historical integrity, but could delete if needed
         // db.run('DELETE FROM scores WHERE judge_email = ?', [email], (err) => {
@@ -2213,12 +4751,18 @@ module.exports = {
   syncTables,
   initializeChessBoardTables,
   getTables,
+  setTablePosition,
   getTableNames,
   syncCategories,
   getCategories,
   getCategoryNames,
   getCategoryById,
   getCategoryByName,
+  getRubricCriteria,
+  getRubricCriterionById,
+  createRubricCriterion,
+  updateRubricCriterion,
+  deleteRubricCriterion,
   createTeam,
   syncTeams,
   getTeams,
@@ -2228,24 +4772,93 @@ module.exports = {
   deleteTeam,
   getScore,
   saveScore,
+  deleteScore,
+  getScoreSubmission,
+  submitScore,
+  getScores,
+  getScoreHistory,
+  getVisibleTeamScores,
+  updateScoreFeedback,
+  getTeamFeedbackCriterionScores,
+  getCriterionScores,
+  saveCriterionScores,
+  getTeamCriterionAverages,
   getJudgeScores,
+  getEffectiveScores,
+  getTeamJudgeCountsByRound,
   getTableResults,
+  getRankingOptions,
+  getPairwiseVisit,
+  getPreviousPairwiseTeam,
+  savePairwiseComparison,
   getEventSettings,
   updateEventSettings,
-  incrementRound,
+  getFinalistsByRound,
+  getRoundFinalists,
+  setRoundFinalists,
+  advanceToNextRound,
   setJudgingLocked,
+  setScoreNormalization,
+  setScoreAggregation,
+  setFeedbackReleased,
+  setCalibrationMode,
+  setPublicResults,
+  setCeremonySlide,
+  getAwards,
+  getAwardById,
+  createAward,
+  updateAward,
+  setAwardAnnounced,
+  setAwardWinners,
+  deleteAward,
+  setCertificateTemplate,
+  setTiebreakers,
+  setHeadJudgeOrder,
+  setProximityRouting,
+  setExpertiseMatching,
+  setJudgingModes,
+  setJudgesPerTeam,
   setWinners,
   getTeamsByDivisionWithScores,
   getTopTeamPerCategory,
   isRoundLocked,
   getNextTeamForJudge,
+  getTeamsOutsideExpertise,
   assignJudgeToTeam,
   markAssignmentCompleted,
+  reclaimAssignment,
+  saveScoreDraft,
   getJudgeQueueStats,
+  getJudgeActivity,
+  getJudgeTableSequences,
   getJudgedTeamsByJudge,
   getCurrentAssignmentsForJudge,
   isTeamLocked,
   lockTeamForJudge,
+  releaseStaleLocks,
+  getActiveLocks,
+  releaseLock,
+  MAX_LOCK_TIMEOUT_MINUTES,
+  setLockTimeout,
+  SKIP_REASONS,
+  skipTeamForJudge,
+  getTeamSkipSummary,
+  // Conflict of interest management
+  getJudgeConflicts,
+  getConflictsForJudge,
+  addJudgeConflict,
+  getJudgeConflictById,
+  deleteJudgeConflict,
+  getJudgeExpertise,
+  getAllJudgeExpertise,
+  setJudgeExpertise,
+  // Calibration round
+  getCalibrationItems,
+  getCalibrationItemById,
+  addCalibrationItem,
+  deleteCalibrationItem,
+  getCalibrationScores,
+  saveCalibrationScore,
   // Screenshot management
   addTeamScreenshot,
   getTeamScreenshots,
@@ -0,0 +1,197 @@
+// Service worker for offline score entry, registered with scope /scores/ by the judge queue and
+// score entry pages. Pages are served network-first and cached, so the judge's current assignment
+// still opens offline. Score submissions that can't reach the server are queued in IndexedDB and
+// replayed (with an X-Score-Replay header) once the connection returns.
+
+const CACHE_NAME = 'judging-pages-v1';
+const DB_NAME = 'judging-offline';
+const STORE_NAME = 'submissions';
+const SYNC_TAG = 'score-replay';
+const FALLBACK_PAGE = '/scores/judge-queue';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Queued submissions: { id, body, judgeEmail, teamName, round, queuedAt, status: 'pending' | 'rejected', message }
+// judgeEmail is who filled in the form; the server refuses the replay if someone else is signed in by then
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = (mode, action) => openDatabase().then(database => new Promise((resolve, reject) => {
+  const transaction = database.transaction(STORE_NAME, mode);
+  const request = action(transaction.objectStore(STORE_NAME));
+  transaction.oncomplete = () => resolve(request.result);
+  transaction.onerror = () => reject(transaction.error);
+}));
+
+const getSubmissions = () => withStore('readonly', store => store.getAll());
+const putSubmission = (entry) => withStore('readwrite', store => store.put(entry));
+const deleteSubmission = (id) => withStore('readwrite', store => store.delete(id));
+
+const offlinePage = () => new Response(
+  '<!DOCTYPE html><html><head><meta name="viewport" content="width=device-width, initial-scale=1.0">' +
+  '<title>Offline</title></head><body style="font-family: sans-serif; padding: 2rem;">' +
+  '<h1>You are offline</h1><p>This page has not been saved on this device yet. ' +
+  'Open the judge queue once you are back online.</p></body></html>',
+  { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+);
+
+// Network first; fall back to the cached copy of the page, then to the cached judge queue
+const fetchPage = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok && !response.redirected) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || (await cache.match(FALLBACK_PAGE)) || offlinePage();
+  }
+};
+
+// Submit a score, queueing it on this device when the server can't be reached
+const submitScore = async (request) => {
+  const body = new URLSearchParams(await request.clone().text());
+  try {
+    return await fetch(request);
+  } catch (error) {
+    if (!body.get('submissionId')) {
+      body.set('submissionId', self.crypto.randomUUID());
+    }
+    await putSubmission({
+      id: body.get('submissionId'),
+      body: body.toString(),
+      judgeEmail: body.get('judgeEmail'),
+      teamName: body.get('teamName'),
+      round: body.get('round'),
+      queuedAt: Date.now(),
+      status: 'pending'
+    });
+    if (self.registration.sync) {
+      self.registration.sync.register(SYNC_TAG).catch(() => { });
+    }
+    return Response.redirect(`${FALLBACK_PAGE}?offline=queued`, 303);
+  }
+};
+
+const notifyClients = async () => {
+  const entries = await getSubmissions();
+  const summarize = entry => ({ id: entry.id, teamName: entry.teamName, round: entry.round, message: entry.message || null });
+  const message = {
+    type: 'submissions',
+    pending: entries.filter(entry => entry.status === 'pending').map(summarize),
+    rejected: entries.filter(entry => entry.status === 'rejected').map(summarize)
+  };
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage(message));
+};
+
+// Replay queued submissions oldest first. The server answers saved, duplicate (already saved before
+// the connection dropped) or rejected (e.g. the round was locked meanwhile); anything else means
+// we're still offline, signed out or the server failed, so the rest waits for the next attempt.
+const replay = async () => {
+  const pending = (await getSubmissions())
+    .filter(entry => entry.status === 'pending')
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+
+  for (const entry of pending) {
+    let result = null;
+    try {
+      const response = await fetch('/scores/submit', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json',
+          'X-Score-Replay': '1'
+        },
+        body: entry.body
+      });
+      if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+        result = await response.json();
+      }
+    } catch (error) {
+      break;
+    }
+
+    if (!result || !['saved', 'duplicate', 'rejected'].includes(result.status)) {
+      break;
+    }
+    if (result.status === 'rejected') {
+      await putSubmission({ ...entry, status: 'rejected', message: result.message });
+    } else {
+      await deleteSubmission(entry.id);
+    }
+  }
+
+  await notifyClients();
+};
+
+// One replay at a time, however many pages and sync events ask for it
+let replaying = null;
+const replaySubmissions = () => {
+  if (!replaying) {
+    replaying = replay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+// Cache pages ahead of time (the judge's current assignment) so they open offline
+const cachePages = async (urls) => {
+  const cache = await caches.open(CACHE_NAME);
+  await Promise.all((urls || []).map(async (url) => {
+    try {
+      const response = await fetch(url, { credentials: 'same-origin' });
+      if (response.ok && !response.redirected) {
+        await cache.put(url, response);
+      }
+    } catch (error) {
+      // Offline already: whatever was cached before stays
+    }
+  }));
+};
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+  if (event.request.method === 'POST' && url.pathname === '/scores/submit') {
+    event.respondWith(submitScore(event.request));
+  } else if (event.request.method === 'GET' && event.request.mode === 'navigate') {
+    event.respondWith(fetchPage(event.request));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replaySubmissions());
+  }
+});
+
+self.addEventListener('message', (event) => {
+  const { type, id, urls } = event.data || {};
+  if (type === 'replay') {
+    event.waitUntil(replaySubmissions());
+  } else if (type === 'cache') {
+    event.waitUntil(cachePages(urls));
+  } else if (type === 'dismiss') {
+    event.waitUntil(deleteSubmission(id).then(notifyClients));
+  }
+});
@@ -9,6 +9,21 @@ const db = require('../db/database');
 const { requireAdmin } = require('../middleware/rbac');
 const { checkAndReturnError } = require('../middleware/validation');
 const emailService = require('../services/email');
+const venue = require('../services/venue');
+const judgeRequirements = require('../services/judge-requirements');
+const expertise = require('../services/expertise');
+const finalists = require('../services/finalists');
+const scoreHistory = require('../services/score-history');
+const anomalies = require('../services/anomalies');
+const tiebreakers = require('../services/tiebreakers');
+const scoring = require('../services/scoring');
+const pairwise = require('../services/pairwise');
+const feedback = require('../services/feedback');
+const calibration = require('../services/calibration');
+const resultsVisibility = require('../services/results-visibility');
+const awards = require('../services/awards');
+const awardsCeremony = require('../services/awards-ceremony');
+const certificates = require('../services/certificates');
 
 // Configure multer for file uploads
 const uploadsDir = path.join(__dirname, '../public/uploads');
@@ -57,12 +72,16 @@ router.get('/', requireAdmin, async (req, res) => {
     const users = await db.getAllUsers();
     const tables = await db.getTableNames();
     const eventSettings = await db.getEventSettings();
+    const conflicts = await db.getJudgeConflicts();
+    const judges = users.filter(u => u.role === 'judge' || u.role === 'admin');
 
     res.render('admin/dashboard', {
       title: 'Admin Dashboard',
       teams,
       users,
+      judges,
       tables,
+      conflicts,
       eventSettings,
       query: req.query
     });
@@ -75,14 +94,268 @@ router.get('/', requireAdmin, async (req, res) => {
   }
 });
 
-// POST increment round
-router.post('/increment-round', requireAdmin, async (req, res) => {
+// POST add a conflict of interest on behalf of a judge
+router.post('/conflicts/add', requireAdmin, async (req, res) => {
   try {
-    await db.incrementRound();
-    res.redirect('/?success=round_incremented');
+    const judgeEmail = (req.body.judgeEmail || '').trim().toLowerCase();
+    const teamName = (req.body.teamName || '').trim();
+    const reason = (req.body.reason || '').trim();
+
+    const judge = await db.getUserByEmail(judgeEmail);
+    const teams = await db.getTeams();
+    if (!judge || !teams.some(t => t.name === teamName)) {
+      return res.redirect('/admin?error=conflict_invalid');
+    }
+
+    const conflicts = await db.getConflictsForJudge(judgeEmail);
+    if (conflicts.some(c => c.team_name === teamName)) {
+      return res.redirect('/admin?error=conflict_exists');
+    }
+
+    await db.addJudgeConflict(judgeEmail, teamName, reason, req.session.user.email);
+    res.redirect('/admin?success=conflict_added');
+  } catch (error) {
+    console.error('Add conflict error:', error);
+    res.redirect('/admin?error=conflict_failed');
+  }
+});
+
+// POST remove a conflict of interest
+router.post('/conflicts/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    await db.deleteJudgeConflict(parseInt(req.params.id));
+    res.redirect('/admin?success=conflict_removed');
+  } catch (error) {
+    console.error('Remove conflict error:', error);
+    res.redirect('/admin?error=conflict_failed');
+  }
+});
+
+// Finalists shown pre-ticked on the advancement page until the admin picks a number
+const DEFAULT_FINALISTS_PER_DIVISION = 3;
+
+// GET finalist advancement page: lock the current round and choose who advances
+router.get('/finalists', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    const round = eventSettings.current_round || 1;
+    const topN = finalists.validateTopN(req.query.top) ? DEFAULT_FINALISTS_PER_DIVISION : Number(req.query.top);
+
+    // Rankings only include teams still competing in the current round
+    const results = await db.getTableResults(round, null, eventSettings.score_normalization);
+    const selected = new Set(finalists.selectTopFinalists(results, topN));
+    const divisions = Object.keys(results).sort().map(division => ({
+      division,
+      teams: results[division].map(team => ({ ...team, selected: selected.has(team.team_name) }))
+    }));
+
+    res.render('admin/finalists', {
+      title: 'Advance Round',
+      round,
+      nextRound: round + 1,
+      topN,
+      divisions,
+      currentFinalists: await db.getRoundFinalists(round),
+      aggregation: eventSettings.score_aggregation,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Finalists page error:', error);
+    res.render('error', {
+      message: 'Failed to load finalists',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST lock the current round and advance to the next one
+// selection: 'all' keeps every team still competing, 'auto' takes the top N per division,
+// 'manual' takes the ticked teams
+router.post('/finalists/advance', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    const round = eventSettings.current_round || 1;
+    const { selection, top } = req.body;
+
+    const results = await db.getTableResults(round, null, eventSettings.score_normalization);
+    let advancing = [];
+    if (selection === 'auto') {
+      if (finalists.validateTopN(top)) {
+        return res.redirect('/admin/finalists?error=invalid_top');
+      }
+      advancing = finalists.selectTopFinalists(results, Number(top));
+    } else if (selection === 'all') {
+      // Everyone still competing moves on, so earlier eliminations carry over
+      advancing = await db.getRoundFinalists(round);
+    } else {
+      const ranked = Object.values(results).flat().map(team => team.team_name);
+      advancing = finalists.parseFinalistSelection(req.body.finalists, ranked);
+    }
+
+    if (selection !== 'all' && advancing.length === 0) {
+      return res.redirect('/admin/finalists?error=no_finalists');
+    }
+
+    await db.advanceToNextRound(advancing, req.session.user.email);
+    res.redirect(`/admin/finalists?success=advanced&count=${advancing.length}`);
+  } catch (error) {
+    console.error('Advance round error:', error);
+    res.redirect('/admin/finalists?error=advance_failed');
+  }
+});
+
+// POST open the current round to every team again (undoes a finalist selection)
+router.post('/finalists/clear', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    await db.setRoundFinalists(eventSettings.current_round || 1, []);
+    res.redirect('/admin/finalists?success=cleared');
+  } catch (error) {
+    console.error('Clear finalists error:', error);
+    res.redirect('/admin/finalists?error=advance_failed');
+  }
+});
+
+// Judges without a team for this long are highlighted on the operations console
+const IDLE_WARNING_MINUTES = 10;
+
+// Gather everything the live operations console shows for the current round
+const loadOperationsData = async () => {
+  const eventSettings = await db.getEventSettings();
+  const round = eventSettings.current_round || 1;
+
+  // Stale locks would otherwise show judges as busy when they have walked away
+  await db.releaseStaleLocks(eventSettings.lock_timeout_minutes);
+
+  const queueStats = await db.getJudgeQueueStats(round);
+
+  // Walking distance per judge, compared with visiting the same tables in a random order
+  const positions = venue.buildPositionMap(await db.getTables());
+  const sequences = await db.getJudgeTableSequences(round);
+  const walking = { legs: 0, walked: 0, baseline: 0, saved: 0, savedPercent: null };
+  const activity = (await db.getJudgeActivity(round)).map(j => {
+    const judgeWalking = venue.measureWalking(positions, sequences[j.judge_email]);
+    walking.legs += judgeWalking.legs;
+    walking.walked += judgeWalking.walked;
+    walking.baseline += judgeWalking.baseline;
+    return { ...j, walked: judgeWalking.walked };
+  });
+  walking.saved = walking.baseline - walking.walked;
+  if (walking.baseline > 0) {
+    walking.savedPercent = Math.round((walking.saved / walking.baseline) * 100);
+  }
+
+  const busyJudges = activity
+    .filter(j => j.current_team)
+    .sort((a, b) => b.held_minutes - a.held_minutes);
+
+  // Longest idle first; judges who have not scored anyone yet count as the most idle
+  const idleJudges = activity
+    .filter(j => !j.current_team)
+    .map(j => ({
+      ...j,
+      is_long_idle: j.minutes_since_last_score === null || j.minutes_since_last_score >= IDLE_WARNING_MINUTES
+    }))
+    .sort((a, b) => {
+      const aIdle = a.minutes_since_last_score === null ? Infinity : a.minutes_since_last_score;
+      const bIdle = b.minutes_since_last_score === null ? Infinity : b.minutes_since_last_score;
+      return bIdle - aIdle;
+    });
+
+  const underJudgedTeams = queueStats
+    .filter(t => t.completed_count < t.required_judges)
+    .map(t => ({
+      ...t,
+      in_progress: t.judge_count - t.completed_count,
+      judges_needed: t.required_judges - t.completed_count
+    }))
+    .sort((a, b) => a.completed_count - b.completed_count || b.skip_count - a.skip_count || a.team_name.localeCompare(b.team_name));
+
+  return {
+    round,
+    busyJudges,
+    idleJudges,
+    underJudgedTeams,
+    totalTeams: queueStats.length,
+    completeTeams: queueStats.length - underJudgedTeams.length,
+    idleWarningMinutes: IDLE_WARNING_MINUTES,
+    proximityRouting: eventSettings.proximity_routing,
+    walking
+  };
+};
+
+// GET live judging operations console
+router.get('/operations', requireAdmin, async (req, res) => {
+  try {
+    const data = await loadOperationsData();
+    res.render('admin/operations', {
+      title: 'Judging Operations',
+      ...data
+    });
+  } catch (error) {
+    console.error('Judging operations error:', error);
+    res.render('error', {
+      message: 'Failed to load judging operations',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// GET operations console content (for auto-refresh)
+router.get('/operations/content', requireAdmin, async (req, res) => {
+  try {
+    const data = await loadOperationsData();
+    res.render('partials/operations-content', {
+      ...data,
+      layout: false
+    });
+  } catch (error) {
+    console.error('Judging operations refresh error:', error);
+    res.status(500).send('Failed to load judging operations');
+  }
+});
+
+// GET active judge locks
+router.get('/locks', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    const timeoutMinutes = eventSettings.lock_timeout_minutes;
+
+    // Expired locks are released here too, so the list only shows live ones
+    await db.releaseStaleLocks(timeoutMinutes);
+    const locks = (await db.getActiveLocks()).map(lock => ({
+      ...lock,
+      minutes_remaining: timeoutMinutes ? Math.max(0, timeoutMinutes - lock.held_minutes) : null
+    }));
+    const skippedTeams = await db.getTeamSkipSummary();
+
+    res.render('admin/locks', {
+      title: 'Judge Locks',
+      locks,
+      skippedTeams,
+      timeoutMinutes,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Judge locks error:', error);
+    res.render('error', {
+      message: 'Failed to load judge locks',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST force-release a judge lock
+router.post('/locks/:id/release', requireAdmin, async (req, res) => {
+  try {
+    const result = await db.releaseLock(parseInt(req.params.id));
+    if (!result.released) {
+      return res.redirect('/admin/locks?error=not_found');
+    }
+    res.redirect('/admin/locks?success=released');
   } catch (error) {
-    console.error('Increment round error:', error);
-    res.redirect('/?error=increment_failed');
+    console.error('Release lock error:', error);
+    res.redirect('/admin/locks?error=failed');
   }
 });
 
@@ -537,6 +810,510 @@ router.post('/judges/:email/update', requireAdmin, async (req, res) => {
   }
 });
 
+// GET judge expertise page
+router.get('/expertise', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    const users = await db.getAllUsers();
+    const expertiseByJudge = await db.getAllJudgeExpertise();
+    const judges = users
+      .filter(u => u.role === 'judge' || u.role === 'admin')
+      .map(u => ({
+        ...u,
+        expertise: expertiseByJudge[u.email] || { divisions: [], categories: [] }
+      }));
+
+    res.render('admin/expertise', {
+      title: 'Judge Expertise',
+      judges,
+      divisions: eventSettings.divisions || [],
+      categories: await db.getCategoryNames(),
+      expertiseMatching: eventSettings.expertise_matching,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Judge expertise error:', error);
+    res.render('error', {
+      message: 'Failed to load judge expertise',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// GET score history, filtered by team, judge and/or round
+router.get('/score-history', requireAdmin, async (req, res) => {
+  try {
+    const filters = {
+      teamName: req.query.team || null,
+      judgeEmail: req.query.judge || null,
+      round: parseInt(req.query.round) || null
+    };
+    const users = await db.getAllUsers();
+    const judges = users.filter(u => u.role === 'judge' || u.role === 'admin');
+    const history = (await db.getScoreHistory(filters)).map(entry => ({
+      ...entry,
+      delta: scoreHistory.getScoreDelta(entry)
+    }));
+
+    // Current scores are only listed once the page is narrowed to a team or judge
+    const hasSubject = !!(filters.teamName || filters.judgeEmail);
+    const scores = hasSubject ? await db.getScores(filters) : [];
+
+    res.render('admin/score-history', {
+      title: 'Score History',
+      teams: await db.getTeams(),
+      judges,
+      filters,
+      hasSubject,
+      scores,
+      history,
+      returnTo: `/admin/score-history?${new URLSearchParams({
+        team: filters.teamName || '',
+        judge: filters.judgeEmail || '',
+        round: filters.round || ''
+      }).toString()}`,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Score history error:', error);
+    res.render('error', {
+      message: 'Failed to load score history',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST delete a judge's score (recorded in the score history)
+router.post('/scores/delete', requireAdmin, async (req, res) => {
+  const { judgeEmail, teamName, round, reason } = req.body;
+  // Only return to the score history page, whatever filters it had
+  const returnTo = (req.body.returnTo || '').startsWith('/admin/score-history') ? req.body.returnTo : '/admin/score-history';
+  const separator = returnTo.includes('?') ? '&' : '?';
+  try {
+    const roundNum = parseInt(round);
+    if (await db.isRoundLocked(roundNum)) {
+      return res.redirect(`${returnTo}${separator}error=round_locked`);
+    }
+
+    const result = await db.deleteScore(judgeEmail, teamName, roundNum, req.session.user.email, (reason || '').trim() || null);
+    res.redirect(`${returnTo}${separator}${result.deleted ? 'success=deleted' : 'error=not_found'}`);
+  } catch (error) {
+    console.error('Delete score error:', error);
+    res.redirect(`${returnTo}${separator}error=failed`);
+  }
+});
+
+// GET judge feedback review: edit or hide judge notes, then release them to teams
+router.get('/feedback', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    const scores = (await db.getScores()).filter(score => (score.notes || '').trim());
+
+    // Run the profanity filter again on the text teams would see
+    const teams = [];
+    for (const score of scores) {
+      const releasedNote = feedback.getReleasedNote(score);
+      const entry = {
+        ...score,
+        edited: score.feedback_notes !== null && score.feedback_notes !== undefined,
+        flagged: !!(releasedNote && await checkAndReturnError(releasedNote, 'Feedback'))
+      };
+      let team = teams.find(t => t.name === score.team_name);
+      if (!team) {
+        team = { name: score.team_name, notes: [] };
+        teams.push(team);
+      }
+      team.notes.push(entry);
+    }
+    teams.sort((a, b) => a.name.localeCompare(b.name));
+
+    res.render('admin/feedback', {
+      title: 'Judge Feedback',
+      eventSettings,
+      teams,
+      noteCount: scores.length,
+      hiddenCount: scores.filter(score => score.feedback_hidden).length,
+      flaggedCount: teams.reduce((count, team) => count + team.notes.filter(note => note.flagged).length, 0),
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Feedback review error:', error);
+    res.render('error', {
+      message: 'Failed to load judge feedback',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST release judge feedback to teams (or withdraw it)
+router.post('/feedback/release', requireAdmin, async (req, res) => {
+  try {
+    const release = req.body.released === '1';
+    if (!release) {
+      await db.setFeedbackReleased(false);
+      return res.redirect('/admin/feedback?success=withdrawn');
+    }
+
+    const eventSettings = await db.getEventSettings();
+    if (!eventSettings.judging_locked) {
+      return res.redirect('/admin/feedback?error=not_locked');
+    }
+
+    // Nothing is released while any note teams would see still fails the profanity filter
+    for (const score of await db.getScores()) {
+      const releasedNote = feedback.getReleasedNote(score);
+      if (releasedNote && await checkAndReturnError(releasedNote, 'Feedback')) {
+        return res.redirect('/admin/feedback?error=flagged');
+      }
+    }
+
+    await db.setFeedbackReleased(true);
+    res.redirect('/admin/feedback?success=released');
+  } catch (error) {
+    console.error('Release feedback error:', error);
+    res.redirect('/admin/feedback?error=failed');
+  }
+});
+
+// POST edit or hide one judge note (text matching the judge's notes keeps the original)
+router.post('/feedback/:id', requireAdmin, async (req, res) => {
+  try {
+    const text = (req.body.feedbackNotes || '').trim();
+    const hidden = req.body.hidden === '1';
+
+    if (text && !hidden && await checkAndReturnError(text, 'Feedback')) {
+      return res.redirect(`/admin/feedback?error=profanity#score-${req.params.id}`);
+    }
+
+    const result = await db.updateScoreFeedback(parseInt(req.params.id), text || null, hidden);
+    res.redirect(result.updated ? `/admin/feedback?success=updated#score-${req.params.id}` : '/admin/feedback?error=not_found');
+  } catch (error) {
+    console.error('Update feedback error:', error);
+    res.redirect('/admin/feedback?error=failed');
+  }
+});
+
+// GET calibration round: manage sample projects, turn the round on and compare judges with the panel
+router.get('/calibration', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    const items = await db.getCalibrationItems();
+    const scores = await db.getCalibrationScores();
+    const report = calibration.buildCalibrationReport(items, scores);
+
+    // Judges who haven't scored any sample yet
+    const calibratedEmails = new Set(report.judges.map(judge => judge.judge_email));
+    const pendingJudges = (await db.getAllUsers())
+      .filter(user => user.role === 'judge' && !calibratedEmails.has(user.email));
+
+    // Each judge's scores lined up with the item columns (null where not scored yet)
+    const judges = report.judges.map(judge => ({
+      ...judge,
+      itemScores: report.items.map(item => judge.scores.find(score => score.item_id === item.id) || null)
+    }));
+
+    res.render('admin/calibration', {
+      title: 'Calibration Round',
+      eventSettings,
+      items: report.items.map(item => ({ ...item, ...items.find(i => i.id === item.id) })),
+      judges,
+      pendingJudges,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Calibration error:', error);
+    res.render('error', {
+      message: 'Failed to load calibration round',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST turn the calibration round on or off
+router.post('/calibration/mode', requireAdmin, async (req, res) => {
+  try {
+    const enable = req.body.enabled === '1';
+    if (enable && (await db.getCalibrationItems()).length === 0) {
+      return res.redirect('/admin/calibration?error=no_items');
+    }
+    await db.setCalibrationMode(enable);
+    res.redirect(`/admin/calibration?success=${enable ? 'enabled' : 'disabled'}`);
+  } catch (error) {
+    console.error('Calibration mode error:', error);
+    res.redirect('/admin/calibration?error=failed');
+  }
+});
+
+// POST add a sample project to the calibration round
+router.post('/calibration/items', requireAdmin, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    const description = (req.body.description || '').trim();
+    const link = (req.body.link || '').trim();
+
+    if (!name) {
+      return res.redirect('/admin/calibration?error=missing_name');
+    }
+    if (link && !/^https?:\/\//i.test(link)) {
+      return res.redirect('/admin/calibration?error=invalid_link');
+    }
+
+    await db.addCalibrationItem(name, description, link);
+    res.redirect('/admin/calibration?success=added');
+  } catch (error) {
+    console.error('Add calibration item error:', error);
+    res.redirect('/admin/calibration?error=failed');
+  }
+});
+
+// POST remove a sample project (and the calibration scores given to it)
+router.post('/calibration/items/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    await db.deleteCalibrationItem(parseInt(req.params.id));
+    res.redirect('/admin/calibration?success=deleted');
+  } catch (error) {
+    console.error('Delete calibration item error:', error);
+    res.redirect('/admin/calibration?error=failed');
+  }
+});
+
+// GET public results: choose whether the public leaderboard is hidden, live or frozen
+router.get('/public-results', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    res.render('admin/public-results', {
+      title: 'Public Results',
+      eventSettings,
+      // SQLite timestamps are UTC; the page shows them in the admin's time zone
+      frozenAtIso: eventSettings.results_frozen_at ? `${eventSettings.results_frozen_at.replace(' ', 'T')}Z` : null,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Public results error:', error);
+    res.render('error', {
+      message: 'Failed to load public results settings',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST set the public results mode (and freeze time when freezing)
+router.post('/public-results', requireAdmin, async (req, res) => {
+  try {
+    const mode = req.body.mode;
+    if (!resultsVisibility.PUBLIC_RESULTS_MODES.includes(mode)) {
+      return res.redirect('/admin/public-results?error=invalid_mode');
+    }
+
+    let frozenAt = null;
+    if (mode === 'frozen') {
+      frozenAt = resultsVisibility.parseFreezeTime(req.body.frozen_at, req.body.timezone_offset);
+      if (!frozenAt) {
+        return res.redirect('/admin/public-results?error=invalid_time');
+      }
+    }
+
+    await db.setPublicResults(mode, frozenAt);
+    res.redirect(`/admin/public-results?success=${mode}`);
+  } catch (error) {
+    console.error('Public results update error:', error);
+    res.redirect('/admin/public-results?error=failed');
+  }
+});
+
+// POST update a judge's expertise
+router.post('/expertise/:email', requireAdmin, async (req, res) => {
+  try {
+    const email = decodeURIComponent(req.params.email);
+    const judge = await db.getUserByEmail(email);
+    if (!judge) {
+      return res.redirect('/admin/expertise?error=not_found');
+    }
+
+    const eventSettings = await db.getEventSettings();
+    const categories = await db.getCategoryNames();
+    const selection = expertise.parseExpertiseSelection(req.body, eventSettings.divisions || [], categories);
+
+    await db.setJudgeExpertise(email, selection.divisions, selection.categories);
+    res.redirect('/admin/expertise?success=updated');
+  } catch (error) {
+    console.error('Update judge expertise error:', error);
+    res.redirect('/admin/expertise?error=failed');
+  }
+});
+
+// Build the judges-per-team grid for the settings page: one row per round (plus "any round"),
+// one column per division (plus "any division"). Empty cells inherit and show the inherited count.
+const buildJudgesPerTeamGrid = (settings) => {
+  const requirements = settings.judges_per_team;
+  const divisions = settings.divisions || [];
+  const defaultJudges = requirements.default || judgeRequirements.getFallbackJudgesPerTeam();
+  const configuredRounds = requirements.rules.map(rule => rule.round || 0);
+  const lastRound = Math.max((settings.current_round || 1) + 1, ...configuredRounds);
+
+  const findRule = (round, division) => requirements.rules.find(rule => rule.round === round && rule.division === division);
+  const buildCell = (round, division, divisionKey) => {
+    const rule = findRule(round, division);
+    return {
+      name: `judgesPerTeam_${round || 'any'}_${divisionKey}`,
+      value: rule ? rule.judges : '',
+      placeholder: round ? judgeRequirements.getRequiredJudges(requirements, round, division) : defaultJudges
+    };
+  };
+  const buildRow = (round) => ({
+    label: round ? `Round ${round}` : 'Any round',
+    cells: [
+      round
+        ? buildCell(round, null, 'any')
+        : { name: 'judgesPerTeam_any_any', value: requirements.default || '', placeholder: judgeRequirements.getFallbackJudgesPerTeam() },
+      ...divisions.map((division, index) => buildCell(round, division, index))
+    ]
+  });
+
+  const rows = [buildRow(null)];
+  for (let round = 1; round <= lastRound; round++) {
+    rows.push(buildRow(round));
+  }
+  return { divisions, rows, max: judgeRequirements.MAX_JUDGES_PER_TEAM };
+};
+
+// Read the judges-per-team grid back into { default, rules } (cells refer to divisions by index)
+const parseJudgesPerTeamForm = (body, divisions) => {
+  const requirements = { default: null, rules: [] };
+  Object.keys(body).forEach(key => {
+    const match = /^judgesPerTeam_(any|\d+)_(any|\d+)$/.exec(key);
+    const rawValue = String(body[key] || '').trim();
+    if (!match || !rawValue) return;
+
+    const judges = Number(rawValue);
+    const round = match[1] === 'any' ? null : parseInt(match[1], 10);
+    const division = match[2] === 'any' ? null : divisions[parseInt(match[2], 10)];
+    if (division === undefined) return;
+
+    if (round === null && division === null) {
+      requirements.default = judges;
+    } else {
+      requirements.rules.push({ round, division, judges });
+    }
+  });
+  return requirements;
+};
+
+// Per-round judging mode overrides for the settings page, up to the round after the current one
+const buildJudgingModeRounds = (settings) => {
+  const overrides = settings.round_judging_modes || {};
+  const lastRound = Math.max((settings.current_round || 1) + 1, ...Object.keys(overrides).map(Number));
+  const rounds = [];
+  for (let round = 1; round <= lastRound; round++) {
+    rounds.push({ round, value: overrides[round] || '' });
+  }
+  return rounds;
+};
+
+// Read the per-round judging mode selects back into { [round]: mode } (blank = event default)
+const parseJudgingModeForm = (body) => {
+  const roundModes = {};
+  Object.keys(body).forEach(key => {
+    const match = /^judgingMode_(\d+)$/.exec(key);
+    if (match && body[key]) {
+      roundModes[match[1]] = body[key];
+    }
+  });
+  return roundModes;
+};
+
+// Round weight inputs for the settings page, up to the round after the current one
+const buildRoundWeightRows = (settings) => {
+  const weights = settings.round_weights || {};
+  const lastRound = Math.max((settings.current_round || 1) + 1, ...Object.keys(weights).map(Number));
+  const rows = [];
+  for (let round = 1; round <= lastRound; round++) {
+    rows.push({ round, value: weights[round] === undefined ? '' : weights[round] });
+  }
+  return rows;
+};
+
+// Read the round weight inputs back into { [round]: weight } (blank = default weight of 1)
+const parseRoundWeightForm = (body) => {
+  const weights = {};
+  Object.keys(body).forEach(key => {
+    const match = /^roundWeight_(\d+)$/.exec(key);
+    const rawValue = String(body[key] || '').trim();
+    if (match && rawValue) {
+      weights[match[1]] = Number(rawValue);
+    }
+  });
+  return weights;
+};
+
+// Ordered tiebreaker selects for the settings page; every slot offers each rubric criterion and the built-in rules
+const buildTiebreakerSlots = (settings, criteria) => {
+  const choices = [
+    ...criteria.map(criterion => ({ value: `criterion:${criterion.id}`, label: `Higher ${criterion.name} score` })),
+    { value: 'judge_count', label: 'More judges' },
+    { value: 'latest_round', label: 'Higher score in latest round' },
+    { value: 'head_judge', label: 'Head judge decision' }
+  ];
+  const ordinals = ['1st', '2nd', '3rd', '4th'];
+  const slots = [];
+  for (let index = 0; index < tiebreakers.MAX_TIEBREAKERS; index++) {
+    slots.push({
+      name: `tiebreaker_${index + 1}`,
+      label: `${ordinals[index] || `${index + 1}th`} tiebreaker`,
+      options: choices.map(choice => ({ ...choice, selected: settings.tiebreakers[index] === choice.value }))
+    });
+  }
+  return slots;
+};
+
+// Read the tiebreaker selects back into an ordered list, skipping slots left at None
+const parseTiebreakerForm = (body) => {
+  const keys = [];
+  for (let index = 1; index <= tiebreakers.MAX_TIEBREAKERS; index++) {
+    if (body[`tiebreaker_${index}`]) {
+      keys.push(body[`tiebreaker_${index}`]);
+    }
+  }
+  return keys;
+};
+
+// Check the settings form before anything is saved, so one bad field doesn't leave the rest half saved.
+// Returns an error message, or null when every submitted field is valid.
+const validateSettingsForm = (body, currentSettings, criteria) => {
+  if (body.scoreNormalization && !scoring.NORMALIZATION_MODES.includes(body.scoreNormalization)) {
+    return `Invalid score normalization mode: ${body.scoreNormalization}`;
+  }
+  if (body.scoreAggregation) {
+    if (!scoring.AGGREGATION_STRATEGIES.includes(body.scoreAggregation)) {
+      return `Invalid score aggregation: ${body.scoreAggregation}`;
+    }
+    const error = scoring.validateRoundWeights(parseRoundWeightForm(body));
+    if (error) return error;
+  }
+  if (body.judgingMode) {
+    const error = pairwise.validateJudgingModes(body.judgingMode, parseJudgingModeForm(body));
+    if (error) return error;
+  }
+  if (Object.keys(body).some(key => key.startsWith('tiebreaker_'))) {
+    const error = tiebreakers.validateTiebreakers(parseTiebreakerForm(body), criteria);
+    if (error) return error;
+  }
+  if (body.lockTimeoutMinutes !== undefined && body.lockTimeoutMinutes !== '') {
+    const minutes = parseInt(body.lockTimeoutMinutes, 10);
+    if (isNaN(minutes) || minutes < 0 || minutes > db.MAX_LOCK_TIMEOUT_MINUTES) {
+      return `Lock timeout must be between 0 and ${db.MAX_LOCK_TIMEOUT_MINUTES} minutes`;
+    }
+  }
+  if (Object.keys(body).some(key => key.startsWith('judgesPerTeam_'))) {
+    const error = judgeRequirements.validateJudgeRequirements(parseJudgesPerTeamForm(body, currentSettings.divisions || []));
+    if (error) return error;
+  }
+  if (body.expertiseMatching && !expertise.EXPERTISE_MODES.includes(body.expertiseMatching)) {
+    return `Invalid expertise matching mode: ${body.expertiseMatching}`;
+  }
+  return null;
+};
+
 // GET event settings page
 router.get('/settings', requireAdmin, async (req, res) => {
   try {
@@ -544,6 +1321,11 @@ router.get('/settings', requireAdmin, async (req, res) => {
     res.render('admin/settings', {
       title: 'Event Settings',
       settings,
+      judgesGrid: buildJudgesPerTeamGrid(settings),
+      judgingModeRounds: buildJudgingModeRounds(settings),
+      tiebreakerSlots: buildTiebreakerSlots(settings, await db.getRubricCriteria()),
+      roundWeightRows: buildRoundWeightRows(settings),
+      maxRoundWeight: scoring.MAX_ROUND_WEIGHT,
       error: null,
       success: null
     });
@@ -558,8 +1340,12 @@ router.get('/settings', requireAdmin, async (req, res) => {
 
 // POST update event settings
 router.post('/settings', requireAdmin, upload.single('logo'), async (req, res) => {
+  let logoSaved = false;
   try {
-    const { eventName, startDate, endDate, divisions } = req.body;
+    const {
+      eventName, startDate, endDate, divisions, scoreNormalization, scoreAggregation, lockTimeoutMinutes, proximityRouting,
+      expertiseMatching, judgingMode
+    } = req.body;
 
     // Parse divisions (expecting comma-separated string, JSON string, or array)
     let divisionsArray = [];
@@ -585,6 +1371,11 @@ router.post('/settings', requireAdmin, upload.single('logo'), async (req, res) =
     // Get current settings to preserve logo and landing page settings if not uploading a new one
     const currentSettings = await db.getEventSettings();
 
+    const validationError = validateSettingsForm(req.body, currentSettings, await db.getRubricCriteria());
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
     const settings = {
       event_name: eventName || 'Hackathon',
       start_date: startDate || null,
@@ -599,30 +1390,72 @@ router.post('/settings', requireAdmin, upload.single('logo'), async (req, res) =
 
     // Handle logo upload
     if (req.file) {
-      // Delete old logo if exists
-      if (currentSettings.logo_filename) {
-        const oldLogoPath = path.join(uploadsDir, currentSettings.logo_filename);
-        if (fs.existsSync(oldLogoPath)) {
-          fs.unlinkSync(oldLogoPath);
-        }
-      }
       settings.logo_filename = req.file.filename;
     }
 
+    if (scoreNormalization) {
+      await db.setScoreNormalization(scoreNormalization);
+    }
+    if (scoreAggregation) {
+      await db.setScoreAggregation(scoreAggregation, parseRoundWeightForm(req.body));
+    }
+    if (judgingMode) {
+      await db.setJudgingModes(judgingMode, parseJudgingModeForm(req.body));
+    }
+    if (Object.keys(req.body).some(key => key.startsWith('tiebreaker_'))) {
+      await db.setTiebreakers(parseTiebreakerForm(req.body));
+    }
+    if (lockTimeoutMinutes !== undefined && lockTimeoutMinutes !== '') {
+      await db.setLockTimeout(lockTimeoutMinutes);
+    }
+    if (Object.keys(req.body).some(key => key.startsWith('judgesPerTeam_'))) {
+      await db.setJudgesPerTeam(parseJudgesPerTeamForm(req.body, currentSettings.divisions || []));
+    }
+    if (expertiseMatching) {
+      await db.setExpertiseMatching(expertiseMatching);
+    }
+    if (proximityRouting !== undefined) {
+      await db.setProximityRouting(proximityRouting === '1');
+    }
+
     await db.updateEventSettings(settings);
+    logoSaved = true;
+
+    // Delete the old logo only once the new one is saved
+    if (req.file && currentSettings.logo_filename) {
+      const oldLogoPath = path.join(uploadsDir, currentSettings.logo_filename);
+      if (fs.existsSync(oldLogoPath)) {
+        fs.unlinkSync(oldLogoPath);
+      }
+    }
 
+    const updatedSettings = await db.getEventSettings();
     res.render('admin/settings', {
       title: 'Event Settings',
-      settings: await db.getEventSettings(),
+      settings: updatedSettings,
+      judgesGrid: buildJudgesPerTeamGrid(updatedSettings),
+      judgingModeRounds: buildJudgingModeRounds(updatedSettings),
+      tiebreakerSlots: buildTiebreakerSlots(updatedSettings, await db.getRubricCriteria()),
+      roundWeightRows: buildRoundWeightRows(updatedSettings),
+      maxRoundWeight: scoring.MAX_ROUND_WEIGHT,
       error: null,
       success: 'Event settings updated successfully!'
     });
   } catch (error) {
     console.error('Update event settings error:', error);
+    // The settings weren't saved, so drop the logo that was uploaded with them
+    if (req.file && !logoSaved && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
     const settings = await db.getEventSettings();
     res.render('admin/settings', {
       title: 'Event Settings',
       settings,
+      judgesGrid: buildJudgesPerTeamGrid(settings),
+      judgingModeRounds: buildJudgingModeRounds(settings),
+      tiebreakerSlots: buildTiebreakerSlots(settings, await db.getRubricCriteria()),
+      roundWeightRows: buildRoundWeightRows(settings),
+      maxRoundWeight: scoring.MAX_ROUND_WEIGHT,
       error: error.message || 'Failed to update event settings',
       success: null
     });
@@ -790,10 +1623,120 @@ router.post('/categories/:id/delete', requireAdmin, async (req, res) => {
   }
 });
 
+// Parse and validate rubric criterion fields from the admin form
+const parseRubricCriterionForm = (body) => {
+  const name = (body.criterionName || '').trim();
+  const weight = parseFloat(body.weight);
+  const minScore = parseFloat(body.minScore);
+  const maxScore = parseFloat(body.maxScore);
+
+  if (!name) {
+    return { error: 'empty' };
+  }
+  if (isNaN(weight) || weight <= 0) {
+    return { error: 'invalid_weight' };
+  }
+  if (isNaN(minScore) || isNaN(maxScore) || minScore >= maxScore) {
+    return { error: 'invalid_range' };
+  }
+
+  return {
+    criterion: {
+      name,
+      description: body.description ? body.description.trim() : null,
+      weight,
+      min_score: minScore,
+      max_score: maxScore,
+      display_order: parseInt(body.displayOrder) || 0
+    }
+  };
+};
+
+// GET rubric management page
+router.get('/rubric', requireAdmin, async (req, res) => {
+  try {
+    const criteria = await db.getRubricCriteria();
+
+    res.render('admin/rubric', {
+      title: 'Scoring Rubric',
+      criteria,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Rubric management error:', error);
+    res.render('error', {
+      message: 'Failed to load scoring rubric',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST add rubric criterion
+router.post('/rubric/add', requireAdmin, async (req, res) => {
+  try {
+    const { criterion, error } = parseRubricCriterionForm(req.body);
+    if (error) {
+      return res.redirect(`/admin/rubric?error=${error}`);
+    }
+
+    const existingCriteria = await db.getRubricCriteria();
+    if (existingCriteria.some(c => c.name.toLowerCase() === criterion.name.toLowerCase())) {
+      return res.redirect('/admin/rubric?error=exists');
+    }
+
+    await db.createRubricCriterion(criterion);
+
+    res.redirect('/admin/rubric?success=added');
+  } catch (error) {
+    console.error('Add rubric criterion error:', error);
+    res.redirect('/admin/rubric?error=failed');
+  }
+});
+
+// POST update rubric criterion
+router.post('/rubric/:id/update', requireAdmin, async (req, res) => {
+  try {
+    const criterionId = parseInt(req.params.id);
+    const { criterion, error } = parseRubricCriterionForm(req.body);
+    if (error) {
+      return res.redirect(`/admin/rubric?error=${error}`);
+    }
+
+    const existingCriteria = await db.getRubricCriteria();
+    if (existingCriteria.some(c => c.id !== criterionId && c.name.toLowerCase() === criterion.name.toLowerCase())) {
+      return res.redirect('/admin/rubric?error=exists');
+    }
+
+    await db.updateRubricCriterion(criterionId, criterion);
+
+    res.redirect('/admin/rubric?success=updated');
+  } catch (error) {
+    console.error('Update rubric criterion error:', error);
+    res.redirect('/admin/rubric?error=failed');
+  }
+});
+
+// POST delete rubric criterion
+router.post('/rubric/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    const criterionId = parseInt(req.params.id);
+    await db.deleteRubricCriterion(criterionId);
+    res.redirect('/admin/rubric?success=deleted');
+  } catch (error) {
+    console.error('Delete rubric criterion error:', error);
+    res.redirect('/admin/rubric?error=failed');
+  }
+});
+
 // GET table management page
 router.get('/tables', requireAdmin, async (req, res) => {
   try {
-    const tables = await db.getTables();
+    // Show where each table sits for proximity routing: custom coordinates or the grid name
+    const tables = (await db.getTables()).map(table => ({
+      ...table,
+      has_custom_position: table.x !== null && table.y !== null,
+      position: venue.getTablePosition(table)
+    }));
     const teams = await db.getTeams(null, true); // Include sensitive fields for admin
 
     // Create a map of table usage
@@ -876,6 +1819,37 @@ router.post('/tables/:name/delete', requireAdmin, async (req, res) => {
   }
 });
 
+// POST set or clear a table's venue coordinates
+router.post('/tables/:name/position', requireAdmin, async (req, res) => {
+  try {
+    const tableName = decodeURIComponent(req.params.name);
+    const rawX = (req.body.x || '').trim();
+    const rawY = (req.body.y || '').trim();
+
+    // Leaving both blank falls back to the position in the table's grid name
+    if (!rawX && !rawY) {
+      await db.setTablePosition(tableName, null, null);
+      return res.redirect('/admin/tables?success=position_cleared');
+    }
+
+    const x = parseFloat(rawX);
+    const y = parseFloat(rawY);
+    if (isNaN(x) || isNaN(y)) {
+      return res.redirect('/admin/tables?error=invalid_position');
+    }
+
+    const result = await db.setTablePosition(tableName, x, y);
+    if (!result.updated) {
+      return res.redirect('/admin/tables?error=failed');
+    }
+
+    res.redirect('/admin/tables?success=position_saved');
+  } catch (error) {
+    console.error('Set table position error:', error);
+    res.redirect('/admin/tables?error=failed');
+  }
+});
+
 // POST bulk delete tables
 router.post('/tables/bulk-delete', requireAdmin, async (req, res) => {
   try {
@@ -1325,9 +2299,49 @@ router.get('/judging/finalize', requireAdmin, async (req, res) => {
     // Get teams with scores for each division
     const divisionTeams = {};
     for (const division of divisions) {
-      divisionTeams[division] = await db.getTeamsByDivisionWithScores(division);
+      divisionTeams[division] = await db.getTeamsByDivisionWithScores(division, eventSettings.score_normalization);
+    }
+
+    // Per-criterion averages for the rubric breakdown
+    const criteria = await db.getRubricCriteria();
+    const criterionAverages = criteria.length > 0 ? await db.getTeamCriterionAverages() : {};
+
+    // Groups of judged teams still tied once every tiebreaker except the head judge's decision is applied
+    const rankingOptions = await db.getRankingOptions(null, 'total_score', 'name');
+    const undecidedOptions = {
+      ...rankingOptions,
+      tiebreakers: rankingOptions.tiebreakers.filter(key => key !== 'head_judge')
+    };
+    const tieGroups = [];
+    for (const division of divisions) {
+      const judgedTeams = (divisionTeams[division] || []).filter(team => team.judge_count > 0);
+      tiebreakers.getTieGroups(tiebreakers.rankTeams(judgedTeams, undecidedOptions)).forEach(group => {
+        tieGroups.push({
+          division,
+          rank: group.rank,
+          teams: group.teams.map(team => ({ ...team, position: eventSettings.head_judge_order[team.name] || '' }))
+        });
+      });
     }
 
+    // Data quality flags so admins can review teams before picking winners
+    const scores = await db.getEffectiveScores();
+    const judgeAnomalies = anomalies.findJudgeAnomalies(scores);
+    const teamFlags = anomalies.buildTeamFlags({
+      scores,
+      outliers: anomalies.findOutlierScores(scores),
+      judgeAnomalies,
+      underJudged: anomalies.findUnderJudgedTeams(
+        divisions.flatMap(division => divisionTeams[division] || []),
+        await db.getTeamJudgeCountsByRound(),
+        {
+          requirements: eventSettings.judges_per_team,
+          finalistsByRound: await db.getFinalistsByRound(),
+          currentRound: eventSettings.current_round
+        }
+      )
+    });
+
     // Auto-populate winners based on top 3 scores if winners haven't been set
     let winners = eventSettings.winners || {};
     const hasWinners = Object.keys(winners).length > 0;
@@ -1340,7 +2354,7 @@ router.get('/judging/finalize', requireAdmin, async (req, res) => {
         // Filter teams that have been judged (at least 1 judge)
         const judgedTeams = teams.filter(t => t.judge_count > 0);
         if (judgedTeams.length > 0) {
-          // Take top 3 teams (already sorted by avg_score DESC)
+          // Take top 3 teams (already ranked by total_score under the aggregation strategy, then the tiebreakers)
           winners[division] = judgedTeams.slice(0, 3).map(t => t.id);
         }
       }
@@ -1362,7 +2376,17 @@ router.get('/judging/finalize', requireAdmin, async (req, res) => {
       divisions,
       divisionTeams,
       winners,
-      error: null,
+      criteria,
+      criterionAverages,
+      teamFlags,
+      judgeAnomalies,
+      flaggedTeamCount: Object.keys(teamFlags).length,
+      tieGroups,
+      headJudgeTiebreaker: eventSettings.tiebreakers.includes('head_judge'),
+      awards: await db.getAwards(),
+      error: req.query.error === 'invalid_position'
+        ? 'Head judge positions must be whole numbers starting at 1.'
+        : req.query.error ? 'Operation failed. Please try again.' : null,
       success: req.query.success || null
     });
   } catch (error) {
@@ -1389,31 +2413,57 @@ router.post('/judging/lock', requireAdmin, async (req, res) => {
   }
 });
 
+// POST head judge decisions for tied teams (parallel `team` and `position` fields, blank clears)
+router.post('/judging/tiebreaks', requireAdmin, async (req, res) => {
+  try {
+    const teams = [].concat(req.body.team || []);
+    const positions = [].concat(req.body.position || []);
+    const order = {};
+    teams.forEach((teamName, index) => {
+      order[teamName] = String(positions[index] || '').trim() || null;
+    });
+
+    await db.setHeadJudgeOrder(order);
+    res.redirect('/admin/judging/finalize?success=tiebreaks_updated');
+  } catch (error) {
+    console.error('Error saving head judge decisions:', error);
+    const invalid = error.message && error.message.startsWith('Invalid head judge position');
+    res.redirect(`/admin/judging/finalize?error=${invalid ? 'invalid_position' : 'tiebreaks_failed'}`);
+  }
+});
+
 // POST set winners
 router.post('/judging/winners', requireAdmin, async (req, res) => {
   try {
     const { winners } = req.body;
 
     // Parse winners - expect format: { division: [teamId1, teamId2, teamId3] }
-    const winnersObj = {};
+    const parseFormWinners = async () => {
+      const formWinners = {};
+      const eventSettings = await db.getEventSettings();
+      const divisions = eventSettings.divisions || [];
+      for (const division of divisions) {
+        const first = req.body[`winner_${division}_1`];
+        const second = req.body[`winner_${division}_2`];
+        const third = req.body[`winner_${division}_3`];
+        if (first || second || third) {
+          formWinners[division] = [first, second, third].filter(id => id);
+        }
+      }
+      return formWinners;
+    };
+
+    let winnersObj = {};
     if (typeof winners === 'string') {
       try {
         winnersObj = JSON.parse(winners);
       } catch (e) {
         // If not JSON, parse from form data format
-        const eventSettings = await db.getEventSettings();
-        const divisions = eventSettings.divisions || [];
-        for (const division of divisions) {
-          const first = req.body[`winner_${division}_1`];
-          const second = req.body[`winner_${division}_2`];
-          const third = req.body[`winner_${division}_3`];
-          if (first || second || third) {
-            winnersObj[division] = [first, second, third].filter(id => id);
-          }
-        }
+        winnersObj = await parseFormWinners();
       }
     } else {
-      winnersObj = winners || {};
+      // The finalize form posts winner_<division>_<place> fields
+      winnersObj = winners || await parseFormWinners();
     }
 
     await db.setWinners(winnersObj);
@@ -1425,6 +2475,490 @@ router.post('/judging/winners', requireAdmin, async (req, res) => {
   }
 });
 
+// Division and category names an award can be limited to
+const loadAwardOptions = async () => {
+  const eventSettings = await db.getEventSettings();
+  return {
+    eventSettings,
+    divisions: eventSettings.divisions || [],
+    categories: await db.getCategoryNames()
+  };
+};
+
+// GET category and special awards
+router.get('/awards', requireAdmin, async (req, res) => {
+  try {
+    const { eventSettings, divisions, categories } = await loadAwardOptions();
+    res.render('admin/awards', {
+      title: 'Awards',
+      eventSettings,
+      awards: awards.labelAwardWinners(await db.getAwards()),
+      divisions,
+      categories,
+      maxPlacements: awards.MAX_PLACEMENTS,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Awards error:', error);
+    res.render('error', {
+      message: 'Failed to load awards',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST add an award
+router.post('/awards', requireAdmin, async (req, res) => {
+  try {
+    const { award, error } = awards.parseAwardForm(req.body, await loadAwardOptions());
+    if (error) {
+      return res.redirect(`/admin/awards?error=${error}`);
+    }
+    const created = await db.createAward(award);
+    res.redirect(`/admin/awards/${created.id}?success=created`);
+  } catch (error) {
+    console.error('Add award error:', error);
+    res.redirect('/admin/awards?error=failed');
+  }
+});
+
+// GET edit an award and pick its winners
+router.get('/awards/:id', requireAdmin, async (req, res) => {
+  try {
+    const award = await db.getAwardById(parseInt(req.params.id));
+    if (!award) {
+      return res.redirect('/admin/awards?error=not_found');
+    }
+    const { eventSettings, divisions, categories } = await loadAwardOptions();
+
+    // Eligible teams, best overall score first, so the likely winners are at the top
+    const scoresByTeam = {};
+    for (const division of divisions) {
+      (await db.getTeamsByDivisionWithScores(division, eventSettings.score_normalization)).forEach(team => {
+        scoresByTeam[team.id] = team;
+      });
+    }
+    const eligibleTeams = (await db.getTeams())
+      .filter(team => awards.isTeamEligible(award, team))
+      .map(team => ({
+        ...team,
+        total_score: scoresByTeam[team.id] ? scoresByTeam[team.id].total_score : 0,
+        judge_count: scoresByTeam[team.id] ? scoresByTeam[team.id].judge_count : 0
+      }))
+      .sort((a, b) => b.total_score - a.total_score || a.name.localeCompare(b.name));
+
+    const places = [];
+    for (let place = 1; place <= award.placements; place++) {
+      const winner = award.winners.find(w => w.place === place);
+      places.push({ place, label: awards.getPlacementLabel(award, place), team_id: winner ? winner.team_id : null });
+    }
+
+    res.render('admin/edit-award', {
+      title: `Award: ${award.name}`,
+      eventSettings,
+      award,
+      places,
+      eligibleTeams,
+      divisions,
+      categories,
+      maxPlacements: awards.MAX_PLACEMENTS,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Edit award error:', error);
+    res.render('error', {
+      message: 'Failed to load award',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST update an award's details
+router.post('/awards/:id', requireAdmin, async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    if (!await db.getAwardById(id)) {
+      return res.redirect('/admin/awards?error=not_found');
+    }
+    const { award, error } = awards.parseAwardForm(req.body, await loadAwardOptions());
+    if (error) {
+      return res.redirect(`/admin/awards/${id}?error=${error}`);
+    }
+    await db.updateAward(id, award);
+    res.redirect(`/admin/awards/${id}?success=updated`);
+  } catch (error) {
+    console.error('Update award error:', error);
+    res.redirect(`/admin/awards/${id}?error=failed`);
+  }
+});
+
+// POST set the teams placed for an award (place_1, place_2, ...)
+router.post('/awards/:id/winners', requireAdmin, async (req, res) => {
+  const id = parseInt(req.params.id);
+  try {
+    const award = await db.getAwardById(id);
+    if (!award) {
+      return res.redirect('/admin/awards?error=not_found');
+    }
+    const { winners, error } = awards.parseAwardWinnersForm(req.body, award, await db.getTeams());
+    if (error) {
+      return res.redirect(`/admin/awards/${id}?error=${error}`);
+    }
+    await db.setAwardWinners(id, winners);
+    res.redirect(`/admin/awards/${id}?success=winners_updated`);
+  } catch (error) {
+    console.error('Set award winners error:', error);
+    res.redirect(`/admin/awards/${id}?error=failed`);
+  }
+});
+
+// POST announce an award (shows it on the projects and results pages) or take it back
+router.post('/awards/:id/announce', requireAdmin, async (req, res) => {
+  try {
+    const announced = req.body.announced === '1';
+    await db.setAwardAnnounced(parseInt(req.params.id), announced);
+    res.redirect(`/admin/awards?success=${announced ? 'announced' : 'unannounced'}`);
+  } catch (error) {
+    console.error('Announce award error:', error);
+    res.redirect('/admin/awards?error=failed');
+  }
+});
+
+// POST remove an award (and its placements)
+router.post('/awards/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    await db.deleteAward(parseInt(req.params.id));
+    res.redirect('/admin/awards?success=deleted');
+  } catch (error) {
+    console.error('Delete award error:', error);
+    res.redirect('/admin/awards?error=failed');
+  }
+});
+
+// Everything the awards ceremony shows: saved winners per division, category leaders, then special awards
+const loadCeremony = async () => {
+  const eventSettings = await db.getEventSettings();
+  const slides = awardsCeremony.buildCeremonySlides({
+    eventName: eventSettings.event_name,
+    divisions: eventSettings.divisions || [],
+    winners: eventSettings.winners || {},
+    teams: await db.getTeams(),
+    categoryLeaders: await db.getTopTeamPerCategory(null, eventSettings.score_normalization),
+    specialAwards: await db.getAwards()
+  });
+  return {
+    eventSettings,
+    slides,
+    current: awardsCeremony.clampSlideIndex(eventSettings.ceremony_slide, slides.length)
+  };
+};
+
+// GET awards ceremony presenter view (drives the stage view with the keyboard)
+router.get('/ceremony', requireAdmin, async (req, res) => {
+  try {
+    const { eventSettings, slides, current } = await loadCeremony();
+    res.render('admin/ceremony', {
+      title: 'Awards Ceremony',
+      eventSettings,
+      slides,
+      current,
+      hasWinners: Object.keys(eventSettings.winners || {}).length > 0
+    });
+  } catch (error) {
+    console.error('Awards ceremony error:', error);
+    res.render('error', {
+      message: 'Failed to load awards ceremony',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// GET awards ceremony stage view (full screen, follows the presenter)
+router.get('/ceremony/stage', requireAdmin, async (req, res) => {
+  try {
+    const { slides, current } = await loadCeremony();
+    res.render('admin/ceremony-stage', {
+      title: 'Awards Ceremony',
+      slides,
+      current,
+      layout: 'minimal'
+    });
+  } catch (error) {
+    console.error('Awards ceremony stage error:', error);
+    res.render('error', {
+      message: 'Failed to load awards ceremony',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// GET the slide the ceremony is on (fetched by the stage view when the presenter moves)
+router.get('/ceremony/state', requireAdmin, async (req, res) => {
+  try {
+    const { slides, current } = await loadCeremony();
+    res.json({ current, count: slides.length });
+  } catch (error) {
+    console.error('Awards ceremony state error:', error);
+    res.status(500).json({ error: 'Failed to load awards ceremony' });
+  }
+});
+
+// POST move the ceremony to a slide ({ index })
+router.post('/ceremony/slide', requireAdmin, async (req, res) => {
+  try {
+    const { slides } = await loadCeremony();
+    const index = awardsCeremony.clampSlideIndex(req.body.index, slides.length);
+    await db.setCeremonySlide(index);
+    res.json({ current: index, count: slides.length });
+  } catch (error) {
+    console.error('Awards ceremony slide error:', error);
+    res.status(500).json({ error: 'Failed to move the ceremony' });
+  }
+});
+
+// Certificates for every listed team member, plus winner certificates for division and award placements
+const loadCertificates = async () => {
+  const eventSettings = await db.getEventSettings();
+  // Sensitive fields include the team leader email, used when a team has no contact email
+  const teams = await db.getTeams(null, true);
+  const certificateList = certificates.buildCertificates({
+    eventName: eventSettings.event_name || 'Hackathon',
+    eventDate: certificates.formatEventDate(eventSettings),
+    teams,
+    winners: eventSettings.winners || {},
+    awards: await db.getAwards()
+  });
+  return {
+    eventSettings,
+    teams,
+    certificateList,
+    options: {
+      templatePath: eventSettings.certificate_template ? path.join(uploadsDir, eventSettings.certificate_template) : null
+    }
+  };
+};
+
+// Where a team's certificates are emailed
+const getTeamEmail = (team) => team.contact_email || team.team_leader_email || null;
+
+// Email a team its certificates, one PDF attachment each
+const emailTeamCertificates = async (team, teamCertificates, options, eventName) => {
+  const attachments = [];
+  for (const certificate of teamCertificates) {
+    attachments.push({
+      filename: path.basename(certificate.filename),
+      data: await certificates.renderCertificatesPdf([certificate], options)
+    });
+  }
+  await emailService.sendCertificates(getTeamEmail(team), team.name, attachments, eventName);
+};
+
+// GET certificates page
+router.get('/certificates', requireAdmin, async (req, res) => {
+  try {
+    const { eventSettings, teams, certificateList } = await loadCertificates();
+    const groups = certificates.groupCertificatesByTeam(certificateList);
+    const teamsById = {};
+    teams.forEach(team => {
+      teamsById[String(team.id)] = team;
+    });
+
+    res.render('admin/certificates', {
+      title: 'Certificates',
+      eventSettings,
+      eventDate: certificates.formatEventDate(eventSettings),
+      teams: groups.map(group => ({
+        ...group.team,
+        email: getTeamEmail(teamsById[String(group.team.id)]),
+        participation: group.certificates.filter(certificate => certificate.type === 'participation').length,
+        awards: group.certificates.filter(certificate => certificate.type === 'winner').map(certificate => certificate.award)
+          .filter((award, index, list) => list.indexOf(award) === index),
+        count: group.certificates.length
+      })),
+      // Teams that get nothing because no members are listed
+      teamsWithoutMembers: teams.filter(team => !groups.some(group => String(group.team.id) === String(team.id))),
+      certificateCount: certificateList.length,
+      hasWinners: certificateList.some(certificate => certificate.type === 'winner'),
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Certificates error:', error);
+    res.render('error', {
+      message: 'Failed to load certificates',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST upload the certificate template (a JPEG or PNG drawn behind every certificate)
+router.post('/certificates/template', requireAdmin, upload.single('template'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.redirect('/admin/certificates?error=no_file');
+    }
+    const uploadedPath = path.join(uploadsDir, req.file.filename);
+    const removeUpload = () => {
+      if (fs.existsSync(uploadedPath)) {
+        fs.unlinkSync(uploadedPath);
+      }
+    };
+    if (!certificates.TEMPLATE_EXTENSIONS.includes(path.extname(req.file.filename).toLowerCase())) {
+      removeUpload();
+      return res.redirect('/admin/certificates?error=template_type');
+    }
+
+    // Draw a sample so an image pdfkit can't read is rejected now rather than at download time
+    try {
+      await certificates.renderCertificatesPdf(
+        certificates.buildCertificates({ teams: [{ id: 0, name: 'Sample Team', team_members: ['Sample Name'] }] }),
+        { templatePath: uploadedPath }
+      );
+    } catch (renderError) {
+      console.error('Certificate template render error:', renderError);
+      removeUpload();
+      return res.redirect('/admin/certificates?error=template_unreadable');
+    }
+
+    const eventSettings = await db.getEventSettings();
+    await db.setCertificateTemplate(req.file.filename);
+    if (eventSettings.certificate_template) {
+      const oldTemplatePath = path.join(uploadsDir, eventSettings.certificate_template);
+      if (fs.existsSync(oldTemplatePath)) {
+        fs.unlinkSync(oldTemplatePath);
+      }
+    }
+    res.redirect('/admin/certificates?success=template_uploaded');
+  } catch (error) {
+    console.error('Certificate template upload error:', error);
+    res.redirect('/admin/certificates?error=failed');
+  }
+});
+
+// POST remove the certificate template (back to the plain design)
+router.post('/certificates/template/remove', requireAdmin, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    await db.setCertificateTemplate(null);
+    if (eventSettings.certificate_template) {
+      const templatePath = path.join(uploadsDir, eventSettings.certificate_template);
+      if (fs.existsSync(templatePath)) {
+        fs.unlinkSync(templatePath);
+      }
+    }
+    res.redirect('/admin/certificates?success=template_removed');
+  } catch (error) {
+    console.error('Certificate template remove error:', error);
+    res.redirect('/admin/certificates?error=failed');
+  }
+});
+
+// GET a sample certificate drawn on the current template
+router.get('/certificates/preview', requireAdmin, async (req, res) => {
+  try {
+    const { eventSettings, options } = await loadCertificates();
+    const sample = certificates.buildCertificates({
+      eventName: eventSettings.event_name || 'Hackathon',
+      eventDate: certificates.formatEventDate(eventSettings),
+      teams: [{ id: 0, name: 'Sample Team', division: (eventSettings.divisions || [])[0] || null, team_members: ['Sample Name'] }]
+    });
+    const pdf = await certificates.renderCertificatesPdf(sample, options);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename="certificate-preview.pdf"');
+    res.send(pdf);
+  } catch (error) {
+    console.error('Certificate preview error:', error);
+    res.render('error', {
+      message: 'Failed to draw the certificate preview',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// GET every certificate as a zip (a PDF per certificate, in a folder per team)
+router.get('/certificates/download', requireAdmin, async (req, res) => {
+  try {
+    const { certificateList, options } = await loadCertificates();
+    if (certificateList.length === 0) {
+      return res.redirect('/admin/certificates?error=no_certificates');
+    }
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="certificates.zip"');
+    await certificates.writeCertificatesZip(certificateList, res, options);
+  } catch (error) {
+    console.error('Certificates download error:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      res.render('error', {
+        message: 'Failed to generate certificates',
+        error: process.env.NODE_ENV === 'development' ? error : {}
+      });
+    }
+  }
+});
+
+// GET one team's certificates as a single PDF
+router.get('/certificates/team/:id', requireAdmin, async (req, res) => {
+  try {
+    const { certificateList, options } = await loadCertificates();
+    const teamCertificates = certificateList.filter(certificate => String(certificate.team.id) === String(req.params.id));
+    if (teamCertificates.length === 0) {
+      return res.redirect('/admin/certificates?error=no_certificates');
+    }
+    const pdf = await certificates.renderCertificatesPdf(teamCertificates, options);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${path.dirname(teamCertificates[0].filename)}-certificates.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Team certificates error:', error);
+    res.render('error', {
+      message: 'Failed to generate certificates',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST email certificates to every team (or one team with teamId)
+router.post('/certificates/email', requireAdmin, async (req, res) => {
+  try {
+    const { eventSettings, teams, certificateList, options } = await loadCertificates();
+    const teamsById = {};
+    teams.forEach(team => {
+      teamsById[String(team.id)] = team;
+    });
+    let groups = certificates.groupCertificatesByTeam(certificateList);
+    if (req.body.teamId) {
+      groups = groups.filter(group => String(group.team.id) === String(req.body.teamId));
+    }
+    if (groups.length === 0) {
+      return res.redirect('/admin/certificates?error=no_certificates');
+    }
+
+    let sent = 0;
+    let failed = 0;
+    let skipped = 0;
+    for (const group of groups) {
+      const team = teamsById[String(group.team.id)];
+      if (!getTeamEmail(team)) {
+        skipped++;
+        continue;
+      }
+      try {
+        await emailTeamCertificates(team, group.certificates, options, eventSettings.event_name || 'Hackathon');
+        sent++;
+      } catch (sendError) {
+        console.error(`Error emailing certificates to team ${team.name}:`, sendError);
+        failed++;
+      }
+    }
+
+    res.redirect(`/admin/certificates?success=emailed&sent=${sent}&failed=${failed}&skipped=${skipped}`);
+  } catch (error) {
+    console.error('Certificates email error:', error);
+    res.redirect('/admin/certificates?error=failed');
+  }
+});
+
 // GET newsletter page
 router.get('/newsletter', requireAdmin, async (req, res) => {
   try {
@@ -388,6 +388,9 @@ router.post('/accept-policies', async (req, res) => {
 router.get('/logout', (req, res) => {
   // Clear JWT cookie
   res.clearCookie('token');
+  // Drop the offline score queue and cached score pages, so the next judge on a shared device
+  // doesn't replay or see this judge's scores
+  res.set('Clear-Site-Data', '"cache", "storage"');
   
   // Destroy session
   req.session.destroy((err) => {
@@ -7,6 +7,9 @@ const crypto = require('crypto');
 const db = require('../db/database');
 const { requireParticipant, requireTeamOwner, requireTeamLeader } = require('../middleware/rbac');
 const { checkAndReturnError } = require('../middleware/validation');
+const finalists = require('../services/finalists');
+const feedback = require('../services/feedback');
+const resultsVisibility = require('../services/results-visibility');
 
 // Configure multer for screenshot uploads
 const uploadsDir = path.join(__dirname, '../public/uploads/screenshots');
@@ -92,28 +95,36 @@ router.get('/', requireParticipant, async (req, res) => {
     const team = await db.getTeamById(user.team_id);
 
     // Get cumulative scores for this team up to current round
+    // (as they stood at the freeze while results are frozen)
     const currentRound = req.session.currentRound || 1;
-    const allScores = await db.getJudgeScores(null, null, team.table_name);
-    const teamScores = allScores.filter(s => s.team_name === team.name && s.round <= currentRound);
+    const eventSettings = await db.getEventSettings();
+    const frozenAt = resultsVisibility.getResultsCutoff(eventSettings, 'participant');
+    const allScores = await db.getVisibleTeamScores(team.name, frozenAt);
+    const teamScores = allScores.filter(s => s.round <= currentRound);
 
-    // Calculate total score across all rounds up to current round
-    let totalScore = 0;
     const uniqueJudges = new Set();
     const roundsCompleted = new Set();
+    teamScores.forEach(s => {
+      uniqueJudges.add(s.judge_email);
+      roundsCompleted.add(s.round);
+    });
 
-    if (teamScores.length > 0) {
-      totalScore = teamScores.reduce((sum, s) => sum + s.score, 0);
-      teamScores.forEach(s => {
-        uniqueJudges.add(s.judge_email);
-        roundsCompleted.add(s.round);
-      });
-    }
-
-    // Get results for this team's division
-    const allResults = await db.getTableResults(currentRound, null);
+    // Get results for this team's division (using the leaderboard's normalization mode)
+    // Eliminated teams keep the rank from the last round they competed in
+    const rankRound = finalists.getLastActiveRound(await db.getFinalistsByRound(), team.name, currentRound);
+    const allResults = await db.getTableResults(rankRound, null, eventSettings.score_normalization, frozenAt);
     const teamDivision = team.division || 'Unassigned';
     const divisionResults = allResults[teamDivision] || [];
-    const teamRank = divisionResults.findIndex(t => t.team_name === team.name) + 1;
+    const teamResult = divisionResults.find(t => t.team_name === team.name);
+    const teamRank = teamResult ? teamResult.rank : 0;
+    const teamTied = teamResult ? teamResult.tied : false;
+    const totalScore = teamResult ? teamResult.total_score : 0;
+
+    // Anonymized judge feedback, once judging is locked and an admin has released it
+    const feedbackReleased = eventSettings.judging_locked && eventSettings.feedback_released;
+    const teamFeedback = feedbackReleased
+      ? feedback.buildTeamFeedback(await db.getScores({ teamName: team.name }), await db.getTeamFeedbackCriterionScores(team.name))
+      : [];
 
     res.render('participant/dashboard', {
       title: 'My Team Dashboard',
@@ -121,9 +132,14 @@ router.get('/', requireParticipant, async (req, res) => {
       teamScores,
       totalScore,
       teamRank,
+      teamTied,
+      rankRound,
       currentRound,
+      frozenAt,
       judgeCount: uniqueJudges.size,
       roundsCompleted: roundsCompleted.size,
+      feedbackReleased,
+      teamFeedback,
       query: req.query
     });
   } catch (error) {
@@ -624,13 +640,25 @@ router.get('/scores', requireParticipant, async (req, res) => {
     const team = await db.getTeamById(user.team_id);
     const round = parseInt(req.query.round) || req.session.currentRound || 1;
 
-    // Get all scores for this team across all rounds
-    const allScores = await db.getJudgeScores(null, null, team.table_name);
-    const teamScores = allScores.filter(s => s.team_name === team.name);
+    // Get all scores for this team across all rounds (as they stood at the freeze while results are frozen)
+    const eventSettings = await db.getEventSettings();
+    const frozenAt = resultsVisibility.getResultsCutoff(eventSettings, 'participant');
+    const teamScores = await db.getVisibleTeamScores(team.name, frozenAt);
+
+    // Judges stay anonymous, and their notes are only shown once feedback is released
+    const feedbackReleased = eventSettings.judging_locked && eventSettings.feedback_released;
+    const judgeLabels = feedback.getJudgeLabels(teamScores);
+    const visibleScores = teamScores.map(score => ({
+      round: score.round,
+      score: score.score,
+      created_at: score.created_at,
+      judge: judgeLabels[score.round][score.judge_email],
+      notes: feedbackReleased ? feedback.getReleasedNote(score) : null
+    }));
 
     // Group scores by round
     const scoresByRound = {};
-    teamScores.forEach(score => {
+    visibleScores.forEach(score => {
       if (!scoresByRound[score.round]) {
         scoresByRound[score.round] = [];
       }
@@ -646,10 +674,11 @@ router.get('/scores', requireParticipant, async (req, res) => {
     });
 
     // Get division results for current round
-    const allResults = await db.getTableResults(round, null);
+    const allResults = await db.getTableResults(round, null, eventSettings.score_normalization, frozenAt);
     const teamDivision = team.division || 'Unassigned';
     const divisionResults = allResults[teamDivision] || [];
-    const teamRank = divisionResults.findIndex(t => t.team_name === team.name) + 1;
+    const teamResult = divisionResults.find(t => t.team_name === team.name);
+    const teamRank = teamResult ? teamResult.rank : 0;
 
     res.render('participant/live-scores', {
       title: 'Live Scores',
@@ -657,6 +686,7 @@ router.get('/scores', requireParticipant, async (req, res) => {
       scoresByRound,
       roundAverages,
       currentRound: round,
+      frozenAt,
       teamRank,
       divisionResults,
       teamDivision
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/database');
+const awards = require('../services/awards');
 
 // GET public projects page - shows all teams and their projects
 router.get('/', async (req, res) => {
@@ -27,6 +28,9 @@ router.get('/', async (req, res) => {
       filteredTeams = teams.filter(team => team.division === selectedDivision);
     }
     
+    // Announced awards (judges and admins also see the ones still to be announced)
+    const visibleAwards = awards.getVisibleAwards(await db.getAwards(), req.session && req.session.user ? req.session.user.role : null);
+
     // Get screenshots for each team and check authorization for contact_email
     const teamsWithScreenshots = await Promise.all(filteredTeams.map(async (team) => {
       const screenshots = await db.getTeamScreenshots(team.id);
@@ -55,6 +59,7 @@ router.get('/', async (req, res) => {
       return {
         ...teamData,
         screenshots,
+        awards: awards.getTeamAwards(visibleAwards, team.id),
         canViewContactEmail
       };
     }));
@@ -146,6 +151,10 @@ router.get('/:teamId', async (req, res) => {
     }
     
     const screenshots = await db.getTeamScreenshots(teamId);
+    const teamAwards = awards.getTeamAwards(
+      awards.getVisibleAwards(await db.getAwards(), req.session && req.session.user ? req.session.user.role : null),
+      teamId
+    );
     
     // Prepare meta tags for Open Graph and Twitter
     const appUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
@@ -185,6 +194,7 @@ router.get('/:teamId', async (req, res) => {
       title: `${team.project_name} - ${team.name}`,
       team: teamData,
       screenshots,
+      awards: teamAwards,
       eventSettings,
       canViewContactEmail,
       meta
@@ -1,8 +1,19 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const db = require('../db/database');
 const { requireJudge } = require('../middleware/rbac');
 const { checkAndReturnError } = require('../middleware/validation');
+const scoring = require('../services/scoring');
+const expertise = require('../services/expertise');
+const pairwise = require('../services/pairwise');
+const scoreReplay = require('../services/score-replay');
+const scoreDrafts = require('../services/score-drafts');
+const calibration = require('../services/calibration');
+const liveUpdates = require('../services/live-updates');
+const resultsVisibility = require('../services/results-visibility');
+const resultsExport = require('../services/results-export');
+const awards = require('../services/awards');
 
 // Middleware to require authentication
 const requireAuth = (req, res, next) => {
@@ -12,6 +23,66 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
+// Convert a SQLite UTC locked_at timestamp into the ISO time the lock expires (null = never)
+const getLockExpiry = (lockedAt, timeoutMinutes) => {
+  if (!lockedAt || !timeoutMinutes) return null;
+  const lockedAtMs = new Date(`${lockedAt.replace(' ', 'T')}Z`).getTime();
+  if (isNaN(lockedAtMs)) return null;
+  return new Date(lockedAtMs + timeoutMinutes * 60 * 1000).toISOString();
+};
+
+// While the calibration round is on, the calibration item the judge still has to score (null when done or off)
+const getPendingCalibrationItem = async (eventSettings, judgeEmail) => {
+  if (!eventSettings.calibration_mode) return null;
+  const items = await db.getCalibrationItems();
+  const scored = await db.getCalibrationScores(judgeEmail);
+  return calibration.getNextCalibrationItem(items, scored.map(s => s.item_id));
+};
+
+// Leaderboard for a round (and optional division), frozen at asOf when set. Every viewer shares one
+// computation until the leaderboard changes, so projector and phone screens refreshing together cost one query
+const getLeaderboard = (round, selectedDivision, asOf = null) => {
+  return liveUpdates.cached('leaderboard', `${round}|${selectedDivision || ''}|${asOf || 'live'}`, async () => {
+    // Get event settings for divisions and the ranking normalization mode
+    const eventSettings = await db.getEventSettings();
+    const normalization = eventSettings.score_normalization;
+
+    const allResults = await db.getTableResults(round, null, normalization, asOf);
+
+    // Filter results by division if specified
+    let results = allResults;
+    if (selectedDivision) {
+      results = { [selectedDivision]: allResults[selectedDivision] || [] };
+    }
+
+    return {
+      results,
+      divisions: eventSettings.divisions || [],
+      // Top team per category for the sidebar
+      categoryLeaders: await db.getTopTeamPerCategory(round, normalization, asOf) || [],
+      normalization,
+      aggregation: eventSettings.score_aggregation,
+      judgingMode: pairwise.getJudgingMode(eventSettings, round),
+      finalistCount: (await db.getRoundFinalists(round)).length
+    };
+  });
+};
+
+// Round and division asked for in the query, limited to rounds that have started and the event's
+// divisions, so made-up values can't fill the leaderboard cache
+const parseLeaderboardQuery = (query, eventSettings, defaultRound) => {
+  const currentRound = eventSettings.current_round || 1;
+  const round = Math.min(Math.max(parseInt(query.round) || defaultRound || currentRound, 1), currentRound);
+  const divisions = eventSettings.divisions || [];
+  return { round, selectedDivision: divisions.includes(query.division) ? query.division : null };
+};
+
+// Teams eliminated before a round can't be judged in it (a round without finalists is open to all)
+const isTeamCompeting = async (teamName, round) => {
+  const roundFinalists = await db.getRoundFinalists(round);
+  return roundFinalists.length === 0 || roundFinalists.includes(teamName);
+};
+
 // GET judge queue page - shows stats and next table button
 router.get('/judge-queue', requireJudge, async (req, res) => {
   try {
@@ -19,6 +90,9 @@ router.get('/judge-queue', requireJudge, async (req, res) => {
     const round = eventSettings.current_round || req.session.currentRound || 1;
     const judgeEmail = req.session.user.email;
 
+    // Return abandoned teams to the queue before showing it
+    await db.releaseStaleLocks(eventSettings.lock_timeout_minutes);
+
     // Get queue statistics
     const queueStats = await db.getJudgeQueueStats(round);
     
@@ -27,14 +101,28 @@ router.get('/judge-queue', requireJudge, async (req, res) => {
     const judgedTeamNames = new Set(judgedTeams.map(t => t.team_name));
     
     // Get current incomplete assignments (locked but not completed)
-    const currentAssignments = await db.getCurrentAssignmentsForJudge(judgeEmail, round);
+    const currentAssignments = (await db.getCurrentAssignmentsForJudge(judgeEmail, round)).map(a => ({
+      ...a,
+      expires_at: getLockExpiry(a.locked_at, eventSettings.lock_timeout_minutes)
+    }));
     const currentAssignmentTeamNames = new Set(currentAssignments.map(a => a.team_name));
-    
-    // Get required judges per team from env (default to 2)
-    const requiredJudgesPerTeam = parseInt(process.env.JUDGES_PER_TEAM || '2', 10);
+
+    // Get teams this judge has a conflict of interest with
+    const conflicts = await db.getConflictsForJudge(judgeEmail);
+    const conflictTeamNames = new Set(conflicts.map(c => c.team_name));
+
+    // Get this judge's expertise and the teams it holds them back from (restrict mode only)
+    const judgeExpertise = await db.getJudgeExpertise(judgeEmail);
+    const outsideExpertise = new Set(await db.getTeamsOutsideExpertise(judgeEmail));
+    const categories = await db.getCategoryNames();
     
     // Get judging locked status
     const judgingLocked = eventSettings.judging_locked || false;
+
+    // Judges finish the calibration round before they get real teams
+    const calibrationItems = eventSettings.calibration_mode ? await db.getCalibrationItems() : [];
+    const calibrationScores = calibrationItems.length > 0 ? await db.getCalibrationScores(judgeEmail) : [];
+    const pendingCalibrationItem = calibration.getNextCalibrationItem(calibrationItems, calibrationScores.map(s => s.item_id));
     
     // Determine which teams can be self-assigned by this judge
     const queueStatsWithSelfAssign = await Promise.all(queueStats.map(async (team) => {
@@ -42,21 +130,28 @@ router.get('/judge-queue', requireJudge, async (req, res) => {
       const isLocked = await db.isTeamLocked(team.team_name, round);
       
       // Determine if this judge can self-assign this team
+      const hasConflict = conflictTeamNames.has(team.team_name);
+      const isOutsideExpertise = outsideExpertise.has(team.team_name);
       const canSelfAssign = !judgingLocked &&
+        !pendingCalibrationItem &&  // Calibration round finished
         !judgedTeamNames.has(team.team_name) &&  // Never judged
         !currentAssignmentTeamNames.has(team.team_name) &&  // Not currently assigned
-        team.judge_count < requiredJudgesPerTeam &&  // Needs more judges
+        !hasConflict &&  // No conflict of interest
+        !isOutsideExpertise &&  // Left for judges qualified for it
+        team.judge_count < team.required_judges &&  // Needs more judges for its round and division
         !isLocked;  // Not locked by another judge
       
       return {
         ...team,
-        canSelfAssign
+        canSelfAssign,
+        hasConflict,
+        isOutsideExpertise
       };
     }));
     
     // Calculate summary stats
     const totalTeams = queueStats.length;
-    const teamsNeedingJudges = queueStats.filter(t => t.judge_count < requiredJudgesPerTeam).length;
+    const teamsNeedingJudges = queueStats.filter(t => t.judge_count < t.required_judges).length;
     const myTeamCount = judgedTeams.length;
 
     res.render('scores/judge-queue', {
@@ -65,11 +160,21 @@ router.get('/judge-queue', requireJudge, async (req, res) => {
       queueStats: queueStatsWithSelfAssign,
       judgedTeams,
       currentAssignments,
+      conflicts,
+      judgeExpertise,
+      categories,
       totalTeams,
       teamsNeedingJudges,
       myTeamCount,
       eventSettings,
+      judgingMode: pairwise.getJudgingMode(eventSettings, round),
       judgingLocked,
+      calibration: calibrationItems.length > 0 ? {
+        total: calibrationItems.length,
+        completed: calibrationScores.filter(s => calibrationItems.some(item => item.id === s.item_id)).length,
+        nextItem: pendingCalibrationItem
+      } : null,
+      offlineScoring: true,
       query: req.query
     });
   } catch (error) {
@@ -94,6 +199,9 @@ router.get('/next-team', requireJudge, async (req, res) => {
     const round = eventSettings.current_round || req.session.currentRound || 1;
     const judgeEmail = req.session.user.email;
 
+    // Release abandoned locks so their teams can be handed out again
+    await db.releaseStaleLocks(eventSettings.lock_timeout_minutes);
+
     // Check if judge already has an incomplete assignment
     const currentAssignments = await db.getCurrentAssignmentsForJudge(judgeEmail, round);
     if (currentAssignments && currentAssignments.length > 0) {
@@ -102,6 +210,12 @@ router.get('/next-team', requireJudge, async (req, res) => {
       return res.redirect(`/scores/enter/${encodeURIComponent(firstAssignment.team_name)}?round=${round}&auto=1`);
     }
 
+    // Hand out calibration items before any real team
+    const calibrationItem = await getPendingCalibrationItem(eventSettings, judgeEmail);
+    if (calibrationItem) {
+      return res.redirect(`/scores/calibration/${calibrationItem.id}`);
+    }
+
     // Try to get and lock a team (with retries for race conditions)
     let nextTeam = null;
     let lockResult = null;
@@ -112,12 +226,9 @@ router.get('/next-team', requireJudge, async (req, res) => {
       nextTeam = await db.getNextTeamForJudge(judgeEmail, round);
 
       if (!nextTeam) {
-        // Get required judges per team from env (default to 2)
-        const requiredJudgesPerTeam = parseInt(process.env.JUDGES_PER_TEAM || '2', 10);
-        
         // Check if all teams have required judges or if judge has judged all available teams
         const queueStats = await db.getJudgeQueueStats(round);
-        const allTeamsComplete = queueStats.every(t => t.judge_count >= requiredJudgesPerTeam);
+        const allTeamsComplete = queueStats.every(t => t.judge_count >= t.required_judges);
         
         if (allTeamsComplete) {
           return res.redirect('/scores/judge-queue?message=all_complete');
@@ -142,8 +253,8 @@ router.get('/next-team', requireJudge, async (req, res) => {
       if (lockResult.success) {
         // Successfully locked the team
         break;
-      } else if (lockResult.reason === 'already_locked') {
-        // Team was locked by another judge, try again
+      } else if (lockResult.reason === 'already_locked' || lockResult.reason === 'conflict') {
+        // Team was locked by another judge (or a conflict was just declared), try again
         if (attempt < maxRetries - 1) {
           continue;
         } else {
@@ -171,6 +282,106 @@ router.get('/next-team', requireJudge, async (req, res) => {
   }
 });
 
+// GET score a calibration item (judges and admins only, while the calibration round is on)
+router.get('/calibration/:id', requireJudge, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    if (eventSettings.judging_locked) {
+      return res.redirect('/scores/judge-queue?error=judging_locked');
+    }
+    if (!eventSettings.calibration_mode) {
+      return res.redirect('/scores/judge-queue');
+    }
+
+    const item = await db.getCalibrationItemById(parseInt(req.params.id));
+    if (!item) {
+      return res.redirect('/scores/next-team');
+    }
+
+    const judgeEmail = req.session.user.email;
+    const items = await db.getCalibrationItems();
+    const scores = await db.getCalibrationScores(judgeEmail);
+    const existingScore = scores.find(s => s.item_id === item.id) || null;
+    const criteria = await db.getRubricCriteria();
+
+    res.render('scores/calibrate', {
+      title: `Calibration - ${item.name}`,
+      item,
+      position: items.findIndex(i => i.id === item.id) + 1,
+      total: items.length,
+      criteria,
+      formValues: scoreDrafts.getFormValues(null, existingScore, existingScore ? existingScore.criteria : {}),
+      maxWeightedScore: scoring.getMaxWeightedScore(criteria),
+      isEdit: !!existingScore,
+      query: req.query
+    });
+  } catch (error) {
+    console.error('Error loading calibration item:', error);
+    res.render('error', {
+      message: 'Failed to load calibration item',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST save a calibration score, then carry on to the next calibration item or real team.
+// Calibration scores are stored apart from team scores and never count towards results
+router.post('/calibration/:id', requireJudge, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    if (eventSettings.judging_locked) {
+      return res.redirect('/scores/judge-queue?error=judging_locked');
+    }
+    if (!eventSettings.calibration_mode) {
+      return res.redirect('/scores/judge-queue');
+    }
+
+    const item = await db.getCalibrationItemById(parseInt(req.params.id));
+    if (!item) {
+      return res.redirect('/scores/next-team');
+    }
+    const retryUrl = (message) => `/scores/calibration/${item.id}?error=${encodeURIComponent(message)}`;
+
+    // Scored exactly like a team: the weighted rubric total, or a single score without a rubric
+    const criteria = await db.getRubricCriteria();
+    const criterionScores = {};
+    let scoreNum;
+    if (criteria.length > 0) {
+      const parsed = scoring.parseCriterionScores(criteria, req.body);
+      if (parsed.error) {
+        return res.redirect(retryUrl(parsed.error));
+      }
+      parsed.scores.forEach(cs => {
+        criterionScores[cs.criterion_id] = cs.score;
+      });
+      scoreNum = scoring.calculateWeightedScore(criteria, parsed.scores);
+    } else {
+      scoreNum = parseFloat(req.body.score);
+    }
+
+    if (isNaN(scoreNum)) {
+      return res.redirect(retryUrl('Please enter a score.'));
+    }
+
+    const { notes } = req.body;
+    if (notes) {
+      const notesError = await checkAndReturnError(notes, 'Notes');
+      if (notesError) {
+        return res.redirect(retryUrl(notesError));
+      }
+    }
+
+    await db.saveCalibrationScore(req.session.user.email, item.id, scoreNum, notes || '', criterionScores);
+    res.redirect('/scores/next-team');
+  } catch (error) {
+    console.error('Error saving calibration score:', error);
+    res.render('error', {
+      message: 'Failed to save calibration score. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
 // GET assign specific team - allows judge to self-assign a specific team
 router.get('/assign-team/:teamName', requireJudge, async (req, res) => {
   try {
@@ -184,9 +395,9 @@ router.get('/assign-team/:teamName', requireJudge, async (req, res) => {
     const round = eventSettings.current_round || req.session.currentRound || 1;
     const judgeEmail = req.session.user.email;
     const teamName = decodeURIComponent(req.params.teamName);
-    
-    // Get required judges per team from env (default to 2)
-    const requiredJudgesPerTeam = parseInt(process.env.JUDGES_PER_TEAM || '2', 10);
+
+    // Release abandoned locks so their teams can be picked again
+    await db.releaseStaleLocks(eventSettings.lock_timeout_minutes);
     
     // Check if judge already has an incomplete assignment
     const currentAssignments = await db.getCurrentAssignmentsForJudge(judgeEmail, round);
@@ -202,6 +413,11 @@ router.get('/assign-team/:teamName', requireJudge, async (req, res) => {
       }
     }
     
+    // Real teams wait until the judge has finished the calibration round
+    if (await getPendingCalibrationItem(eventSettings, judgeEmail)) {
+      return res.redirect('/scores/judge-queue?error=calibration_pending');
+    }
+
     // Verify this judge hasn't already judged this team (ever)
     const judgedTeams = await db.getJudgedTeamsByJudge(judgeEmail);
     const hasJudgedThisTeam = judgedTeams.some(t => t.team_name === teamName);
@@ -209,6 +425,22 @@ router.get('/assign-team/:teamName', requireJudge, async (req, res) => {
     if (hasJudgedThisTeam) {
       return res.redirect('/scores/judge-queue?error=already_judged');
     }
+
+    // Judges may never pick a team they have a conflict of interest with
+    const conflicts = await db.getConflictsForJudge(judgeEmail);
+    if (conflicts.some(c => c.team_name === teamName)) {
+      return res.redirect('/scores/judge-queue?error=conflict');
+    }
+
+    if (!(await isTeamCompeting(teamName, round))) {
+      return res.redirect('/scores/judge-queue?error=not_finalist');
+    }
+
+    // In restrict mode, teams outside the judge's expertise are left to qualified judges
+    const outsideExpertise = await db.getTeamsOutsideExpertise(judgeEmail);
+    if (outsideExpertise.includes(teamName)) {
+      return res.redirect('/scores/judge-queue?error=outside_expertise');
+    }
     
     // Check if team exists and get its info
     const queueStats = await db.getJudgeQueueStats(round);
@@ -219,7 +451,7 @@ router.get('/assign-team/:teamName', requireJudge, async (req, res) => {
     }
     
     // Check if team already has enough judges
-    if (teamInfo.judge_count >= requiredJudgesPerTeam) {
+    if (teamInfo.judge_count >= teamInfo.required_judges) {
       return res.redirect('/scores/judge-queue?error=team_complete');
     }
     
@@ -235,6 +467,8 @@ router.get('/assign-team/:teamName', requireJudge, async (req, res) => {
     if (!lockResult.success) {
       if (lockResult.reason === 'already_locked') {
         return res.redirect('/scores/judge-queue?error=team_locked');
+      } else if (lockResult.reason === 'conflict') {
+        return res.redirect('/scores/judge-queue?error=conflict');
       } else {
         return res.redirect('/scores/judge-queue?error=assignment_failed');
       }
@@ -248,6 +482,89 @@ router.get('/assign-team/:teamName', requireJudge, async (req, res) => {
   }
 });
 
+// POST skip a queued team (not present, technical issue, conflict) and return it to the queue
+router.post('/skip', requireJudge, async (req, res) => {
+  try {
+    const judgeEmail = req.session.user.email;
+    const teamName = req.body.teamName;
+    const round = parseInt(req.body.round) || 1;
+    const reason = req.body.reason;
+
+    if (!teamName || !db.SKIP_REASONS.includes(reason)) {
+      return res.redirect(`/scores/enter/${encodeURIComponent(teamName || '')}?round=${round}&auto=1&error=${encodeURIComponent('Please choose why you are skipping this team.')}`);
+    }
+
+    const result = await db.skipTeamForJudge(judgeEmail, teamName, round, reason);
+    if (!result.success) {
+      return res.redirect('/scores/judge-queue?error=skip_failed');
+    }
+
+    res.redirect('/scores/judge-queue?success=skipped');
+  } catch (error) {
+    console.error('Error skipping team:', error);
+    res.redirect('/scores/judge-queue?error=skip_failed');
+  }
+});
+
+// POST declare a conflict of interest with a team
+router.post('/conflicts', requireJudge, async (req, res) => {
+  try {
+    const judgeEmail = req.session.user.email;
+    const teamName = (req.body.teamName || '').trim();
+    const reason = (req.body.reason || '').trim();
+
+    const teams = await db.getTeams();
+    if (!teams.some(t => t.name === teamName)) {
+      return res.redirect('/scores/judge-queue?error=team_not_found');
+    }
+
+    const conflicts = await db.getConflictsForJudge(judgeEmail);
+    if (conflicts.some(c => c.team_name === teamName)) {
+      return res.redirect('/scores/judge-queue?error=conflict_exists');
+    }
+
+    await db.addJudgeConflict(judgeEmail, teamName, reason, judgeEmail);
+    res.redirect('/scores/judge-queue?success=conflict_declared');
+  } catch (error) {
+    console.error('Error declaring conflict:', error);
+    res.redirect('/scores/judge-queue?error=conflict_failed');
+  }
+});
+
+// POST withdraw a conflict of interest the judge declared themselves
+router.post('/conflicts/:id/delete', requireJudge, async (req, res) => {
+  try {
+    const judgeEmail = req.session.user.email;
+    const conflict = await db.getJudgeConflictById(parseInt(req.params.id));
+
+    // Conflicts recorded by an admin can only be removed by an admin
+    if (!conflict || conflict.judge_email !== judgeEmail || conflict.declared_by !== judgeEmail) {
+      return res.redirect('/scores/judge-queue?error=conflict_failed');
+    }
+
+    await db.deleteJudgeConflict(conflict.id);
+    res.redirect('/scores/judge-queue?success=conflict_withdrawn');
+  } catch (error) {
+    console.error('Error withdrawing conflict:', error);
+    res.redirect('/scores/judge-queue?error=conflict_failed');
+  }
+});
+
+// POST update the divisions and categories the judge is qualified to judge
+router.post('/expertise', requireJudge, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    const categories = await db.getCategoryNames();
+    const selection = expertise.parseExpertiseSelection(req.body, eventSettings.divisions || [], categories);
+
+    await db.setJudgeExpertise(req.session.user.email, selection.divisions, selection.categories);
+    res.redirect('/scores/judge-queue?success=expertise_updated');
+  } catch (error) {
+    console.error('Error updating expertise:', error);
+    res.redirect('/scores/judge-queue?error=expertise_failed');
+  }
+});
+
 // GET select team page (judges and admins only)
 router.get('/select-team', requireJudge, async (req, res) => {
   try {
@@ -255,8 +572,10 @@ router.get('/select-team', requireJudge, async (req, res) => {
     const selectedDivision = req.query.division || null;
     req.session.currentRound = round;
 
-    // Get all teams from database
-    const allTeams = await db.getTeams();
+    // Get the teams still competing in this round
+    const roundFinalists = await db.getRoundFinalists(round);
+    const allTeams = (await db.getTeams())
+      .filter(team => roundFinalists.length === 0 || roundFinalists.includes(team.name));
     
     // Filter out sensitive data (contact_email) for non-admin users
     const filteredTeams = allTeams.map(team => {
@@ -338,6 +657,20 @@ router.get('/enter/:teamName', requireJudge, async (req, res) => {
       });
     }
 
+    // Judges cannot score a team they have a conflict of interest with
+    const conflicts = await db.getConflictsForJudge(req.session.user.email);
+    if (conflicts.some(c => c.team_name === teamName)) {
+      return res.render('error', {
+        message: `You have a conflict of interest with ${teamName} and cannot score this team.`
+      });
+    }
+
+    if (!(await isTeamCompeting(teamName, round))) {
+      return res.render('error', {
+        message: `${teamName} didn't advance to Round ${round} and can't be judged in it.`
+      });
+    }
+
     // Get team table
     const tableName = await db.getTeamTable(teamName);
     if (!tableName) {
@@ -349,13 +682,68 @@ router.get('/enter/:teamName', requireJudge, async (req, res) => {
     // Check if score already exists
     const existingScore = await db.getScore(req.session.user.email, teamName, round);
 
+    // If the judge is holding this team from the queue, tell the page when the hold runs out
+    const currentAssignments = await db.getCurrentAssignmentsForJudge(req.session.user.email, round);
+    const assignment = currentAssignments.find(a => a.team_name === teamName);
+    const lockExpiresAt = assignment ? getLockExpiry(assignment.locked_at, eventSettings.lock_timeout_minutes) : null;
+
+    // In pairwise rounds judges compare this team with the last one they saw instead of scoring it
+    if (pairwise.isPairwiseRound(eventSettings, round)) {
+      const existingVisit = await db.getPairwiseVisit(req.session.user.email, round, teamName);
+      let previousTeam = null;
+      if (existingVisit) {
+        previousTeam = existingVisit.previous_team_name
+          ? { team_name: existingVisit.previous_team_name, table_name: await db.getTeamTable(existingVisit.previous_team_name) }
+          : null;
+      } else {
+        previousTeam = await db.getPreviousPairwiseTeam(req.session.user.email, round, teamName);
+      }
+
+      return res.render('scores/compare', {
+        title: `Compare - ${teamName}`,
+        teamName,
+        tableName,
+        round,
+        previousTeam,
+        existingVisit,
+        lockExpiresAt,
+        canSkip: !!assignment && !existingVisit,
+        isEdit: !!existingVisit,
+        query: req.query
+      });
+    }
+
+    // Load rubric criteria (if configured) and any criterion scores already entered
+    const criteria = await db.getRubricCriteria();
+    const existingCriterionScores = {};
+    if (criteria.length > 0 && existingScore) {
+      const criterionScores = await db.getCriterionScores(req.session.user.email, teamName, round);
+      criterionScores.forEach(cs => {
+        existingCriterionScores[cs.criterion_id] = cs.score;
+      });
+    }
+
+    // While the judge holds the team, what they type is autosaved as a draft and restored here
+    const canSaveDraft = !!assignment && !existingScore;
+    const draft = canSaveDraft ? scoreDrafts.parseStoredDraft(assignment.draft) : null;
+
     res.render('scores/enter', {
       title: `Score Entry - ${teamName}`,
       teamName,
       tableName,
       round,
       existingScore,
+      criteria,
+      formValues: scoreDrafts.getFormValues(draft, existingScore, existingCriterionScores),
+      canSaveDraft,
+      draftSavedAt: draft ? `${assignment.draft_saved_at.replace(' ', 'T')}Z` : null,
+      maxWeightedScore: scoring.getMaxWeightedScore(criteria),
+      lockExpiresAt,
+      canSkip: !!assignment && !existingScore,
       isEdit: !!existingScore,
+      submissionId: crypto.randomUUID(),
+      judgeEmail: req.session.user.email,
+      offlineScoring: true,
       query: req.query
     });
   } catch (error) {
@@ -367,10 +755,168 @@ router.get('/enter/:teamName', requireJudge, async (req, res) => {
   }
 });
 
+// POST autosave a score entry draft (judges and admins only)
+// Drafts are kept on the judge's hold on the team; they never count as a score or complete the assignment
+router.post('/draft', requireJudge, async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    const { teamName } = req.body;
+    const roundNum = parseInt(req.body.round) || 1;
+
+    if (!teamName) {
+      return res.status(400).json({ status: 'invalid' });
+    }
+    if (eventSettings.judging_locked || await db.isRoundLocked(roundNum)) {
+      return res.status(409).json({ status: 'locked' });
+    }
+
+    const draft = scoreDrafts.parseDraftFields(await db.getRubricCriteria(), req.body);
+    const result = await db.saveScoreDraft(req.session.user.email, teamName, roundNum, draft);
+    if (!result.saved) {
+      return res.status(409).json({ status: 'not_held' });
+    }
+    res.json({ status: 'saved' });
+  } catch (error) {
+    console.error('Error saving score draft:', error);
+    res.status(500).json({ status: 'error' });
+  }
+});
+
 // POST submit score (judges and admins only)
+// Submissions the service worker queued offline are replayed with an X-Score-Replay header
+// and get a JSON status back instead of a page
 router.post('/submit', requireJudge, async (req, res) => {
+  const isReplay = req.get('X-Score-Replay') === '1';
+  const rejectSubmission = (message, redirectUrl = null) => {
+    if (isReplay) {
+      return res.status(409).json({ status: 'rejected', message });
+    }
+    if (redirectUrl) {
+      return res.redirect(redirectUrl);
+    }
+    return res.render('error', { message, error: {} });
+  };
+
+  try {
+    const eventSettings = await db.getEventSettings();
+    const { teamName, tableName, round, score, notes, submissionId } = req.body;
+    const judgeEmail = req.session.user.email;
+    const roundNum = parseInt(round) || 1;
+
+    // Check if this was from the auto-queue system
+    // Handle both string '1' and number 1, and check both body and query
+    const autoValue = req.body.auto || req.query.auto;
+    const wasAutoAssigned = autoValue === '1' || autoValue === 1 || autoValue === true || autoValue === 'true';
+    // Go to the next team automatically, or back to the select-team page with a success message
+    const successUrl = wasAutoAssigned ? '/scores/next-team' : `/scores/select-team?round=${roundNum}&success=1`;
+
+    // A submission that was already saved isn't saved again, even if judging or the round has locked since
+    const hasSubmissionId = scoreReplay.isValidSubmissionId(submissionId);
+    const submissionCheck = scoreReplay.checkSubmission({
+      previousSubmission: hasSubmissionId ? await db.getScoreSubmission(submissionId) : null,
+      judgeEmail,
+      enteredBy: req.body.judgeEmail || null,
+      judgingLocked: eventSettings.judging_locked,
+      roundLocked: await db.isRoundLocked(roundNum)
+    });
+    if (submissionCheck && submissionCheck.status === 'duplicate') {
+      return isReplay ? res.json({ status: 'duplicate' }) : res.redirect(successUrl);
+    }
+    if (submissionCheck) {
+      return rejectSubmission(scoreReplay.getRejectionMessage(submissionCheck.reason, roundNum));
+    }
+
+    if (!teamName || !tableName) {
+      return rejectSubmission('Invalid score data. Please try again.');
+    }
+
+    const conflicts = await db.getConflictsForJudge(judgeEmail);
+    if (conflicts.some(c => c.team_name === teamName)) {
+      return rejectSubmission(`You have a conflict of interest with ${teamName} and cannot score this team.`);
+    }
+
+    if (pairwise.isPairwiseRound(eventSettings, roundNum)) {
+      return rejectSubmission(`Round ${roundNum} is judged by pairwise comparison. Teams are compared rather than scored in this round.`);
+    }
+
+    if (!(await isTeamCompeting(teamName, roundNum))) {
+      return rejectSubmission(`${teamName} didn't advance to Round ${roundNum} and can't be judged in it.`);
+    }
+
+    // When a rubric is configured, the score is the weighted total of the criterion scores
+    const criteria = await db.getRubricCriteria();
+    let criterionScores = [];
+    let scoreNum;
+    if (criteria.length > 0) {
+      const parsed = scoring.parseCriterionScores(criteria, req.body);
+      if (parsed.error) {
+        return rejectSubmission(parsed.error, `/scores/enter/${encodeURIComponent(teamName)}?round=${roundNum}&error=${encodeURIComponent(parsed.error)}`);
+      }
+      criterionScores = parsed.scores;
+      scoreNum = scoring.calculateWeightedScore(criteria, criterionScores);
+    } else {
+      scoreNum = parseFloat(score);
+    }
+
+    if (isNaN(scoreNum)) {
+      return rejectSubmission('Invalid score data. Please try again.');
+    }
+
+    // Check for profanity in notes
+    if (notes) {
+      const notesError = await checkAndReturnError(notes, 'Notes');
+      if (notesError) {
+        // Redirect back to score entry page with error
+        return rejectSubmission(notesError, `/scores/enter/${encodeURIComponent(teamName)}?round=${roundNum}&error=${encodeURIComponent(notesError)}`);
+      }
+    }
+
+    // A queue lock that timed out while the judge was scoring is taken again, unless other judges have
+    // filled the team since (saving it would leave the team with more judges than it needs)
+    if (wasAutoAssigned) {
+      const claim = await db.reclaimAssignment(judgeEmail, teamName, roundNum);
+      if (!claim.success) {
+        return rejectSubmission(`Your hold on ${teamName} expired and other judges have judged the team since, so this score wasn't saved.`);
+      }
+    }
+
+    // Save the score and complete the team assignment
+    await db.submitScore(
+      judgeEmail, teamName, tableName, roundNum, scoreNum, notes || '', criterionScores,
+      hasSubmissionId ? submissionId : null
+    );
+
+    // Debug logging (remove in production if needed)
+    if (process.env.NODE_ENV === 'development') {
+      console.log('Score submission - auto check:', {
+        bodyAuto: req.body.auto,
+        queryAuto: req.query.auto,
+        autoValue,
+        wasAutoAssigned
+      });
+    }
+
+    if (isReplay) {
+      return res.json({ status: 'saved' });
+    }
+    res.redirect(successUrl);
+  } catch (error) {
+    console.error('Error submitting score:', error);
+    if (isReplay) {
+      // The service worker keeps the submission and tries again later
+      return res.status(500).json({ status: 'error' });
+    }
+    res.render('error', {
+      message: 'Failed to save score. Please try again.',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// POST record a pairwise comparison (judges and admins only)
+// The judge says whether the team they just saw was better than the previous one
+router.post('/compare', requireJudge, async (req, res) => {
   try {
-    // Check if judging is locked
     const eventSettings = await db.getEventSettings();
     if (eventSettings.judging_locked) {
       return res.render('error', {
@@ -379,18 +925,17 @@ router.post('/submit', requireJudge, async (req, res) => {
       });
     }
 
-    const { teamName, tableName, round, score, notes } = req.body;
+    const { teamName, round, winner, notes } = req.body;
     const judgeEmail = req.session.user.email;
     const roundNum = parseInt(round) || 1;
-    const scoreNum = parseFloat(score);
 
-    if (!teamName || !tableName || isNaN(scoreNum)) {
+    const tableName = teamName ? await db.getTeamTable(teamName) : null;
+    if (!tableName) {
       return res.render('error', {
-        message: 'Invalid score data. Please try again.'
+        message: 'Invalid comparison data. Please try again.'
       });
     }
 
-    // Check if round is locked
     const isLocked = await db.isRoundLocked(roundNum);
     if (isLocked) {
       return res.render('error', {
@@ -398,47 +943,72 @@ router.post('/submit', requireJudge, async (req, res) => {
       });
     }
 
-    // Check for profanity in notes
+    if (!pairwise.isPairwiseRound(eventSettings, roundNum)) {
+      return res.render('error', {
+        message: `Round ${roundNum} is not judged by pairwise comparison.`
+      });
+    }
+
+    const conflicts = await db.getConflictsForJudge(judgeEmail);
+    if (conflicts.some(c => c.team_name === teamName)) {
+      return res.render('error', {
+        message: `You have a conflict of interest with ${teamName} and cannot score this team.`
+      });
+    }
+
+    if (!(await isTeamCompeting(teamName, roundNum))) {
+      return res.render('error', {
+        message: `${teamName} didn't advance to Round ${roundNum} and can't be judged in it.`
+      });
+    }
+
+    const autoValue = req.body.auto || req.query.auto;
+    const wasAutoAssigned = autoValue === '1' || autoValue === 1 || autoValue === true || autoValue === 'true';
+    const backUrl = `/scores/enter/${encodeURIComponent(teamName)}?round=${roundNum}${wasAutoAssigned ? '&auto=1' : ''}`;
+
+    // The previous team is fixed once the visit is recorded, so edits only change the choice
+    const existingVisit = await db.getPairwiseVisit(judgeEmail, roundNum, teamName);
+    const previousTeam = existingVisit
+      ? existingVisit.previous_team_name
+      : (await db.getPreviousPairwiseTeam(judgeEmail, roundNum, teamName) || {}).team_name;
+
+    let winnerTeamName = null;
+    if (previousTeam) {
+      if (winner !== 'current' && winner !== 'previous') {
+        return res.redirect(`${backUrl}&error=${encodeURIComponent('Please choose which team was better.')}`);
+      }
+      winnerTeamName = winner === 'current' ? teamName : previousTeam;
+    }
+
     if (notes) {
       const notesError = await checkAndReturnError(notes, 'Notes');
       if (notesError) {
-        // Redirect back to score entry page with error
-        return res.redirect(`/scores/enter/${encodeURIComponent(teamName)}?round=${roundNum}&error=${encodeURIComponent(notesError)}`);
+        return res.redirect(`${backUrl}&error=${encodeURIComponent(notesError)}`);
       }
     }
 
-    // Save to local database
-    await db.saveScore(judgeEmail, teamName, tableName, roundNum, scoreNum, notes || '');
+    await db.savePairwiseComparison({
+      judgeEmail,
+      round: roundNum,
+      teamName,
+      tableName,
+      previousTeamName: previousTeam || null,
+      winnerTeamName,
+      notes: notes || ''
+    });
 
     // Mark team assignment as completed
     await db.markAssignmentCompleted(judgeEmail, teamName, roundNum);
 
-    // Check if this was from the auto-queue system
-    // Handle both string '1' and number 1, and check both body and query
-    const autoValue = req.body.auto || req.query.auto;
-    const wasAutoAssigned = autoValue === '1' || autoValue === 1 || autoValue === true || autoValue === 'true';
-    
-    // Debug logging (remove in production if needed)
-    if (process.env.NODE_ENV === 'development') {
-      console.log('Score submission - auto check:', {
-        bodyAuto: req.body.auto,
-        queryAuto: req.query.auto,
-        autoValue,
-        wasAutoAssigned
-      });
-    }
-    
     if (wasAutoAssigned) {
-      // Redirect to next team automatically
-      res.redirect(`/scores/next-team`);
+      res.redirect('/scores/next-team');
     } else {
-      // Redirect back to select-team page with success message
       res.redirect(`/scores/select-team?round=${roundNum}&success=1`);
     }
   } catch (error) {
-    console.error('Error submitting score:', error);
+    console.error('Error recording comparison:', error);
     res.render('error', {
-      message: 'Failed to save score. Please try again.',
+      message: 'Failed to save comparison. Please try again.',
       error: process.env.NODE_ENV === 'development' ? error : {}
     });
   }
@@ -478,34 +1048,38 @@ router.get('/my-scores', requireJudge, async (req, res) => {
   }
 });
 
+// Awards with winners for the leaderboard sidebar (only announced ones unless role is judge or admin)
+const getLeaderboardAwards = async (role) => {
+  return awards.labelAwardWinners(awards.getVisibleAwards(await db.getAwards(), role))
+    .filter(award => award.winners.length > 0);
+};
+
 // GET results/leaderboard page (all authenticated users)
 router.get('/results', requireAuth, async (req, res) => {
   try {
-    const round = parseInt(req.query.round) || req.session.currentRound || 1;
-    const selectedDivision = req.query.division || null;
-    
-    const allResults = await db.getTableResults(round, null);
-    
-    // Filter results by division if specified
-    let results = allResults;
-    if (selectedDivision) {
-      results = { [selectedDivision]: allResults[selectedDivision] || [] };
-    }
-    
-    // Get event settings for divisions
+    // Participants see the frozen scoreboard while results are frozen; judges and admins see live data
     const eventSettings = await db.getEventSettings();
-    const divisions = eventSettings.divisions || [];
-    
-    // Get top team per category for sidebar
-    const categoryLeaders = await db.getTopTeamPerCategory(round) || [];
+    const { round, selectedDivision } = parseLeaderboardQuery(req.query, eventSettings, req.session.currentRound);
+    const frozenAt = resultsVisibility.getResultsCutoff(eventSettings, req.session.user.role || 'judge');
+    const leaderboard = await getLeaderboard(round, selectedDivision, frozenAt);
 
     res.render('scores/results', {
       title: 'Live Leaderboard',
-      results,
-      divisions,
+      resultsPath: '/scores/results',
+      frozenAt,
+      publicResults: eventSettings.public_results,
+      publicFrozenAt: eventSettings.public_results === 'frozen' ? eventSettings.results_frozen_at : null,
+      canExport: ['judge', 'admin'].includes(req.session.user.role || 'judge'),
+      awards: await getLeaderboardAwards(req.session.user.role || 'judge'),
+      results: leaderboard.results,
+      divisions: leaderboard.divisions,
       round,
       selectedDivision,
-      categoryLeaders,
+      categoryLeaders: leaderboard.categoryLeaders,
+      normalization: leaderboard.normalization,
+      aggregation: leaderboard.aggregation,
+      judgingMode: leaderboard.judgingMode,
+      finalistCount: leaderboard.finalistCount,
       layout: 'minimal'
     });
   } catch (error) {
@@ -520,25 +1094,18 @@ router.get('/results', requireAuth, async (req, res) => {
 // GET results JSON for AJAX updates (all authenticated users)
 router.get('/results/json', requireAuth, async (req, res) => {
   try {
-    const round = parseInt(req.query.round) || req.session.currentRound || 1;
-    const selectedDivision = req.query.division || null;
-    
-    const allResults = await db.getTableResults(round, null);
-    
-    // Filter results by division if specified
-    let results = allResults;
-    if (selectedDivision) {
-      results = { [selectedDivision]: allResults[selectedDivision] || [] };
-    }
-    
-    // Get top team per category for sidebar
-    const categoryLeaders = await db.getTopTeamPerCategory(round) || [];
+    const eventSettings = await db.getEventSettings();
+    const { round, selectedDivision } = parseLeaderboardQuery(req.query, eventSettings, req.session.currentRound);
+    const frozenAt = resultsVisibility.getResultsCutoff(eventSettings, req.session.user.role || 'judge');
+    const leaderboard = await getLeaderboard(round, selectedDivision, frozenAt);
 
     // Render just the results partial
     res.render('partials/results-content', {
-      results,
-      categoryLeaders,
+      results: leaderboard.results,
+      categoryLeaders: leaderboard.categoryLeaders,
       round,
+      normalization: leaderboard.normalization,
+      judgingMode: leaderboard.judgingMode,
       layout: false
     });
   } catch (error) {
@@ -547,6 +1114,162 @@ router.get('/results/json', requireAuth, async (req, res) => {
   }
 });
 
+// GET results report for a round (and optional division) as ?format=csv, xlsx or pdf
+// Judges' individual scores and notes are only included for admins
+router.get('/results/export', requireJudge, async (req, res) => {
+  const format = req.query.format;
+  if (!resultsExport.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).send('Unknown export format');
+  }
+
+  try {
+    const isAdmin = req.session.user.role === 'admin';
+    const eventSettings = await db.getEventSettings();
+    const { round, selectedDivision } = parseLeaderboardQuery(req.query, eventSettings, req.session.currentRound);
+    const leaderboard = await getLeaderboard(round, selectedDivision);
+
+    const report = resultsExport.buildResultsReport({
+      eventName: eventSettings.event_name,
+      round,
+      division: selectedDivision,
+      results: leaderboard.results,
+      teams: await db.getTeams(),
+      categoryLeaders: leaderboard.categoryLeaders,
+      scores: isAdmin ? await db.getScores({ round }) : [],
+      includeJudgeScores: isAdmin
+    });
+
+    res.setHeader('Content-Type', resultsExport.CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${resultsExport.getExportFilename(round, selectedDivision, format)}"`);
+    if (format === 'csv') {
+      res.send(resultsExport.toCsv(report));
+    } else if (format === 'xlsx') {
+      await resultsExport.writeXlsx(report, res);
+    } else {
+      await resultsExport.writePdf(report, res);
+    }
+  } catch (error) {
+    console.error('Error exporting results:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      res.render('error', {
+        message: 'Failed to export results',
+        error: process.env.NODE_ENV === 'development' ? error : {}
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// GET public leaderboard (no login), when an admin has made results public
+// While results are frozen, it shows the scoreboard as it stood at the freeze
+router.get('/public', async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    if (eventSettings.public_results === 'hidden') {
+      return res.status(404).render('error', {
+        message: 'Results are not public yet. Check back after judging.',
+        layout: 'minimal'
+      });
+    }
+
+    const currentRound = eventSettings.current_round || 1;
+    const { round, selectedDivision } = parseLeaderboardQuery(req.query, eventSettings);
+    const frozenAt = resultsVisibility.getResultsCutoff(eventSettings);
+    const leaderboard = await getLeaderboard(round, selectedDivision, frozenAt);
+
+    res.render('scores/results', {
+      title: 'Leaderboard',
+      resultsPath: '/scores/public',
+      isPublic: true,
+      frozenAt,
+      awards: await getLeaderboardAwards(null),
+      results: leaderboard.results,
+      divisions: leaderboard.divisions,
+      round,
+      maxRound: currentRound,
+      selectedDivision,
+      categoryLeaders: leaderboard.categoryLeaders,
+      normalization: leaderboard.normalization,
+      aggregation: leaderboard.aggregation,
+      judgingMode: leaderboard.judgingMode,
+      finalistCount: leaderboard.finalistCount,
+      layout: 'minimal'
+    });
+  } catch (error) {
+    console.error('Error loading public results:', error);
+    res.render('error', {
+      message: 'Failed to load results',
+      error: process.env.NODE_ENV === 'development' ? error : {},
+      layout: 'minimal'
+    });
+  }
+});
+
+// GET public leaderboard content for live updates (no login)
+router.get('/public/json', async (req, res) => {
+  try {
+    const eventSettings = await db.getEventSettings();
+    if (eventSettings.public_results === 'hidden') {
+      return res.status(404).send('Results are not public');
+    }
+
+    const { round, selectedDivision } = parseLeaderboardQuery(req.query, eventSettings);
+    const leaderboard = await getLeaderboard(round, selectedDivision, resultsVisibility.getResultsCutoff(eventSettings));
+
+    res.render('partials/results-content', {
+      results: leaderboard.results,
+      categoryLeaders: leaderboard.categoryLeaders,
+      round,
+      normalization: leaderboard.normalization,
+      judgingMode: leaderboard.judgingMode,
+      layout: false
+    });
+  } catch (error) {
+    console.error('Error loading public results JSON:', error);
+    res.status(500).send('Error loading results');
+  }
+});
+
+// Roles allowed on live update channels that aren't open to everyone
+const CHANNEL_ROLES = {
+  queue: ['judge', 'admin'],
+  ceremony: ['admin']
+};
+
+// Participants and the public only follow the leaderboard while they see it live: not while it is
+// frozen for them, and (for the public) not while results are hidden
+const canFollowLeaderboard = (eventSettings, role) => {
+  if (resultsVisibility.getResultsCutoff(eventSettings, role)) {
+    return false;
+  }
+  return role !== null || eventSettings.public_results === 'live';
+};
+
+// GET live update stream (Server-Sent Events) for the leaderboard, judge queue and awards ceremony
+// ?channels=leaderboard,queue. The leaderboard channel is open to the public leaderboard while it is
+// live (events only carry a version number); the judge queue channel is for judges and admins only,
+// and the ceremony channel for admins running the stage view
+router.get('/events', async (req, res) => {
+  try {
+    const role = req.session.user ? req.session.user.role || 'judge' : null;
+    let channels = liveUpdates.parseChannels(req.query.channels)
+      .filter(channel => !CHANNEL_ROLES[channel] || CHANNEL_ROLES[channel].includes(role));
+    if (channels.includes('leaderboard') && !canFollowLeaderboard(await db.getEventSettings(), role)) {
+      channels = channels.filter(channel => channel !== 'leaderboard');
+    }
+    if (channels.length === 0) {
+      return res.status(400).send('Unknown channels');
+    }
+    liveUpdates.subscribe(req, res, channels);
+  } catch (error) {
+    console.error('Error opening live updates:', error);
+    res.status(500).send('Error opening live updates');
+  }
+});
+
 // GET table map (for modal display)
 router.get('/table-map', requireJudge, async (req, res) => {
   try {
@@ -0,0 +1,215 @@
+// Data quality checks for the finalize judging page: scores far from a team's other scores,
+// judges whose scores are unusually narrow or extreme, and teams judged fewer times than required.
+
+const judgeRequirements = require('./judge-requirements');
+const finalists = require('./finalists');
+
+// A score is an outlier when it is this many standard deviations (of all scores in the round)
+// from the median of the team's other scores in that round
+const OUTLIER_THRESHOLD = 2;
+// Other scores a team needs in a round before one of its scores can be called an outlier
+const MIN_OTHER_SCORES = 2;
+// Scores a judge needs before their distribution is checked
+const MIN_JUDGE_SCORES = 3;
+// A judge whose spread is below this fraction of the other judges' typical (median) spread is narrow
+const NARROW_SPREAD_RATIO = 0.25;
+// A judge whose mean is this many standard deviations from the other judges' mean is extreme
+const EXTREME_MEAN_THRESHOLD = 1;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const stdDev = (values) => {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / values.length);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Find scores far from the rest of a team's scores in the same round.
+ * Each row needs judge_email, team_name, round and score.
+ * Returns [{ judge_email, team_name, round, score, peer_median, deviation }], where deviation
+ * is in standard deviations of the round's scores (negative when the score is low).
+ */
+const findOutlierScores = (rows) => {
+  const byRound = {};
+  const byTeamRound = {};
+  (rows || []).forEach(row => {
+    const value = Number(row.score);
+    (byRound[row.round] = byRound[row.round] || []).push(value);
+    const key = `${row.team_name}|${row.round}`;
+    (byTeamRound[key] = byTeamRound[key] || []).push(row);
+  });
+
+  const spreadByRound = {};
+  Object.keys(byRound).forEach(round => {
+    spreadByRound[round] = stdDev(byRound[round]);
+  });
+
+  const outliers = [];
+  Object.keys(byTeamRound).forEach(key => {
+    const teamRows = byTeamRound[key];
+    if (teamRows.length < MIN_OTHER_SCORES + 1) return;
+    const spread = spreadByRound[teamRows[0].round];
+    if (!spread) return;
+
+    teamRows.forEach((row, index) => {
+      const others = teamRows.filter((_, i) => i !== index).map(r => Number(r.score));
+      const peerMedian = median(others);
+      const deviation = (Number(row.score) - peerMedian) / spread;
+      if (Math.abs(deviation) >= OUTLIER_THRESHOLD) {
+        outliers.push({
+          judge_email: row.judge_email,
+          team_name: row.team_name,
+          round: row.round,
+          score: Number(row.score),
+          peer_median: peerMedian,
+          deviation
+        });
+      }
+    });
+  });
+  return outliers;
+};
+
+/**
+ * Find judges whose scores are unusually narrow or sit well above or below everyone else's.
+ * Each judge is compared with the scores the other judges gave.
+ * Returns [{ judge_email, score_count, mean, std_dev, flags }] for flagged judges only,
+ * with flags drawn from 'narrow', 'lenient' and 'harsh'.
+ */
+const findJudgeAnomalies = (rows) => {
+  const byJudge = {};
+  (rows || []).forEach(row => {
+    (byJudge[row.judge_email] = byJudge[row.judge_email] || []).push(Number(row.score));
+  });
+
+  const spreads = {};
+  Object.keys(byJudge).forEach(judgeEmail => {
+    if (byJudge[judgeEmail].length >= MIN_JUDGE_SCORES) {
+      spreads[judgeEmail] = stdDev(byJudge[judgeEmail]);
+    }
+  });
+
+  const anomalies = [];
+  Object.keys(spreads).sort().forEach(judgeEmail => {
+    const values = byJudge[judgeEmail];
+    const others = (rows || [])
+      .filter(row => row.judge_email !== judgeEmail)
+      .map(row => Number(row.score));
+    if (others.length < MIN_JUDGE_SCORES) return;
+    const othersSpread = stdDev(others);
+    if (!othersSpread) return;
+
+    const judgeMean = mean(values);
+    const judgeSpread = spreads[judgeEmail];
+    const otherSpreads = Object.keys(spreads).filter(email => email !== judgeEmail).map(email => spreads[email]);
+    const flags = [];
+    if (otherSpreads.length > 0 && judgeSpread < median(otherSpreads) * NARROW_SPREAD_RATIO) {
+      flags.push('narrow');
+    }
+    const offset = (judgeMean - mean(others)) / othersSpread;
+    if (offset >= EXTREME_MEAN_THRESHOLD) {
+      flags.push('lenient');
+    } else if (offset <= -EXTREME_MEAN_THRESHOLD) {
+      flags.push('harsh');
+    }
+
+    if (flags.length > 0) {
+      anomalies.push({ judge_email: judgeEmail, score_count: values.length, mean: judgeMean, std_dev: judgeSpread, flags });
+    }
+  });
+  return anomalies;
+};
+
+/**
+ * Find teams judged by fewer judges than required in a round they competed in.
+ * judgeCounts: [{ team_name, round, judge_count }]; rounds 1..currentRound are checked,
+ * skipping rounds a team didn't advance to.
+ * Returns [{ team_name, round, judge_count, required_judges }].
+ */
+const findUnderJudgedTeams = (teams, judgeCounts, { requirements, finalistsByRound, currentRound }) => {
+  const counts = {};
+  (judgeCounts || []).forEach(row => {
+    counts[`${row.team_name}|${row.round}`] = row.judge_count;
+  });
+
+  const underJudged = [];
+  (teams || []).forEach(team => {
+    for (let round = 1; round <= (parseInt(currentRound, 10) || 1); round++) {
+      if (!finalists.isTeamInRound(finalistsByRound, team.name, round)) continue;
+      const judgeCount = counts[`${team.name}|${round}`] || 0;
+      const required = judgeRequirements.getRequiredJudges(requirements, round, team.division);
+      if (judgeCount < required) {
+        underJudged.push({ team_name: team.name, round, judge_count: judgeCount, required_judges: required });
+      }
+    }
+  });
+  return underJudged;
+};
+
+/**
+ * Group the findings by team for display next to each team.
+ * A flagged judge is listed against every team they scored.
+ * Returns { teamName: [{ type, round, judge_email, message }] }.
+ */
+const buildTeamFlags = ({ scores, outliers, judgeAnomalies, underJudged }) => {
+  const flags = {};
+  const add = (teamName, flag) => {
+    (flags[teamName] = flags[teamName] || []).push(flag);
+  };
+
+  (outliers || []).forEach(o => {
+    add(o.team_name, {
+      type: 'outlier',
+      round: o.round,
+      judge_email: o.judge_email,
+      message: `${o.judge_email} gave ${o.score.toFixed(1)} in Round ${o.round}; other judges' median ${o.peer_median.toFixed(1)}`
+    });
+  });
+
+  const anomalyByJudge = {};
+  (judgeAnomalies || []).forEach(a => {
+    anomalyByJudge[a.judge_email] = a;
+  });
+  const seen = new Set();
+  (scores || []).forEach(row => {
+    const anomaly = anomalyByJudge[row.judge_email];
+    const key = `${row.team_name}|${row.judge_email}`;
+    if (!anomaly || seen.has(key)) return;
+    seen.add(key);
+    add(row.team_name, {
+      type: 'judge',
+      round: null,
+      judge_email: row.judge_email,
+      message: `Scored by ${row.judge_email}, whose scores are ${anomaly.flags.join(' and ')}`
+    });
+  });
+
+  (underJudged || []).forEach(u => {
+    add(u.team_name, {
+      type: 'under_judged',
+      round: u.round,
+      judge_email: null,
+      message: `${u.judge_count} of ${u.required_judges} judges in Round ${u.round}`
+    });
+  });
+
+  return flags;
+};
+
+module.exports = {
+  OUTLIER_THRESHOLD,
+  MIN_OTHER_SCORES,
+  MIN_JUDGE_SCORES,
+  NARROW_SPREAD_RATIO,
+  EXTREME_MEAN_THRESHOLD,
+  findOutlierScores,
+  findJudgeAnomalies,
+  findUnderJudgedTeams,
+  buildTeamFlags
+};
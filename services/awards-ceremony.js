@@ -0,0 +1,101 @@
+// Awards ceremony slides: each division reveals 3rd, 2nd and then 1st place, followed by the
+// category and special awards. Every award gets a drumroll slide before the slide naming the team.
+
+const { getPlacementLabel } = require('./awards');
+
+const PLACE_LABELS = { 1: '1st Place', 2: '2nd Place', 3: '3rd Place' };
+
+// The team details shown on stage (no contact details or scores)
+const toStageTeam = (team) => ({
+  id: team.id,
+  name: team.name,
+  project_name: team.project_name,
+  logo_image: team.logo_image || null,
+  banner_image: team.banner_image || null
+});
+
+/**
+ * Build the ceremony slides.
+ * winners is event_settings.winners ({ division: [firstId, secondId, thirdId] }), teams the teams
+ * table rows, divisions the event's division order, categoryLeaders the top team per category
+ * ({ category_name, team_id, tied }) and specialAwards the awards table rows with their winners
+ * ({ name, sponsor, placements, winners: [{ place, team_id }] }).
+ * Awards whose team no longer exists are skipped.
+ */
+const buildCeremonySlides = ({ eventName = 'Hackathon', divisions = [], winners = {}, teams = [], categoryLeaders = [], specialAwards = [] } = {}) => {
+  const teamsById = {};
+  teams.forEach(team => {
+    teamsById[String(team.id)] = team;
+  });
+
+  const slides = [{ type: 'title', title: eventName, subtitle: 'Awards Ceremony' }];
+  const addAward = (section, heading, team, extra = {}) => {
+    slides.push({ type: 'drumroll', section, heading, place: extra.place });
+    slides.push({ type: 'award', section, heading, team: toStageTeam(team), ...extra });
+  };
+
+  // Divisions in the event's order, then any other division that has winners saved
+  const divisionOrder = [...divisions, ...Object.keys(winners || {}).filter(division => !divisions.includes(division))];
+  divisionOrder.forEach(division => {
+    const places = ((winners || {})[division] || [])
+      .slice(0, 3)
+      .map((teamId, index) => ({ place: index + 1, team: teamsById[String(teamId)] }))
+      .filter(entry => entry.team);
+    if (places.length === 0) {
+      return;
+    }
+
+    const section = `${division} Division`;
+    slides.push({ type: 'section', title: section });
+    places.reverse().forEach(entry => {
+      addAward(section, PLACE_LABELS[entry.place], entry.team, { place: entry.place });
+    });
+  });
+
+  const categoryAwards = (categoryLeaders || []).filter(leader => teamsById[String(leader.team_id)]);
+  if (categoryAwards.length > 0) {
+    slides.push({ type: 'section', title: 'Category Awards' });
+    categoryAwards.forEach(leader => {
+      addAward('Category Awards', leader.category_name, teamsById[String(leader.team_id)], { tied: !!leader.tied });
+    });
+  }
+
+  const placedAwards = (specialAwards || [])
+    .map(award => ({
+      award,
+      places: (award.winners || []).filter(winner => teamsById[String(winner.team_id)]).sort((a, b) => b.place - a.place)
+    }))
+    .filter(entry => entry.places.length > 0);
+  if (placedAwards.length > 0) {
+    slides.push({ type: 'section', title: 'Special Awards' });
+    placedAwards.forEach(({ award, places }) => {
+      places.forEach(winner => {
+        addAward('Special Awards', getPlacementLabel(award, winner.place), teamsById[String(winner.team_id)], {
+          // Medal colours only when the award has several placements
+          place: award.placements > 1 ? winner.place : undefined,
+          sponsor: award.sponsor || null
+        });
+      });
+    });
+  }
+
+  slides.push({ type: 'closing', title: 'Congratulations to every team!', subtitle: eventName });
+  return slides.map((slide, index) => ({ ...slide, index }));
+};
+
+/**
+ * Keep a slide position within the presentation (0 when it can't be read).
+ */
+const clampSlideIndex = (index, slideCount) => {
+  const value = parseInt(index, 10);
+  if (isNaN(value) || value < 0 || slideCount <= 0) {
+    return 0;
+  }
+  return Math.min(value, slideCount - 1);
+};
+
+module.exports = {
+  PLACE_LABELS,
+  buildCeremonySlides,
+  clampSlideIndex
+};
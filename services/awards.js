@@ -0,0 +1,133 @@
+// Category and special awards ("Best Use of AI", "Judges' Choice") alongside the division winners.
+// Each award can be limited to some divisions and categories and has one or more placements.
+
+const MAX_PLACEMENTS = 10;
+
+// Names of the checkbox values a form sent (one value arrives as a string)
+const toList = (value) => (Array.isArray(value) ? value : (value ? [value] : []))
+  .map(item => String(item).trim())
+  .filter(item => item);
+
+/**
+ * Read the award form. Only divisions and categories the event has are kept.
+ * Returns { award } or { error } with 'missing_name' or 'invalid_placements'.
+ */
+const parseAwardForm = (body = {}, { divisions = [], categories = [] } = {}) => {
+  const name = String(body.name || '').trim();
+  if (!name) {
+    return { error: 'missing_name' };
+  }
+  const placements = Number(body.placements || 1);
+  if (!Number.isInteger(placements) || placements < 1 || placements > MAX_PLACEMENTS) {
+    return { error: 'invalid_placements' };
+  }
+  return {
+    award: {
+      name,
+      description: String(body.description || '').trim() || null,
+      sponsor: String(body.sponsor || '').trim() || null,
+      divisions: toList(body.divisions).filter(division => divisions.includes(division)),
+      categories: toList(body.categories).filter(category => categories.includes(category)),
+      placements,
+      announced: body.announced === '1' || body.announced === 'on'
+    }
+  };
+};
+
+/**
+ * Whether a team can win an award. An award without divisions (or categories)
+ * is open to every division (or category).
+ */
+const isTeamEligible = (award, team) => {
+  const divisionMatches = award.divisions.length === 0 || award.divisions.includes(team.division);
+  const categoryMatches = award.categories.length === 0 || award.categories.includes(team.category_name);
+  return divisionMatches && categoryMatches;
+};
+
+/**
+ * Read the teams picked for each placement (place_1, place_2, ...; blank leaves a place open).
+ * Returns { winners: [{ place, team_id }] } or { error } with 'ineligible_team' or 'duplicate_team'.
+ */
+const parseAwardWinnersForm = (body = {}, award, teams = []) => {
+  const teamsById = {};
+  teams.forEach(team => {
+    teamsById[String(team.id)] = team;
+  });
+
+  const winners = [];
+  for (let place = 1; place <= award.placements; place++) {
+    const teamId = String(body[`place_${place}`] || '').trim();
+    if (!teamId) {
+      continue;
+    }
+    const team = teamsById[teamId];
+    if (!team || !isTeamEligible(award, team)) {
+      return { error: 'ineligible_team' };
+    }
+    if (winners.some(winner => String(winner.team_id) === teamId)) {
+      return { error: 'duplicate_team' };
+    }
+    winners.push({ place, team_id: team.id });
+  }
+  return { winners };
+};
+
+const ordinal = (number) => {
+  const lastTwo = number % 100;
+  const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+  return `${number}${suffix}`;
+};
+
+/**
+ * What a placement is called: the award name, plus the place when the award has several
+ * (e.g. "Judges' Choice" or "Best Hardware Hack, 2nd Place")
+ */
+const getPlacementLabel = (award, place) => {
+  return award.placements > 1 ? `${award.name}, ${ordinal(place)} Place` : award.name;
+};
+
+/**
+ * Name each award's placed teams (adds label to every winner)
+ */
+const labelAwardWinners = (awards = []) => awards.map(award => ({
+  ...award,
+  winners: (award.winners || []).map(winner => ({ ...winner, label: getPlacementLabel(award, winner.place) }))
+}));
+
+/**
+ * The awards a viewer may see: judges and admins see every award,
+ * everyone else only the announced ones.
+ */
+const getVisibleAwards = (awards = [], role = null) => {
+  if (['judge', 'admin'].includes(role)) {
+    return awards;
+  }
+  return awards.filter(award => award.announced);
+};
+
+/**
+ * The placements a team won, for its project page
+ * ([{ award_id, label, sponsor, place }], in award order)
+ */
+const getTeamAwards = (awards = [], teamId) => {
+  const teamAwards = [];
+  awards.forEach(award => {
+    (award.winners || []).forEach(winner => {
+      if (String(winner.team_id) === String(teamId)) {
+        teamAwards.push({ award_id: award.id, label: getPlacementLabel(award, winner.place), sponsor: award.sponsor, place: winner.place });
+      }
+    });
+  });
+  return teamAwards;
+};
+
+module.exports = {
+  MAX_PLACEMENTS,
+  parseAwardForm,
+  isTeamEligible,
+  parseAwardWinnersForm,
+  getPlacementLabel,
+  labelAwardWinners,
+  getVisibleAwards,
+  getTeamAwards
+};
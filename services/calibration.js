@@ -0,0 +1,83 @@
+// Calibration round: before live judging every judge scores the same sample projects, so admins
+// can spot harsh or lenient judges by comparing them with the panel average.
+
+const roundTo = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * The first calibration item (in item order) the judge hasn't scored yet, or null when they are done.
+ */
+const getNextCalibrationItem = (items, scoredItemIds) => {
+  const scored = new Set((scoredItemIds || []).map(id => Number(id)));
+  return (items || []).find(item => !scored.has(Number(item.id))) || null;
+};
+
+/**
+ * Compare each judge's calibration scores ({ judge_email, judge_name, item_id, score }) with the
+ * panel average for each item. A positive deviation means the judge scored above the panel.
+ * Returns {
+ *   items: [{ id, name, average, count }],
+ *   judges: [{ judge_email, judge_name, completed, meanDeviation, meanAbsoluteDeviation,
+ *              scores: [{ item_id, score, average, deviation }] }]
+ * }, judges sorted by how far they sit from the panel (furthest first).
+ */
+const buildCalibrationReport = (items, scores) => {
+  const itemIds = new Set((items || []).map(item => Number(item.id)));
+  const relevant = (scores || []).filter(score => itemIds.has(Number(score.item_id)));
+
+  const byItem = {};
+  relevant.forEach(score => {
+    (byItem[score.item_id] = byItem[score.item_id] || []).push(Number(score.score));
+  });
+  const averages = {};
+  Object.keys(byItem).forEach(itemId => {
+    averages[itemId] = mean(byItem[itemId]);
+  });
+
+  const byJudge = {};
+  relevant.forEach(score => {
+    const judge = byJudge[score.judge_email] = byJudge[score.judge_email] || {
+      judge_email: score.judge_email,
+      judge_name: score.judge_name || null,
+      scores: []
+    };
+    const average = averages[score.item_id];
+    judge.scores.push({
+      item_id: Number(score.item_id),
+      score: Number(score.score),
+      average: roundTo(average),
+      deviation: roundTo(Number(score.score) - average)
+    });
+  });
+
+  const judges = Object.values(byJudge).map(judge => {
+    const deviations = judge.scores.map(score => score.deviation);
+    return {
+      ...judge,
+      completed: judge.scores.length,
+      meanDeviation: roundTo(mean(deviations)),
+      meanAbsoluteDeviation: roundTo(mean(deviations.map(Math.abs)))
+    };
+  });
+  judges.sort((a, b) => b.meanAbsoluteDeviation - a.meanAbsoluteDeviation ||
+    a.judge_email.localeCompare(b.judge_email));
+
+  return {
+    items: (items || []).map(item => ({
+      id: Number(item.id),
+      name: item.name,
+      average: averages[item.id] !== undefined ? roundTo(averages[item.id]) : null,
+      count: (byItem[item.id] || []).length
+    })),
+    judges
+  };
+};
+
+module.exports = {
+  getNextCalibrationItem,
+  buildCalibrationReport
+};
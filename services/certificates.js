@@ -0,0 +1,277 @@
+// Participation and winner certificates. Everyone listed in a team's team_members gets a
+// participation certificate, and the members of each team placed in event_settings.winners or in
+// an award get a winner certificate for that placement. Certificates are drawn with pdfkit on top of the
+// admin's uploaded template image, or inside a plain border when no template is uploaded.
+
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const { PLACE_LABELS } = require('./awards-ceremony');
+const { getPlacementLabel } = require('./awards');
+
+// pdfkit can only draw JPEG and PNG images
+const TEMPLATE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Settings dates are YYYY-MM-DD (from a date input)
+const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  return { year: Number(match[1]), month: Number(match[2]) - 1, day: Number(match[3]) };
+};
+
+/**
+ * The event date printed on certificates: the landing page's dates text when set,
+ * otherwise the start and end dates, e.g. "March 7–8, 2026"
+ */
+const formatEventDate = ({ event_dates_text: datesText, start_date: startDate, end_date: endDate } = {}) => {
+  if (datesText && datesText.trim()) {
+    return datesText.trim();
+  }
+  const start = parseDate(startDate);
+  const end = parseDate(endDate) || start;
+  if (!start) {
+    return '';
+  }
+  if (start.year !== end.year) {
+    return `${MONTHS[start.month]} ${start.day}, ${start.year} – ${MONTHS[end.month]} ${end.day}, ${end.year}`;
+  }
+  if (start.month !== end.month) {
+    return `${MONTHS[start.month]} ${start.day} – ${MONTHS[end.month]} ${end.day}, ${start.year}`;
+  }
+  if (start.day !== end.day) {
+    return `${MONTHS[start.month]} ${start.day}–${end.day}, ${start.year}`;
+  }
+  return `${MONTHS[start.month]} ${start.day}, ${start.year}`;
+};
+
+const slugify = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Member names as typed at registration (blank entries dropped)
+const getMemberNames = (team) => (Array.isArray(team.team_members) ? team.team_members : [])
+  .map(member => String(member || '').trim())
+  .filter(member => member);
+
+/**
+ * Build the certificates to print.
+ * teams is the teams table rows (with team_members parsed), winners event_settings.winners
+ * ({ division: [firstId, secondId, thirdId] }), awards the awards table rows with their winners
+ * ({ name, sponsor, placements, winners: [{ place, team_id }] }) and eventDate the text from formatEventDate.
+ * Winning teams without members listed get a single winner certificate in the team's name.
+ * Each certificate has a file name, unique within its team's folder.
+ */
+const buildCertificates = ({ eventName = 'Hackathon', eventDate = '', teams = [], winners = {}, awards = [] } = {}) => {
+  const teamsById = {};
+  teams.forEach(team => {
+    teamsById[String(team.id)] = team;
+  });
+
+  // Placements per team id: division places first, then awards
+  const placements = {};
+  const addPlacement = (teamId, placement) => {
+    if (teamsById[String(teamId)]) {
+      (placements[String(teamId)] = placements[String(teamId)] || []).push(placement);
+    }
+  };
+  Object.entries(winners || {}).forEach(([division, teamIds]) => {
+    (Array.isArray(teamIds) ? teamIds : []).slice(0, 3).forEach((teamId, index) => {
+      addPlacement(teamId, { award: `${PLACE_LABELS[index + 1]}, ${division} Division`, fileLabel: PLACE_LABELS[index + 1], division, place: index + 1 });
+    });
+  });
+  (awards || []).forEach(award => {
+    (award.winners || []).forEach(winner => {
+      const team = teamsById[String(winner.team_id)];
+      const label = getPlacementLabel(award, winner.place);
+      addPlacement(winner.team_id, {
+        award: label,
+        fileLabel: label,
+        division: team ? team.division || null : null,
+        place: winner.place,
+        sponsor: award.sponsor || null
+      });
+    });
+  });
+
+  const certificates = [];
+  teams.forEach(team => {
+    const members = getMemberNames(team);
+    const folder = slugify(team.name) || `team-${team.id}`;
+    const usedNames = new Set();
+    const fileName = (base) => {
+      let name = base || 'certificate';
+      for (let copy = 2; usedNames.has(name); copy++) {
+        name = `${base}-${copy}`;
+      }
+      usedNames.add(name);
+      return `${folder}/${name}.pdf`;
+    };
+    const teamDetails = { id: team.id, name: team.name, project_name: team.project_name || null };
+
+    (placements[String(team.id)] || []).forEach(({ award, fileLabel, division, place, sponsor }) => {
+      (members.length > 0 ? members : [team.name]).forEach(recipient => {
+        certificates.push({
+          type: 'winner',
+          title: 'Certificate of Achievement',
+          recipient,
+          team: teamDetails,
+          division,
+          place,
+          award,
+          lines: [
+            `awarded ${award}`,
+            sponsor ? `sponsored by ${sponsor}` : null,
+            members.length > 0 ? `at ${eventName} as a member of ${team.name}` : `at ${eventName}`
+          ].filter(line => line),
+          eventName,
+          eventDate,
+          filename: fileName(`${slugify(fileLabel)}-${slugify(recipient)}`)
+        });
+      });
+    });
+
+    members.forEach(recipient => {
+      certificates.push({
+        type: 'participation',
+        title: 'Certificate of Participation',
+        recipient,
+        team: teamDetails,
+        division: team.division || null,
+        place: null,
+        award: null,
+        lines: [
+          `for taking part in ${eventName} as a member of ${team.name}`,
+          team.division ? `${team.division} Division` : null
+        ].filter(line => line),
+        eventName,
+        eventDate,
+        filename: fileName(`participation-${slugify(recipient)}`)
+      });
+    });
+  });
+
+  return certificates;
+};
+
+/**
+ * Certificates grouped by team (for emailing each team its own), in team order
+ */
+const groupCertificatesByTeam = (certificates) => {
+  const groups = [];
+  const byTeam = {};
+  certificates.forEach(certificate => {
+    const key = String(certificate.team.id);
+    if (!byTeam[key]) {
+      byTeam[key] = { team: certificate.team, certificates: [] };
+      groups.push(byTeam[key]);
+    }
+    byTeam[key].certificates.push(certificate);
+  });
+  return groups;
+};
+
+const PAGE_MARGIN = 60;
+
+// Draw one certificate on the current page
+const drawCertificate = (doc, certificate, templatePath) => {
+  const { width, height } = doc.page;
+  const textWidth = width - PAGE_MARGIN * 2;
+
+  if (templatePath) {
+    doc.image(templatePath, 0, 0, { width, height });
+  } else {
+    doc.rect(24, 24, width - 48, height - 48).lineWidth(3).strokeColor('#111827').stroke();
+    doc.rect(32, 32, width - 64, height - 64).lineWidth(1).strokeColor('#9ca3af').stroke();
+  }
+
+  const centered = (text, y, font, size, color) => {
+    doc.font(font).fontSize(size).fillColor(color).text(text, PAGE_MARGIN, y, { width: textWidth, align: 'center' });
+  };
+
+  centered(certificate.eventName.toUpperCase(), height * 0.18, 'Helvetica', 14, '#4b5563');
+  centered(certificate.title, height * 0.25, 'Helvetica-Bold', 34, '#111827');
+  centered('presented to', height * 0.38, 'Helvetica-Oblique', 14, '#4b5563');
+  centered(certificate.recipient, height * 0.45, 'Helvetica-Bold', 30, '#111827');
+  doc.y = height * 0.58;
+  certificate.lines.forEach(line => {
+    centered(line, doc.y, 'Helvetica', 15, '#1f2937');
+    doc.moveDown(0.3);
+  });
+  if (certificate.eventDate) {
+    centered(certificate.eventDate, height * 0.8, 'Helvetica', 12, '#4b5563');
+  }
+};
+
+/**
+ * Stream the certificates to output as one PDF, a landscape page each.
+ * options.templatePath is the template image drawn behind every certificate.
+ * Resolves once the document is written.
+ */
+const writeCertificatesPdf = (certificates, output, { templatePath = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    // A template deleted from disk falls back to the plain design
+    const template = templatePath && fs.existsSync(templatePath) ? templatePath : null;
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0, autoFirstPage: false });
+    doc.on('error', reject);
+    output.on('finish', resolve);
+    doc.pipe(output);
+
+    try {
+      certificates.forEach(certificate => {
+        doc.addPage();
+        drawCertificate(doc, certificate, template);
+      });
+    } catch (error) {
+      // e.g. a template image pdfkit can't read; the document is still ended so the output closes
+      reject(error);
+    }
+
+    doc.end();
+  });
+};
+
+/**
+ * The certificates as a PDF in memory (for zipping and email attachments)
+ */
+const renderCertificatesPdf = (certificates, options = {}) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  return writeCertificatesPdf(certificates, output, options).then(() => Buffer.concat(chunks));
+};
+
+/**
+ * Stream a zip of every certificate as its own PDF, in a folder per team.
+ * Resolves once the zip is written.
+ */
+const writeCertificatesZip = async (certificates, output, options = {}) => {
+  // Render first so a broken template fails before anything is streamed
+  const files = [];
+  for (const certificate of certificates) {
+    files.push({ name: certificate.filename, content: await renderCertificatesPdf([certificate], options) });
+  }
+
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', reject);
+    output.on('finish', resolve);
+    archive.pipe(output);
+    files.forEach(file => {
+      archive.append(file.content, { name: file.name });
+    });
+    archive.finalize();
+  });
+};
+
+module.exports = {
+  TEMPLATE_EXTENSIONS,
+  formatEventDate,
+  buildCertificates,
+  groupCertificatesByTeam,
+  writeCertificatesPdf,
+  renderCertificatesPdf,
+  writeCertificatesZip
+};
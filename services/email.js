@@ -494,6 +494,39 @@ const sendVolunteerStatusUpdate = async (email, name, status, eventName) => {
   }
 };
 
+// Send a team its certificates (attachments are [{ filename, data }] with PDF data)
+const sendCertificates = async (email, teamName, attachments, eventName = 'Hackathon') => {
+  if (!mg) {
+    init();
+  }
+
+  const fromEmail = process.env.EMAIL_FROM || `noreply@${process.env.MAILGUN_DOMAIN}`;
+
+  const content = `
+    <h2 style="margin: 0 0 20px 0; font-size: 32px; line-height: 1.12; letter-spacing: -0.018em; font-weight: 700; color: #1a1a1a;">Your Certificates</h2>
+    <p style="margin: 0 0 30px 0; color: #1a1a1a; line-height: 1.58;">Thank you for taking part in ${eventName}! The certificates for <strong>${teamName}</strong> are attached to this email.</p>
+    <p style="margin: 0 0 30px 0; color: #1a1a1a; line-height: 1.58;">Please pass each certificate on to the team member it is made out to.</p>
+    <p style="margin: 0; font-size: 14px; color: #666666; line-height: 1.5;">
+      Attached: ${attachments.length} certificate${attachments.length === 1 ? '' : 's'}
+    </p>
+  `;
+  const htmlContent = mediumEmailTemplate(content, eventName);
+
+  const textContent = `${eventName} - Your Certificates\n\nThank you for taking part in ${eventName}! The certificates for ${teamName} are attached to this email.\n\nPlease pass each certificate on to the team member it is made out to.`;
+
+  const messageData = {
+    from: fromEmail,
+    to: email,
+    subject: `Your ${eventName} certificates`,
+    html: htmlContent,
+    text: textContent,
+    attachment: attachments.map(attachment => ({ filename: attachment.filename, data: attachment.data }))
+  };
+
+  // Sent once per team in a bulk send, so like the newsletter only failures are logged (by the caller)
+  return mg.messages.create(process.env.MAILGUN_DOMAIN, messageData);
+};
+
 // Send newsletter to multiple recipients
 const sendNewsletter = async (recipients, subject, markdownContent, eventName = 'Hackathon') => {
   if (!mg) {
@@ -630,6 +663,7 @@ module.exports = {
   sendVolunteerConfirmation,
   sendVolunteerNotificationToAdmin,
   sendVolunteerStatusUpdate,
+  sendCertificates,
   sendNewsletter
 };
 
@@ -0,0 +1,70 @@
+// Judge expertise matching: which teams a judge is qualified for, based on the divisions
+// and categories they are tagged with.
+
+// 'off' ignores expertise, 'prefer' orders matching teams first,
+// 'restrict' only hands out matching teams while qualified judges remain for the others
+const EXPERTISE_MODES = ['off', 'prefer', 'restrict'];
+
+/**
+ * Whether a judge has any expertise tags at all.
+ * Untagged judges are generalists and match every team.
+ */
+const hasExpertise = (expertise) => {
+  return !!expertise && (expertise.divisions.length > 0 || expertise.categories.length > 0);
+};
+
+/**
+ * Whether a team matches a judge's expertise.
+ * Each kind of tag only narrows the match when the judge has tags of that kind,
+ * so a judge tagged only with divisions matches every category in those divisions.
+ */
+const matchesExpertise = (expertise, team) => {
+  if (!hasExpertise(expertise)) {
+    return true;
+  }
+  const divisionMatches = expertise.divisions.length === 0 || expertise.divisions.includes(team.division);
+  const categoryMatches = expertise.categories.length === 0 || expertise.categories.includes(team.category);
+  return divisionMatches && categoryMatches;
+};
+
+/**
+ * Find the teams that still have a qualified judge who could take them.
+ * `unavailable` holds `${judgeEmail}|${teamName}` pairs for teams a judge has already judged
+ * or has a conflict with; `excludeEmail` is the judge asking, who doesn't count.
+ * Teams missing from the result have run out of matching judges and fall back to everyone.
+ */
+const getTeamsWithQualifiedJudges = (teams, judgeEmails, expertiseByJudge, unavailable, excludeEmail) => {
+  const covered = new Set();
+  (teams || []).forEach(team => {
+    const hasQualifiedJudge = (judgeEmails || []).some(email =>
+      email !== excludeEmail &&
+      !unavailable.has(`${email}|${team.name}`) &&
+      matchesExpertise(expertiseByJudge[email], team)
+    );
+    if (hasQualifiedJudge) {
+      covered.add(team.name);
+    }
+  });
+  return covered;
+};
+
+/**
+ * Read the divisions and categories ticked on an expertise form.
+ * Checkbox fields may arrive as a single string or an array; unknown values are dropped.
+ * Returns { divisions, categories }.
+ */
+const parseExpertiseSelection = (body, divisions, categories) => {
+  const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+  return {
+    divisions: toList(body && body.divisions).filter(d => (divisions || []).includes(d)),
+    categories: toList(body && body.categories).filter(c => (categories || []).includes(c))
+  };
+};
+
+module.exports = {
+  EXPERTISE_MODES,
+  hasExpertise,
+  matchesExpertise,
+  getTeamsWithQualifiedJudges,
+  parseExpertiseSelection
+};
@@ -0,0 +1,80 @@
+// Judge feedback released to teams: picks the note a team should see after admin review and
+// strips judge identities.
+
+/**
+ * The note a team sees for a score row: the admin's edited text when there is one, otherwise
+ * the judge's own notes. Returns null when the note is hidden or empty.
+ */
+const getReleasedNote = (score) => {
+  if (!score || score.feedback_hidden) {
+    return null;
+  }
+  const text = score.feedback_notes !== null && score.feedback_notes !== undefined
+    ? score.feedback_notes
+    : score.notes;
+  const trimmed = (text || '').trim();
+  return trimmed || null;
+};
+
+/**
+ * Label each judge "Judge 1", "Judge 2", ... within a team's round, in the order they scored.
+ * Returns { [round]: { [judgeEmail]: label } }.
+ */
+const getJudgeLabels = (scores) => {
+  const labels = {};
+  [...(scores || [])]
+    .sort((a, b) => (a.id || 0) - (b.id || 0))
+    .forEach(score => {
+      const roundLabels = labels[score.round] = labels[score.round] || {};
+      if (!roundLabels[score.judge_email]) {
+        roundLabels[score.judge_email] = `Judge ${Object.keys(roundLabels).length + 1}`;
+      }
+    });
+  return labels;
+};
+
+/**
+ * Build the anonymized feedback for one team from its score rows and its rubric criterion scores
+ * ({ judge_email, round, name, score, max_score }).
+ * Returns [{ round, entries: [{ judge, notes, criteria }] }], newest round first; judges with
+ * neither a note nor rubric scores are left out.
+ */
+const buildTeamFeedback = (scores, criterionScores = []) => {
+  const labels = getJudgeLabels(scores);
+  const criteriaByScore = {};
+  (criterionScores || []).forEach(row => {
+    const key = `${row.round}|${row.judge_email}`;
+    (criteriaByScore[key] = criteriaByScore[key] || []).push({
+      name: row.name,
+      score: row.score,
+      max_score: row.max_score
+    });
+  });
+
+  const rounds = {};
+  [...(scores || [])]
+    .sort((a, b) => (a.id || 0) - (b.id || 0))
+    .forEach(score => {
+      const notes = getReleasedNote(score);
+      const criteria = criteriaByScore[`${score.round}|${score.judge_email}`] || [];
+      if (!notes && criteria.length === 0) {
+        return;
+      }
+      (rounds[score.round] = rounds[score.round] || []).push({
+        judge: labels[score.round][score.judge_email],
+        notes,
+        criteria
+      });
+    });
+
+  return Object.keys(rounds)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .map(round => ({ round, entries: rounds[round] }));
+};
+
+module.exports = {
+  getReleasedNote,
+  getJudgeLabels,
+  buildTeamFeedback
+};
@@ -0,0 +1,74 @@
+// Finalist advancement between rounds: which teams are still competing in a round.
+// A round with no finalists recorded is open to every team.
+
+const MAX_FINALISTS_PER_DIVISION = 100;
+
+/**
+ * Pick the top `topN` teams in each division from getTableResults output
+ * ({ division: [{ team_name, rank, ... }] }). Teams tied at the cutoff rank all advance.
+ * Returns the team names, best first within each division.
+ */
+const selectTopFinalists = (resultsByDivision, topN) => {
+  const limit = parseInt(topN, 10);
+  if (isNaN(limit) || limit < 1) {
+    return [];
+  }
+  const finalists = [];
+  Object.keys(resultsByDivision || {}).sort().forEach(division => {
+    (resultsByDivision[division] || [])
+      .filter(team => team.rank <= limit)
+      .forEach(team => finalists.push(team.team_name));
+  });
+  return finalists;
+};
+
+/**
+ * Check a "top N per division" value from the finalists form.
+ * Returns an error message, or null when it's a usable count.
+ */
+const validateTopN = (topN) => {
+  const value = Number(topN);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_FINALISTS_PER_DIVISION) {
+    return `Finalists per division must be a whole number between 1 and ${MAX_FINALISTS_PER_DIVISION}`;
+  }
+  return null;
+};
+
+/**
+ * Read the finalists ticked on the advancement form, keeping only teams still in the round.
+ * Checkbox fields may arrive as a single string or an array.
+ */
+const parseFinalistSelection = (value, eligibleTeams) => {
+  const selected = Array.isArray(value) ? value : value ? [value] : [];
+  const eligible = new Set(eligibleTeams || []);
+  return Array.from(new Set(selected.filter(name => eligible.has(name))));
+};
+
+/**
+ * Whether a team is competing in a round, given { round: [teamNames] } finalist lists.
+ */
+const isTeamInRound = (finalistsByRound, teamName, round) => {
+  const finalists = (finalistsByRound || {})[round];
+  return !finalists || finalists.length === 0 || finalists.includes(teamName);
+};
+
+/**
+ * The latest round up to `round` that a team competed in. Eliminated teams use this
+ * to keep seeing the results from the last round they were judged in.
+ */
+const getLastActiveRound = (finalistsByRound, teamName, round) => {
+  let lastRound = parseInt(round, 10) || 1;
+  while (lastRound > 1 && !isTeamInRound(finalistsByRound, teamName, lastRound)) {
+    lastRound--;
+  }
+  return lastRound;
+};
+
+module.exports = {
+  MAX_FINALISTS_PER_DIVISION,
+  selectTopFinalists,
+  validateTopN,
+  parseFinalistSelection,
+  isTeamInRound,
+  getLastActiveRound
+};
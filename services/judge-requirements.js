@@ -0,0 +1,104 @@
+// How many judges each team needs, configured per round and per division in event settings.
+
+const MAX_JUDGES_PER_TEAM = 20;
+
+/**
+ * The event-wide default before an admin has saved one.
+ * JUDGES_PER_TEAM is still honoured so existing deployments keep their configured count.
+ */
+const getFallbackJudgesPerTeam = () => {
+  const value = parseInt(process.env.JUDGES_PER_TEAM || '2', 10);
+  return isNaN(value) || value < 1 ? 2 : value;
+};
+
+/**
+ * Turn the stored event_settings.judges_per_team JSON (or an already-parsed object) into
+ * { default, rules: [{ round, division, judges }] }, where a null round or division means "any".
+ * Malformed input falls back to no rules and the default count.
+ */
+const parseJudgeRequirements = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      parsed = null;
+    }
+  }
+
+  const requirements = { default: null, rules: [] };
+  if (!parsed || typeof parsed !== 'object') {
+    return requirements;
+  }
+
+  const defaultJudges = parseInt(parsed.default, 10);
+  if (!isNaN(defaultJudges) && defaultJudges >= 1) {
+    requirements.default = defaultJudges;
+  }
+
+  (Array.isArray(parsed.rules) ? parsed.rules : []).forEach(rule => {
+    const judges = parseInt(rule && rule.judges, 10);
+    if (isNaN(judges) || judges < 1) return;
+    const round = rule.round === null || rule.round === undefined ? null : parseInt(rule.round, 10);
+    if (round !== null && (isNaN(round) || round < 1)) return;
+    const division = rule.division ? String(rule.division) : null;
+    requirements.rules.push({ round, division, judges });
+  });
+
+  return requirements;
+};
+
+/**
+ * Check requirements an admin submitted before they are saved.
+ * Returns an error message, or null when everything is in range.
+ */
+const validateJudgeRequirements = (requirements) => {
+  const counts = [requirements.default, ...requirements.rules.map(r => r.judges)]
+    .filter(count => count !== null && count !== undefined);
+
+  for (const count of counts) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_JUDGES_PER_TEAM) {
+      return `Judges per team must be a whole number between 1 and ${MAX_JUDGES_PER_TEAM}`;
+    }
+  }
+
+  for (const rule of requirements.rules) {
+    if (rule.round !== null && (!Number.isInteger(rule.round) || rule.round < 1)) {
+      return 'Rounds must be whole numbers starting at 1';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve how many judges a team in `division` needs in `round`.
+ * The most specific rule wins: round and division, then division, then round, then the default.
+ */
+const getRequiredJudges = (requirements, round, division) => {
+  const { default: defaultJudges, rules } = parseJudgeRequirements(requirements);
+  const roundNumber = parseInt(round, 10);
+  const divisionName = division || null;
+
+  const find = (matchRound, matchDivision) => rules.find(rule =>
+    (matchRound ? rule.round === roundNumber : rule.round === null) &&
+    (matchDivision ? rule.division !== null && rule.division === divisionName : rule.division === null)
+  );
+
+  const rule = (divisionName && find(true, true)) ||
+    (divisionName && find(false, true)) ||
+    find(true, false);
+
+  if (rule) {
+    return rule.judges;
+  }
+  return defaultJudges || getFallbackJudgesPerTeam();
+};
+
+module.exports = {
+  MAX_JUDGES_PER_TEAM,
+  getFallbackJudgesPerTeam,
+  parseJudgeRequirements,
+  validateJudgeRequirements,
+  getRequiredJudges
+};
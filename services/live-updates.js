@@ -0,0 +1,190 @@
+// Live updates pushed to open pages over Server-Sent Events. The database publishes a channel when
+// something on it changes ('leaderboard' for scores, winners and rounds; 'queue' for judge
+// assignments and locks; 'ceremony' for the awards ceremony slide) and every page subscribed to
+// the channel is told to refresh.
+// Bursts of changes are coalesced into one event, and results computed for a channel are shared by
+// every viewer until the channel changes again, so hundreds of open screens cost one query per change.
+
+const CHANNELS = ['leaderboard', 'queue', 'ceremony'];
+const DEFAULT_BROADCAST_DELAY_MS = 500;
+const DEFAULT_HEARTBEAT_MS = 25000;
+// Changes that don't publish an event (e.g. a team renamed) still show up after this long
+const DEFAULT_CACHE_MAX_AGE_MS = 60000;
+// Most values kept at once; the oldest is dropped to make room
+const DEFAULT_CACHE_MAX_ENTRIES = 100;
+
+/**
+ * Format one Server-Sent Event. data is sent as JSON.
+ */
+const formatEvent = (event, data, id = null) => {
+  let message = '';
+  if (id !== null && id !== undefined) {
+    message += `id: ${id}\n`;
+  }
+  message += `event: ${event}\n`;
+  message += `data: ${JSON.stringify(data)}\n\n`;
+  return message;
+};
+
+/**
+ * Keep only known channels from a comma separated list (or array), without duplicates.
+ */
+const parseChannels = (value) => {
+  const requested = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(requested.map(channel => String(channel).trim()).filter(channel => CHANNELS.includes(channel)))];
+};
+
+/**
+ * Create a hub that tracks subscribers and channel versions.
+ * The app uses the single hub exported below; tests create their own.
+ */
+const createHub = ({
+  broadcastDelayMs = DEFAULT_BROADCAST_DELAY_MS,
+  heartbeatMs = DEFAULT_HEARTBEAT_MS,
+  cacheMaxAgeMs = DEFAULT_CACHE_MAX_AGE_MS,
+  cacheMaxEntries = DEFAULT_CACHE_MAX_ENTRIES
+} = {}) => {
+  const clients = new Set();
+  const versions = {};
+  const pending = new Set();
+  const cache = new Map();
+  let broadcastTimer = null;
+  let heartbeatTimer = null;
+
+  CHANNELS.forEach(channel => {
+    versions[channel] = 0;
+  });
+
+  const send = (client, message) => {
+    try {
+      client.res.write(message);
+    } catch (error) {
+      clients.delete(client);
+    }
+  };
+
+  const broadcast = () => {
+    broadcastTimer = null;
+    const channels = [...pending];
+    pending.clear();
+    clients.forEach(client => {
+      channels
+        .filter(channel => client.channels.includes(channel))
+        .forEach(channel => send(client, formatEvent(channel, { version: versions[channel] }, versions[channel])));
+    });
+  };
+
+  // A comment line every so often stops proxies and load balancers closing idle connections
+  const startHeartbeat = () => {
+    if (heartbeatTimer || !heartbeatMs) return;
+    heartbeatTimer = setInterval(() => {
+      clients.forEach(client => send(client, ': ping\n\n'));
+    }, heartbeatMs);
+    if (heartbeatTimer.unref) heartbeatTimer.unref();
+  };
+
+  const stopHeartbeat = () => {
+    if (heartbeatTimer && clients.size === 0) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  };
+
+  /**
+   * Hold an HTTP response open as an event stream for the given channels.
+   * The stream starts with a 'ready' event carrying the current channel versions.
+   */
+  const subscribe = (req, res, channels) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stop nginx buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    const client = { res, channels };
+    clients.add(client);
+
+    const current = {};
+    channels.forEach(channel => {
+      current[channel] = versions[channel];
+    });
+    // Browsers wait this long before reconnecting after the stream drops
+    res.write('retry: 5000\n\n');
+    send(client, formatEvent('ready', current));
+    startHeartbeat();
+
+    req.on('close', () => {
+      clients.delete(client);
+      stopHeartbeat();
+    });
+    return client;
+  };
+
+  /**
+   * Mark channels as changed. Subscribers hear about it once the burst of changes settles.
+   */
+  const publish = (...channels) => {
+    parseChannels(channels).forEach(channel => {
+      versions[channel] += 1;
+      pending.add(channel);
+      for (const key of cache.keys()) {
+        if (key.startsWith(`${channel}|`)) cache.delete(key);
+      }
+    });
+    if (pending.size > 0 && !broadcastTimer) {
+      broadcastTimer = setTimeout(broadcast, broadcastDelayMs);
+      if (broadcastTimer.unref) broadcastTimer.unref();
+    }
+  };
+
+  /**
+   * Compute something for a channel once and share it with every caller until the channel changes
+   * (or the cached value gets too old or pushed out by newer ones). Callers arriving while it is
+   * computed share the same promise.
+   */
+  const cached = (channel, key, compute) => {
+    const cacheKey = `${channel}|${key}`;
+    const entry = cache.get(cacheKey);
+    if (entry && Date.now() - entry.createdAt < cacheMaxAgeMs) {
+      return entry.promise;
+    }
+    const promise = Promise.resolve().then(compute);
+    // Maps keep insertion order, so the first key is the oldest entry
+    cache.delete(cacheKey);
+    while (cache.size >= cacheMaxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(cacheKey, { promise, createdAt: Date.now() });
+    // Failures aren't cached, so the next viewer tries again
+    promise.catch(() => {
+      if (cache.get(cacheKey) && cache.get(cacheKey).promise === promise) {
+        cache.delete(cacheKey);
+      }
+    });
+    return promise;
+  };
+
+  return {
+    subscribe,
+    publish,
+    cached,
+    getVersion: (channel) => versions[channel],
+    getCacheSize: () => cache.size,
+    getClientCount: () => clients.size
+  };
+};
+
+const hub = createHub();
+
+module.exports = {
+  CHANNELS,
+  formatEvent,
+  parseChannels,
+  createHub,
+  subscribe: hub.subscribe,
+  publish: hub.publish,
+  cached: hub.cached,
+  getVersion: hub.getVersion,
+  getClientCount: hub.getClientCount
+};
@@ -0,0 +1,144 @@
+// Pairwise comparison judging: judges say which of the last two teams they saw was better,
+// and teams are ranked with a Bradley-Terry model fitted to those choices.
+
+// 'scores' is absolute rubric/score entry, 'pairwise' asks judges to compare consecutive teams
+const JUDGING_MODES = ['scores', 'pairwise'];
+
+// Virtual games each team plays against an average team (one win, one loss).
+// Keeps strengths finite for teams that won or lost every comparison and pulls
+// thinly compared teams towards the middle.
+const PRIOR_GAMES = 1;
+const MAX_ITERATIONS = 1000;
+const TOLERANCE = 1e-9;
+
+/**
+ * Turn the stored event_settings.round_judging_modes JSON (or an already-parsed object)
+ * into { [round]: mode }, dropping rounds or modes that aren't recognised.
+ */
+const parseRoundJudgingModes = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      parsed = null;
+    }
+  }
+
+  const modes = {};
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return modes;
+  }
+  Object.keys(parsed).forEach(key => {
+    const round = parseInt(key, 10);
+    if (!isNaN(round) && round >= 1 && JUDGING_MODES.includes(parsed[key])) {
+      modes[round] = parsed[key];
+    }
+  });
+  return modes;
+};
+
+/**
+ * Resolve the judging mode for a round: a per-round override wins over the event-wide mode.
+ */
+const getJudgingMode = (settings, round) => {
+  const roundModes = parseRoundJudgingModes(settings && settings.round_judging_modes);
+  const roundNumber = parseInt(round, 10);
+  if (roundModes[roundNumber]) {
+    return roundModes[roundNumber];
+  }
+  const eventMode = settings && settings.judging_mode;
+  return JUDGING_MODES.includes(eventMode) ? eventMode : 'scores';
+};
+
+const isPairwiseRound = (settings, round) => getJudgingMode(settings, round) === 'pairwise';
+
+/**
+ * Check an event judging mode and per-round overrides an admin submitted before they are saved.
+ * Returns an error message, or null when the modes are valid.
+ */
+const validateJudgingModes = (mode, roundModes = {}) => {
+  if (!JUDGING_MODES.includes(mode)) {
+    return `Invalid judging mode: ${mode}`;
+  }
+  const invalidRound = Object.keys(roundModes || {}).find(round =>
+    !/^[1-9][0-9]*$/.test(round) || !JUDGING_MODES.includes(roundModes[round])
+  );
+  if (invalidRound) {
+    return `Invalid judging mode for round ${invalidRound}: ${roundModes[invalidRound]}`;
+  }
+  return null;
+};
+
+/**
+ * Fit Bradley-Terry strengths to a list of { winner, loser } comparisons using the
+ * minorisation-maximisation algorithm (Hunter, 2004).
+ * Every team in `teamNames` (and any team named in a comparison) gets a result:
+ * { team_name, strength, score, wins, losses, comparisons } where `score` is the
+ * chance (0-100) of beating an average team. Results are sorted best first.
+ */
+const fitBradleyTerry = (comparisons, teamNames) => {
+  const names = new Set(teamNames || []);
+  const valid = (comparisons || []).filter(c => c && c.winner && c.loser && c.winner !== c.loser);
+  valid.forEach(c => {
+    names.add(c.winner);
+    names.add(c.loser);
+  });
+
+  const teams = Array.from(names);
+  const wins = {};
+  const losses = {};
+  const games = {}; // games[a][b] = number of comparisons between a and b
+  teams.forEach(name => {
+    wins[name] = 0;
+    losses[name] = 0;
+    games[name] = {};
+  });
+  valid.forEach(({ winner, loser }) => {
+    wins[winner]++;
+    losses[loser]++;
+    games[winner][loser] = (games[winner][loser] || 0) + 1;
+    games[loser][winner] = (games[loser][winner] || 0) + 1;
+  });
+
+  // The virtual average team has a fixed strength of 1, which also anchors the scale
+  let strength = {};
+  teams.forEach(name => { strength[name] = 1; });
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = {};
+    let maxChange = 0;
+    teams.forEach(name => {
+      let denominator = (2 * PRIOR_GAMES) / (strength[name] + 1);
+      Object.keys(games[name]).forEach(opponent => {
+        denominator += games[name][opponent] / (strength[name] + strength[opponent]);
+      });
+      next[name] = (wins[name] + PRIOR_GAMES) / denominator;
+      maxChange = Math.max(maxChange, Math.abs(next[name] - strength[name]));
+    });
+    strength = next;
+    if (maxChange < TOLERANCE) {
+      break;
+    }
+  }
+
+  return teams
+    .map(name => ({
+      team_name: name,
+      strength: strength[name],
+      score: (100 * strength[name]) / (strength[name] + 1),
+      wins: wins[name],
+      losses: losses[name],
+      comparisons: wins[name] + losses[name]
+    }))
+    .sort((a, b) => b.strength - a.strength || b.wins - a.wins || a.team_name.localeCompare(b.team_name));
+};
+
+module.exports = {
+  JUDGING_MODES,
+  parseRoundJudgingModes,
+  getJudgingMode,
+  isPairwiseRound,
+  validateJudgingModes,
+  fitBradleyTerry
+};
@@ -0,0 +1,431 @@
+// Results reports for sponsors and organisers: the ranked teams of a round (per division), category
+// leaders and, for admins, every judge's score and notes. The report is built once as plain sections
+// of rows and written out as CSV, XLSX (a zip of SpreadsheetML files, built with archiver like the
+// account data export) or a printable PDF (pdfkit).
+
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+// Scores are shown to two decimal places
+const roundScore = (value) => (value === null || value === undefined || isNaN(Number(value)) ? null : Math.round(Number(value) * 100) / 100);
+
+/**
+ * Build the report for a round.
+ * results is the leaderboard ({ division: [ranked teams] }), teams the teams table rows (for project
+ * names), categoryLeaders the top team per category, and scores the round's judge scores (only
+ * included when includeJudgeScores is set, since they carry judge names and notes).
+ */
+const buildResultsReport = ({
+  eventName = 'Hackathon',
+  round = 1,
+  division = null,
+  results = {},
+  teams = [],
+  categoryLeaders = [],
+  scores = [],
+  includeJudgeScores = false,
+  generatedAt = new Date()
+} = {}) => {
+  const projects = {};
+  teams.forEach(team => {
+    projects[team.name] = team.project_name || '';
+  });
+
+  const divisions = Object.keys(results || {}).sort();
+  const rankings = [];
+  const teamOrder = {};
+  divisions.forEach(divisionName => {
+    (results[divisionName] || []).forEach(team => {
+      teamOrder[team.team_name] = rankings.length;
+      rankings.push([
+        divisionName,
+        team.rank,
+        team.tied ? 'Yes' : '',
+        team.team_name,
+        projects[team.team_name] || '',
+        team.table_name || '',
+        roundScore(team.total_score),
+        team.judge_count || 0,
+        team.rounds_completed || 0
+      ]);
+    });
+  });
+
+  const sections = [
+    {
+      name: 'Rankings',
+      columns: [
+        { label: 'Division', width: 2 },
+        { label: 'Rank', width: 1, numeric: true },
+        { label: 'Tied', width: 1 },
+        { label: 'Team', width: 3 },
+        { label: 'Project', width: 3 },
+        { label: 'Table', width: 1.5 },
+        { label: 'Score', width: 1.5, numeric: true },
+        { label: 'Judges', width: 1.2, numeric: true },
+        { label: 'Rounds Judged', width: 1.5, numeric: true }
+      ],
+      rows: rankings
+    },
+    {
+      name: 'Category Leaders',
+      columns: [
+        { label: 'Category', width: 3 },
+        { label: 'Team', width: 3 },
+        { label: 'Project', width: 3 },
+        { label: 'Table', width: 1.5 },
+        { label: 'Score', width: 1.5, numeric: true },
+        { label: 'Tied', width: 1 }
+      ],
+      rows: (categoryLeaders || []).map(leader => [
+        leader.category_name,
+        leader.team_name,
+        leader.project_name || projects[leader.team_name] || '',
+        leader.table_name || '',
+        roundScore(leader.total_score),
+        leader.tied ? 'Yes' : ''
+      ])
+    }
+  ];
+
+  if (includeJudgeScores) {
+    const judgeRows = (scores || [])
+      .filter(score => Number(score.round) === Number(round) && teamOrder[score.team_name] !== undefined)
+      .sort((a, b) => teamOrder[a.team_name] - teamOrder[b.team_name] ||
+        (a.judge_name || a.judge_email).localeCompare(b.judge_name || b.judge_email))
+      .map(score => [
+        rankings[teamOrder[score.team_name]][0],
+        score.team_name,
+        score.judge_name || '',
+        score.judge_email,
+        roundScore(score.score),
+        score.notes || ''
+      ]);
+    sections.push({
+      name: 'Judge Scores',
+      columns: [
+        { label: 'Division', width: 2 },
+        { label: 'Team', width: 2.5 },
+        { label: 'Judge', width: 2 },
+        { label: 'Judge Email', width: 3 },
+        { label: 'Score', width: 1.2, numeric: true },
+        { label: 'Notes', width: 6 }
+      ],
+      rows: judgeRows
+    });
+  }
+
+  return {
+    title: `${eventName} Results`,
+    subtitle: `Round ${round} · ${division ? `${division} division` : 'All divisions'}`,
+    generatedAt,
+    sections
+  };
+};
+
+/**
+ * A file name for the export, e.g. results-round-2-k12.csv
+ */
+const getExportFilename = (round, division, format) => {
+  const slug = division ? `-${String(division).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}` : '';
+  return `results-round-${round}${slug}.${format}`;
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas, so text from judges
+// and teams is prefixed with a quote (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCellText = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+const escapeCsvValue = (value) => {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  const text = toCellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write the report as CSV: each section as its name, a header row and its rows, separated by a blank line.
+ */
+const toCsv = (report) => {
+  const lines = [
+    escapeCsvValue(report.title),
+    escapeCsvValue(report.subtitle),
+    ''
+  ];
+  report.sections.forEach(section => {
+    lines.push(escapeCsvValue(section.name));
+    lines.push(section.columns.map(column => escapeCsvValue(column.label)).join(','));
+    section.rows.forEach(row => {
+      lines.push(row.map(escapeCsvValue).join(','));
+    });
+    lines.push('');
+  });
+  // A byte order mark so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}`;
+};
+
+const escapeXml = (value) => String(value)
+  // Characters XML 1.0 doesn't allow
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+};
+
+// Sheet names are at most 31 characters and can't contain []:*?/\
+const toSheetName = (name) => String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+
+const buildCellXml = (value, ref, styleIndex = 0) => {
+  const style = styleIndex ? ` s="${styleIndex}"` : '';
+  if (typeof value === 'number' && isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * SpreadsheetML for one section: a bold, frozen header row and the rows below it.
+ */
+const buildSheetXml = (section) => {
+  const widths = section.columns.map((column, index) => Math.min(60, Math.max(
+    column.label.length,
+    ...section.rows.map(row => (row[index] === null || row[index] === undefined ? 0 : String(row[index]).length))
+  ) + 2));
+
+  const rows = [section.columns.map(column => column.label), ...section.rows].map((row, rowIndex) => {
+    // Inline strings are never run as formulas, so cells keep their text as is
+    const cells = row.map((value, columnIndex) => buildCellXml(
+      value,
+      `${columnName(columnIndex)}${rowIndex + 1}`,
+      rowIndex === 0 ? 1 : 0
+    )).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+    `<sheetData>${rows.join('')}</sheetData>` +
+    '</worksheet>';
+};
+
+/**
+ * The files of an XLSX workbook with one worksheet per report section.
+ */
+const buildXlsxFiles = (report) => {
+  const sheets = report.sections.map((section, index) => ({
+    id: index + 1,
+    name: toSheetName(section.name),
+    xml: buildSheetXml(section)
+  }));
+
+  return [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map(sheet => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets>${sheets.map(sheet => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('')}</sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map(sheet => `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      // Style 0 is plain, style 1 bold (header rows)
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    },
+    ...sheets.map(sheet => ({ name: `xl/worksheets/sheet${sheet.id}.xml`, content: sheet.xml }))
+  ];
+};
+
+/**
+ * Stream the report to output as an XLSX workbook. Resolves once the workbook is written.
+ */
+const writeXlsx = (report, output) => {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', reject);
+    output.on('finish', resolve);
+    archive.pipe(output);
+    buildXlsxFiles(report).forEach(file => {
+      archive.append(file.content, { name: file.name });
+    });
+    archive.finalize();
+  });
+};
+
+const PDF_MARGIN = 40;
+const PDF_CELL_PADDING = 4;
+
+/**
+ * Stream the report to output as a printable PDF (landscape, one table per section).
+ * Resolves once the document is written.
+ */
+const writePdf = (report, output) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN, bufferPages: true });
+    doc.on('error', reject);
+    output.on('finish', resolve);
+    doc.pipe(output);
+
+    const pageWidth = doc.page.width - PDF_MARGIN * 2;
+    const pageBottom = () => doc.page.height - PDF_MARGIN - 20;
+
+    doc.font('Helvetica-Bold').fontSize(20).text(report.title);
+    doc.font('Helvetica').fontSize(11).fillColor('#4b5563').text(report.subtitle);
+    doc.fontSize(9).text(`Generated ${report.generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`);
+    doc.fillColor('#111827');
+
+    report.sections.forEach(section => {
+      const totalWeight = section.columns.reduce((sum, column) => sum + (column.width || 1), 0);
+      const widths = section.columns.map(column => pageWidth * (column.width || 1) / totalWeight);
+
+      const rowHeight = (cells, font) => {
+        doc.font(font).fontSize(8);
+        return Math.max(...cells.map((cell, index) => doc.heightOfString(
+          cell === null || cell === undefined ? '' : String(cell),
+          { width: widths[index] - PDF_CELL_PADDING * 2 }
+        ))) + PDF_CELL_PADDING * 2;
+      };
+
+      const drawRow = (cells, font, shaded) => {
+        const height = rowHeight(cells, font);
+        const top = doc.y;
+        if (shaded) {
+          doc.rect(PDF_MARGIN, top, pageWidth, height).fill('#f3f4f6');
+          doc.fillColor('#111827');
+        }
+        let x = PDF_MARGIN;
+        cells.forEach((cell, index) => {
+          doc.font(font).fontSize(8).text(cell === null || cell === undefined ? '' : String(cell),
+            x + PDF_CELL_PADDING, top + PDF_CELL_PADDING, {
+              width: widths[index] - PDF_CELL_PADDING * 2,
+              align: section.columns[index].numeric ? 'right' : 'left'
+            });
+          x += widths[index];
+        });
+        doc.moveTo(PDF_MARGIN, top + height).lineTo(PDF_MARGIN + pageWidth, top + height)
+          .lineWidth(0.5).strokeColor('#d1d5db').stroke();
+        doc.x = PDF_MARGIN;
+        doc.y = top + height;
+      };
+
+      const header = section.columns.map(column => column.label);
+      const drawHeader = () => drawRow(header, 'Helvetica-Bold', true);
+
+      // Start a section on a new page when its heading and first rows wouldn't fit
+      if (doc.y + 80 > pageBottom()) {
+        doc.addPage();
+      } else {
+        doc.moveDown(1.5);
+      }
+      doc.x = PDF_MARGIN;
+      doc.font('Helvetica-Bold').fontSize(13).text(section.name);
+      doc.moveDown(0.4);
+      drawHeader();
+
+      if (section.rows.length === 0) {
+        doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text('Nothing to show yet.', PDF_MARGIN, doc.y + PDF_CELL_PADDING);
+        doc.fillColor('#111827');
+        return;
+      }
+
+      section.rows.forEach(row => {
+        // Rows that don't fit continue on the next page under a repeated header
+        if (doc.y + rowHeight(row, 'Helvetica') > pageBottom()) {
+          doc.addPage();
+          drawHeader();
+        }
+        drawRow(row, 'Helvetica', false);
+      });
+    });
+
+    // Page numbers (written inside the bottom margin, which would otherwise start a new page)
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#6b7280').text(
+        `${report.title} · Page ${i + 1} of ${range.count}`,
+        PDF_MARGIN, doc.page.height - PDF_MARGIN - 10,
+        { width: pageWidth, align: 'center', lineBreak: false }
+      );
+    }
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  buildResultsReport,
+  getExportFilename,
+  escapeCsvValue,
+  toCsv,
+  columnName,
+  buildXlsxFiles,
+  writeXlsx,
+  writePdf
+};
@@ -0,0 +1,122 @@
+// Public results and scoreboard freezes: results are hidden from the public, live, or frozen at a
+// point in time. Participants and the public see a frozen scoreboard; judges and admins see live data.
+
+const PUBLIC_RESULTS_MODES = ['hidden', 'live', 'frozen'];
+
+// Roles that always see live results
+const LIVE_RESULTS_ROLES = ['admin', 'judge'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a Date the way SQLite's CURRENT_TIMESTAMP stores it (UTC, 'YYYY-MM-DD HH:MM:SS'),
+ * so it compares directly with score timestamps.
+ */
+const toSqliteTimestamp = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+/**
+ * Turn the freeze time from the admin form (a datetime-local value in the admin's time zone, with the
+ * browser's getTimezoneOffset() in minutes) into a SQLite UTC timestamp. A blank time means now.
+ * Returns null when the time can't be read.
+ */
+const parseFreezeTime = (value, timezoneOffsetMinutes, now = new Date()) => {
+  if (!value || !String(value).trim()) {
+    return toSqliteTimestamp(now);
+  }
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+  const offset = parseInt(timezoneOffsetMinutes, 10) || 0;
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  const utcMs = Date.UTC(year, month - 1, day, hours, minutes, seconds || 0) + offset * 60 * 1000;
+  const date = new Date(utcMs);
+  return isNaN(date.getTime()) ? null : toSqliteTimestamp(date);
+};
+
+/**
+ * The freeze cutoff for someone viewing results (null = live data).
+ * role is the viewer's role, or null for the public.
+ */
+const getResultsCutoff = (settings, role = null) => {
+  if (LIVE_RESULTS_ROLES.includes(role)) {
+    return null;
+  }
+  if (settings.public_results === 'frozen' && settings.results_frozen_at) {
+    return settings.results_frozen_at;
+  }
+  return null;
+};
+
+/**
+ * Rebuild scores as they stood at the cutoff. Scores entered after it are left out, and scores edited
+ * after it fall back to their last value before it (from score_history rows:
+ * { id, judge_email, team_name, round, action, new_score, new_notes, created_at }). Scores deleted
+ * after the cutoff come back with that value too; teams ({ name, table_name, division }) fills in
+ * their team details.
+ */
+const getScoresAsOf = (scores, history, cutoff, teams = []) => {
+  if (!cutoff) {
+    return scores;
+  }
+
+  // Latest change to each judge's score for a team and round, up to the cutoff
+  const key = (row) => `${row.judge_email}|${row.team_name}|${row.round}`;
+  const lastBefore = {};
+  (history || [])
+    .filter(entry => entry.created_at <= cutoff)
+    .forEach(entry => {
+      const current = lastBefore[key(entry)];
+      if (!current || entry.created_at > current.created_at ||
+        (entry.created_at === current.created_at && entry.id > current.id)) {
+        lastBefore[key(entry)] = entry;
+      }
+    });
+  const hasScore = (entry) => entry && entry.action !== 'delete' && entry.new_score !== null && entry.new_score !== undefined;
+
+  const liveKeys = new Set();
+  const visible = (scores || []).reduce((list, score) => {
+    liveKeys.add(key(score));
+    if (!score.updated_at || score.updated_at <= cutoff) {
+      list.push(score);
+      return list;
+    }
+    const previous = lastBefore[key(score)];
+    if (hasScore(previous)) {
+      list.push({ ...score, score: previous.new_score });
+    }
+    return list;
+  }, []);
+
+  const teamsByName = {};
+  (teams || []).forEach(team => {
+    teamsByName[team.name] = team;
+  });
+  Object.keys(lastBefore)
+    .filter(scoreKey => !liveKeys.has(scoreKey) && hasScore(lastBefore[scoreKey]))
+    .forEach(scoreKey => {
+      const entry = lastBefore[scoreKey];
+      const team = teamsByName[entry.team_name] || {};
+      visible.push({
+        judge_email: entry.judge_email,
+        team_name: entry.team_name,
+        table_name: team.table_name || null,
+        division: team.division || null,
+        round: entry.round,
+        score: entry.new_score,
+        notes: entry.new_notes || '',
+        created_at: entry.created_at,
+        updated_at: entry.created_at
+      });
+    });
+  return visible;
+};
+
+module.exports = {
+  PUBLIC_RESULTS_MODES,
+  toSqliteTimestamp,
+  parseFreezeTime,
+  getResultsCutoff,
+  getScoresAsOf
+};
@@ -0,0 +1,64 @@
+// Score drafts: what a judge has typed on the score entry page so far, autosaved while they hold
+// the team. Drafts keep the raw text of each field and never count as a score.
+
+const MAX_DRAFT_FIELD_LENGTH = 10000;
+
+const clean = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value).slice(0, MAX_DRAFT_FIELD_LENGTH);
+};
+
+/**
+ * Pick the draft fields out of a score entry form body: the single score (no rubric) or each
+ * rubric criterion, plus notes. Returns { score, notes, criteria: { [criterionId]: value } }.
+ */
+const parseDraftFields = (criteria, body) => {
+  const draft = { score: '', notes: clean(body.notes), criteria: {} };
+  if (criteria && criteria.length > 0) {
+    criteria.forEach(criterion => {
+      draft.criteria[criterion.id] = clean(body[`criterion_${criterion.id}`]);
+    });
+  } else {
+    draft.score = clean(body.score);
+  }
+  return draft;
+};
+
+/**
+ * Turn a stored draft (JSON) back into { score, notes, criteria }, or null when there isn't a usable one.
+ */
+const parseStoredDraft = (value) => {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+    return {
+      score: clean(parsed.score),
+      notes: clean(parsed.notes),
+      criteria: parsed.criteria && typeof parsed.criteria === 'object' ? parsed.criteria : {}
+    };
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Values to fill the score entry form with: the draft when there is one, otherwise the saved score.
+ * existingCriterionScores is { [criterionId]: score } for the saved score.
+ */
+const getFormValues = (draft, existingScore, existingCriterionScores = {}) => {
+  if (draft) {
+    return { score: draft.score, notes: draft.notes, criteria: draft.criteria };
+  }
+  return {
+    score: existingScore ? existingScore.score : '',
+    notes: existingScore ? existingScore.notes || '' : '',
+    criteria: existingCriterionScores
+  };
+};
+
+module.exports = {
+  parseDraftFields,
+  parseStoredDraft,
+  getFormValues
+};
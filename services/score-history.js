@@ -0,0 +1,39 @@
+// Score change history: works out which change (create, edit or delete) a score write represents.
+
+const SCORE_ACTIONS = ['create', 'edit', 'delete'];
+
+/**
+ * Classify a change from `previous` to `next` score rows ({ score, notes }; null when absent).
+ * Returns 'create', 'edit' or 'delete', or null when nothing changed (a resubmitted score).
+ */
+const getScoreChangeAction = (previous, next) => {
+  if (!previous && !next) {
+    return null;
+  }
+  if (!previous) {
+    return 'create';
+  }
+  if (!next) {
+    return 'delete';
+  }
+  const sameScore = Number(previous.score) === Number(next.score);
+  const sameNotes = (previous.notes || '') === (next.notes || '');
+  return sameScore && sameNotes ? null : 'edit';
+};
+
+/**
+ * How much a history entry moved the score (new minus old), or null for creates and deletes.
+ */
+const getScoreDelta = (entry) => {
+  if (!entry || entry.old_score === null || entry.old_score === undefined ||
+    entry.new_score === null || entry.new_score === undefined) {
+    return null;
+  }
+  return Number(entry.new_score) - Number(entry.old_score);
+};
+
+module.exports = {
+  SCORE_ACTIONS,
+  getScoreChangeAction,
+  getScoreDelta
+};
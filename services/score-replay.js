@@ -0,0 +1,58 @@
+// Offline score entry: every score form carries a submission id, so a submission the service worker
+// replays after a dropped connection (or a double-tapped submit button) is only saved once.
+
+// crypto.randomUUID() output, as made by the score entry page and the service worker
+const SUBMISSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check a submission id sent with a score form (a UUID from the page, or one the service worker made).
+ */
+const isValidSubmissionId = (id) => typeof id === 'string' && SUBMISSION_ID_PATTERN.test(id);
+
+/**
+ * Decide what happens to a score submission before it is validated like any other score.
+ * previousSubmission is the already-saved submission with the same id (or null), and enteredBy the
+ * judge the form was filled in for (a queued score replayed after another judge signed in on the device).
+ * Returns { status: 'duplicate' } when it was already saved, { status: 'rejected', reason } when it can
+ * no longer be saved, or null to go ahead. A duplicate wins over a lock: the score made it in before
+ * the lock, and only the response was lost.
+ */
+const checkSubmission = ({ previousSubmission = null, judgeEmail, enteredBy = null, judgingLocked = false, roundLocked = false }) => {
+  if (enteredBy && enteredBy !== judgeEmail) {
+    return { status: 'rejected', reason: 'other_judge' };
+  }
+  if (previousSubmission) {
+    return previousSubmission.judge_email === judgeEmail
+      ? { status: 'duplicate' }
+      : { status: 'rejected', reason: 'invalid_submission' };
+  }
+  if (judgingLocked) {
+    return { status: 'rejected', reason: 'judging_locked' };
+  }
+  if (roundLocked) {
+    return { status: 'rejected', reason: 'round_locked' };
+  }
+  return null;
+};
+
+/**
+ * Message shown to the judge for a rejected submission.
+ */
+const getRejectionMessage = (reason, round) => {
+  if (reason === 'judging_locked') {
+    return 'Judging has been locked. No new scores can be entered.';
+  }
+  if (reason === 'round_locked') {
+    return `Round ${round} has been locked. Scores can no longer be entered or edited for this round.`;
+  }
+  if (reason === 'other_judge') {
+    return 'This score was entered by another judge on this device, so it was not saved under your name.';
+  }
+  return 'Invalid score data. Please try again.';
+};
+
+module.exports = {
+  isValidSubmissionId,
+  checkSubmission,
+  getRejectionMessage
+};
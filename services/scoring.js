@@ -0,0 +1,219 @@
+// Scoring helpers shared by the score entry routes and the ranking views.
+
+/**
+ * Parse and validate rubric criterion scores submitted from the score entry form.
+ * Expects one field per criterion named `criterion_<id>`.
+ * Returns { scores: [{ criterion_id, score }], error }.
+ */
+const parseCriterionScores = (criteria, body) => {
+  const scores = [];
+
+  for (const criterion of criteria || []) {
+    const rawValue = body ? body[`criterion_${criterion.id}`] : undefined;
+    const value = parseFloat(rawValue);
+
+    if (rawValue === undefined || rawValue === '' || isNaN(value)) {
+      return { scores: [], error: `Please enter a score for "${criterion.name}".` };
+    }
+
+    if (value < criterion.min_score || value > criterion.max_score) {
+      return {
+        scores: [],
+        error: `Score for "${criterion.name}" must be between ${criterion.min_score} and ${criterion.max_score}.`
+      };
+    }
+
+    scores.push({ criterion_id: criterion.id, score: value });
+  }
+
+  return { scores, error: null };
+};
+
+/**
+ * Calculate the weighted total for a set of criterion scores.
+ * Each criterion contributes score * weight; criteria without a score are skipped.
+ */
+const calculateWeightedScore = (criteria, criterionScores) => {
+  const weightById = {};
+  (criteria || []).forEach(criterion => {
+    weightById[criterion.id] = Number(criterion.weight);
+  });
+
+  return (criterionScores || []).reduce((total, cs) => {
+    const weight = weightById[cs.criterion_id];
+    if (weight === undefined || isNaN(weight)) return total;
+    return total + Number(cs.score) * weight;
+  }, 0);
+};
+
+/**
+ * Highest weighted total a judge can award with the given rubric.
+ */
+const getMaxWeightedScore = (criteria) => {
+  return (criteria || []).reduce((total, criterion) => {
+    return total + Number(criterion.max_score) * Number(criterion.weight);
+  }, 0);
+};
+
+// Supported leaderboard normalization modes
+// raw: scores as entered; zscore: standardized per judge per round;
+// rank: percentile of the score among that judge's scores for the round
+const NORMALIZATION_MODES = ['raw', 'zscore', 'rank'];
+
+/**
+ * Normalize scores per judge per round so harsh and lenient judges are comparable.
+ * Each row needs judge_email, round and score; other fields are passed through.
+ * Returns new rows with `score` replaced and the original kept in `raw_score`.
+ */
+const normalizeScores = (rows, mode = 'raw') => {
+  if (!NORMALIZATION_MODES.includes(mode) || mode === 'raw') {
+    return (rows || []).map(row => ({ ...row, raw_score: row.score }));
+  }
+
+  // Group each judge's scores by round
+  const groups = {};
+  (rows || []).forEach(row => {
+    const key = `${row.judge_email}|${row.round}`;
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(Number(row.score));
+  });
+
+  const stats = {};
+  Object.keys(groups).forEach(key => {
+    const values = groups[key];
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+    stats[key] = { values, mean, stdDev: Math.sqrt(variance) };
+  });
+
+  return rows.map(row => {
+    const { values, mean, stdDev } = stats[`${row.judge_email}|${row.round}`];
+    const value = Number(row.score);
+    let normalized;
+
+    if (mode === 'zscore') {
+      // A judge who gave every team the same score expresses no preference
+      normalized = stdDev > 0 ? (value - mean) / stdDev : 0;
+    } else {
+      // Fraction of the judge's other scores this one beats (ties count half)
+      if (values.length < 2) {
+        normalized = 0.5;
+      } else {
+        const below = values.filter(v => v < value).length;
+        const ties = values.filter(v => v === value).length - 1;
+        normalized = (below + ties / 2) / (values.length - 1);
+      }
+    }
+
+    return { ...row, raw_score: row.score, score: normalized };
+  });
+};
+
+// How each team's (normalized) scores are combined into the score it is ranked by
+// sum: total of every score; mean: average score; trimmed_mean: average without the single highest
+// and lowest score once a team has at least 3; median: middle score;
+// weighted_rounds: average of the team's per-round means, weighted per round (weights default to 1)
+const AGGREGATION_STRATEGIES = ['sum', 'mean', 'trimmed_mean', 'median', 'weighted_rounds'];
+const MAX_ROUND_WEIGHT = 100;
+
+/**
+ * Turn the stored event_settings.round_weights JSON (or an object) into { [round]: weight },
+ * dropping rounds and weights that aren't usable.
+ */
+const parseRoundWeights = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      parsed = null;
+    }
+  }
+  const weights = {};
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return weights;
+  }
+  Object.keys(parsed).forEach(round => {
+    const weight = Number(parsed[round]);
+    if (/^[1-9][0-9]*$/.test(round) && parsed[round] !== '' && parsed[round] !== null &&
+      !isNaN(weight) && weight >= 0 && weight <= MAX_ROUND_WEIGHT) {
+      weights[round] = weight;
+    }
+  });
+  return weights;
+};
+
+/**
+ * Check per-round weights an admin submitted before they are saved.
+ * Returns an error message, or null when every weight is in range.
+ */
+const validateRoundWeights = (weights) => {
+  for (const round of Object.keys(weights || {})) {
+    if (!/^[1-9][0-9]*$/.test(round)) {
+      return 'Rounds must be whole numbers starting at 1';
+    }
+    const weight = Number(weights[round]);
+    if (weights[round] === '' || weights[round] === null || isNaN(weight) || weight < 0 || weight > MAX_ROUND_WEIGHT) {
+      return `Round weights must be numbers between 0 and ${MAX_ROUND_WEIGHT}`;
+    }
+  }
+  return null;
+};
+
+const mean = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Combine one team's score rows ({ round, score }) into its ranking score using `strategy`.
+ * roundWeights is only used by weighted_rounds.
+ */
+const aggregateScores = (rows, strategy = 'sum', roundWeights = {}) => {
+  const values = (rows || []).map(row => Number(row.score) || 0);
+
+  if (strategy === 'mean') {
+    return mean(values);
+  }
+  if (strategy === 'trimmed_mean') {
+    if (values.length < 3) return mean(values);
+    return mean([...values].sort((a, b) => a - b).slice(1, -1));
+  }
+  if (strategy === 'median') {
+    return median(values);
+  }
+  if (strategy === 'weighted_rounds') {
+    const byRound = {};
+    (rows || []).forEach(row => {
+      (byRound[row.round] = byRound[row.round] || []).push(Number(row.score) || 0);
+    });
+    let weightedTotal = 0;
+    let totalWeight = 0;
+    Object.keys(byRound).forEach(round => {
+      const weight = roundWeights && roundWeights[round] !== undefined ? Number(roundWeights[round]) : 1;
+      weightedTotal += weight * mean(byRound[round]);
+      totalWeight += weight;
+    });
+    return totalWeight > 0 ? weightedTotal / totalWeight : 0;
+  }
+  return values.reduce((sum, v) => sum + v, 0);
+};
+
+module.exports = {
+  NORMALIZATION_MODES,
+  AGGREGATION_STRATEGIES,
+  MAX_ROUND_WEIGHT,
+  parseCriterionScores,
+  calculateWeightedScore,
+  getMaxWeightedScore,
+  normalizeScores,
+  parseRoundWeights,
+  validateRoundWeights,
+  aggregateScores
+};
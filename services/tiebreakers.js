@@ -0,0 +1,178 @@
+// Tie-breaking for rankings: teams with the same score share a rank unless one of the
+// admin's ordered tiebreakers separates them.
+
+// Tiebreaker keys; rubric criteria are stored as `criterion:<id>`
+// judge_count: more judges wins; latest_round: higher average in the team's latest judged round wins;
+// head_judge: the head judge's recorded order for tied teams (teams without a position come last)
+const TIEBREAKERS = ['criterion', 'judge_count', 'latest_round', 'head_judge'];
+const MAX_TIEBREAKERS = 4;
+// Scores closer than this are treated as equal (normalized averages rarely match exactly)
+const SCORE_EPSILON = 1e-9;
+
+/**
+ * Parse a tiebreaker key into { type, criterionId }, or null when it isn't one.
+ */
+const parseTiebreakerKey = (key) => {
+  const match = /^criterion:([1-9][0-9]*)$/.exec(String(key));
+  if (match) {
+    return { type: 'criterion', criterionId: parseInt(match[1], 10) };
+  }
+  if (key !== 'criterion' && TIEBREAKERS.includes(key)) {
+    return { type: key, criterionId: null };
+  }
+  return null;
+};
+
+/**
+ * Turn the stored event_settings.tiebreakers JSON (or an array) into an ordered list of keys,
+ * dropping unknown keys and repeats.
+ */
+const parseTiebreakers = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      parsed = [];
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    return [];
+  }
+  return Array.from(new Set(parsed.filter(key => parseTiebreakerKey(key)))).slice(0, MAX_TIEBREAKERS);
+};
+
+/**
+ * Check tiebreakers an admin submitted before they are saved.
+ * Returns an error message, or null when the list is usable.
+ */
+const validateTiebreakers = (keys, criteria) => {
+  if (!Array.isArray(keys) || keys.length > MAX_TIEBREAKERS) {
+    return `Choose at most ${MAX_TIEBREAKERS} tiebreakers`;
+  }
+  if (new Set(keys).size !== keys.length) {
+    return 'Each tiebreaker can only be used once';
+  }
+  const criterionIds = (criteria || []).map(criterion => criterion.id);
+  for (const key of keys) {
+    const tiebreaker = parseTiebreakerKey(key);
+    if (!tiebreaker) {
+      return `Invalid tiebreaker: ${key}`;
+    }
+    if (tiebreaker.type === 'criterion' && !criterionIds.includes(tiebreaker.criterionId)) {
+      return 'Tiebreaker refers to a rubric criterion that no longer exists';
+    }
+  }
+  return null;
+};
+
+/**
+ * Turn the stored head judge decisions into { teamName: position } (1 is best).
+ */
+const parseHeadJudgeOrder = (value) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      parsed = null;
+    }
+  }
+  const order = {};
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return order;
+  }
+  Object.keys(parsed).forEach(teamName => {
+    const position = parseInt(parsed[teamName], 10);
+    if (!isNaN(position) && position >= 1) {
+      order[teamName] = position;
+    }
+  });
+  return order;
+};
+
+// A team's value for one tiebreaker, higher is better; unknown values rank last
+const getTiebreakValue = (team, teamName, tiebreaker, data) => {
+  let value = null;
+  if (tiebreaker.type === 'criterion') {
+    const averages = (data.criterionAverages || {})[teamName];
+    value = averages ? averages[tiebreaker.criterionId] : null;
+  } else if (tiebreaker.type === 'judge_count') {
+    value = team.judge_count;
+  } else if (tiebreaker.type === 'latest_round') {
+    value = team.latest_round_score;
+  } else if (tiebreaker.type === 'head_judge') {
+    const position = (data.headJudgeOrder || {})[teamName];
+    value = position ? -position : null;
+  }
+  return value === null || value === undefined || isNaN(Number(value)) ? -Infinity : Number(value);
+};
+
+/**
+ * Compare two teams by score, then by each tiebreaker in order.
+ * Returns a negative number when `a` ranks higher, positive when `b` does, 0 when they stay tied.
+ */
+const compareTeams = (a, b, { scoreKey = 'total_score', nameKey = 'team_name', tiebreakers = [], data = {} } = {}) => {
+  const scoreDiff = (Number(b[scoreKey]) || 0) - (Number(a[scoreKey]) || 0);
+  if (Math.abs(scoreDiff) > SCORE_EPSILON) {
+    return scoreDiff;
+  }
+  for (const key of tiebreakers) {
+    const tiebreaker = parseTiebreakerKey(key);
+    if (!tiebreaker) continue;
+    const valueA = getTiebreakValue(a, a[nameKey], tiebreaker, data);
+    const valueB = getTiebreakValue(b, b[nameKey], tiebreaker, data);
+    if (valueA === valueB) continue;
+    if (valueA === -Infinity || valueB === -Infinity || Math.abs(valueB - valueA) > SCORE_EPSILON) {
+      return valueB > valueA ? 1 : -1;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Sort teams best first and assign shared ranks (1, 2, 2, 4) to teams the tiebreakers can't separate.
+ * Returns new rows with `rank` and `tied` set; tied teams are listed by name.
+ */
+const rankTeams = (teams, options = {}) => {
+  const nameKey = options.nameKey || 'team_name';
+  const sorted = [...(teams || [])].sort((a, b) =>
+    compareTeams(a, b, options) || String(a[nameKey]).localeCompare(String(b[nameKey]))
+  );
+
+  const ranked = sorted.map(team => ({ ...team, tied: false }));
+  ranked.forEach((team, index) => {
+    const previous = ranked[index - 1];
+    if (previous && compareTeams(previous, team, options) === 0) {
+      team.rank = previous.rank;
+      team.tied = true;
+      previous.tied = true;
+    } else {
+      team.rank = index + 1;
+    }
+  });
+  return ranked;
+};
+
+/**
+ * Groups of teams that still share a rank after ranking, for the head judge to order.
+ */
+const getTieGroups = (rankedTeams) => {
+  const groups = {};
+  (rankedTeams || []).filter(team => team.tied).forEach(team => {
+    (groups[team.rank] = groups[team.rank] || []).push(team);
+  });
+  return Object.keys(groups).map(Number).sort((a, b) => a - b).map(rank => ({ rank, teams: groups[rank] }));
+};
+
+module.exports = {
+  TIEBREAKERS,
+  MAX_TIEBREAKERS,
+  parseTiebreakerKey,
+  parseTiebreakers,
+  validateTiebreakers,
+  parseHeadJudgeOrder,
+  compareTeams,
+  rankTeams,
+  getTieGroups
+};
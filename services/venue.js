@@ -0,0 +1,121 @@
+// Venue layout helpers used to route judges between nearby tables.
+
+/**
+ * Parse a grid-style table name such as "A1" or "c10" into grid coordinates.
+ * The row letter becomes y (A = 0) and the column number becomes x (1 = 0).
+ * Returns null for names that don't follow the grid pattern.
+ */
+const parseGridPosition = (tableName) => {
+  const match = /^([A-Za-z])\s*(\d+)$/.exec(String(tableName || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    x: parseInt(match[2], 10) - 1,
+    y: match[1].toUpperCase().charCodeAt(0) - 'A'.charCodeAt(0)
+  };
+};
+
+/**
+ * Resolve the position of a table row from the `tables` table.
+ * Admin-supplied coordinates win; otherwise the grid position is derived from the name.
+ */
+const getTablePosition = (table) => {
+  if (!table) {
+    return null;
+  }
+
+  const hasX = table.x !== null && table.x !== undefined && table.x !== '';
+  const hasY = table.y !== null && table.y !== undefined && table.y !== '';
+  if (hasX && hasY) {
+    return { x: Number(table.x), y: Number(table.y) };
+  }
+
+  return parseGridPosition(table.name);
+};
+
+/**
+ * Build a { tableName: { x, y } } map from rows of the `tables` table.
+ * Tables without a usable position are left out.
+ */
+const buildPositionMap = (tables) => {
+  const positions = {};
+  (tables || []).forEach(table => {
+    const position = getTablePosition(table);
+    if (position) {
+      positions[table.name] = position;
+    }
+  });
+  return positions;
+};
+
+/**
+ * Walking distance between two positions.
+ * Uses Manhattan distance since judges walk along the aisles between table rows.
+ */
+const getDistance = (from, to) => {
+  if (!from || !to) {
+    return null;
+  }
+  return Math.abs(from.x - to.x) + Math.abs(from.y - to.y);
+};
+
+/**
+ * Look up a table's position by name, falling back to its grid position
+ * for tables that were never added on the tables page.
+ */
+const lookupPosition = (positions, tableName) => {
+  return (positions && positions[tableName]) || parseGridPosition(tableName);
+};
+
+/**
+ * Distance between two tables by name, or null if either has no known position.
+ */
+const getTableDistance = (positions, fromTable, toTable) => {
+  return getDistance(lookupPosition(positions, fromTable), lookupPosition(positions, toTable));
+};
+
+/**
+ * Measure how far a judge walked across a sequence of tables, in visiting order.
+ * `baseline` is the expected distance had the same tables been visited in a random order
+ * (mean pairwise distance per leg), which is what the queue approximates without proximity.
+ * Tables without a known position are ignored.
+ * Returns { legs, walked, baseline, saved }.
+ */
+const measureWalking = (positions, tableSequence) => {
+  const stops = (tableSequence || []).filter(name => lookupPosition(positions, name));
+  const legs = Math.max(stops.length - 1, 0);
+
+  let walked = 0;
+  for (let i = 1; i < stops.length; i++) {
+    walked += getTableDistance(positions, stops[i - 1], stops[i]);
+  }
+
+  let pairTotal = 0;
+  let pairCount = 0;
+  for (let i = 0; i < stops.length; i++) {
+    for (let j = i + 1; j < stops.length; j++) {
+      pairTotal += getTableDistance(positions, stops[i], stops[j]);
+      pairCount++;
+    }
+  }
+  const baseline = pairCount > 0 ? (pairTotal / pairCount) * legs : 0;
+
+  return {
+    legs,
+    walked,
+    baseline,
+    saved: baseline - walked
+  };
+};
+
+module.exports = {
+  parseGridPosition,
+  getTablePosition,
+  buildPositionMap,
+  lookupPosition,
+  getDistance,
+  getTableDistance,
+  measureWalking
+};
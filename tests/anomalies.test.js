@@ -0,0 +1,67 @@
+const anomalies = require('../services/anomalies');
+
+describe('Anomalies Service', () => {
+  const score = (judge, team, value, round = 1) => ({ judge_email: judge, team_name: team, round, score: value });
+
+  describe('findOutlierScores', () => {
+    const scores = [
+      score('a', 'Alpha', 8), score('b', 'Alpha', 8.5), score('c', 'Alpha', 1),
+      score('a', 'Beta', 5), score('b', 'Beta', 6), score('c', 'Beta', 5.5),
+      score('a', 'Gamma', 3), score('b', 'Gamma', 9)
+    ];
+
+    test('should flag a score far from the team\'s other scores in the same round', () => {
+      const outliers = anomalies.findOutlierScores(scores);
+      expect(outliers).toHaveLength(1);
+      expect(outliers[0]).toMatchObject({ judge_email: 'c', team_name: 'Alpha', score: 1, peer_median: 8.25 });
+
+      const rows = [score('a', 'Alpha', 8, 1), score('b', 'Alpha', 8, 1), score('c', 'Alpha', 1, 2), score('d', 'Alpha', 2, 2)];
+      expect(anomalies.findOutlierScores(rows)).toEqual([]);
+    });
+  });
+
+  test('should flag narrow, lenient and harsh judges', () => {
+    const spread = (judge, values) => values.map((v, i) => score(judge, `Team${i}`, v));
+    const rows = [
+      ...spread('a', [4, 5, 6, 5]), ...spread('b', [5, 4, 6, 5]), ...spread('high', [9, 10, 8, 9]),
+      ...spread('low', [0, 1, 2, 1]), ...spread('new', [10, 10])
+    ];
+    const flags = Object.fromEntries(anomalies.findJudgeAnomalies(rows).map(j => [j.judge_email, j.flags]));
+    expect(flags).toEqual({ high: ['lenient'], low: ['harsh'] });
+    expect(anomalies.findJudgeAnomalies([...spread('a', [2, 5, 9, 4]), ...spread('b', [3, 8, 6, 1]), ...spread('narrow', [5, 5, 5.1, 5])])
+      .map(j => j.judge_email)).toEqual(['narrow']);
+  });
+
+  describe('findUnderJudgedTeams', () => {
+    const teams = [{ name: 'Alpha', division: 'Pro' }, { name: 'Beta', division: 'K12' }];
+    const requirements = { default: 2, rules: [{ round: null, division: 'K12', judges: 3 }] };
+
+    test('should compare judge counts with the requirement for the round and division', () => {
+      const counts = [{ team_name: 'Alpha', round: 1, judge_count: 2 }, { team_name: 'Beta', round: 1, judge_count: 2 }];
+      expect(anomalies.findUnderJudgedTeams(teams, counts, { requirements, finalistsByRound: {}, currentRound: 1 }))
+        .toEqual([{ team_name: 'Beta', round: 1, judge_count: 2, required_judges: 3 }]);
+    });
+
+    test('should skip rounds a team did not advance to', () => {
+      const counts = [{ team_name: 'Alpha', round: 1, judge_count: 2 }, { team_name: 'Beta', round: 1, judge_count: 3 }];
+      const underJudged = anomalies.findUnderJudgedTeams(teams, counts, {
+        requirements, finalistsByRound: { 2: ['Alpha'] }, currentRound: 2
+      });
+      expect(underJudged).toEqual([{ team_name: 'Alpha', round: 2, judge_count: 0, required_judges: 2 }]);
+    });
+  });
+
+  describe('buildTeamFlags', () => {
+    test('should group findings by team and list flagged judges against every team they scored', () => {
+      const flags = anomalies.buildTeamFlags({
+        scores: [score('narrow', 'Alpha', 5), score('narrow', 'Beta', 5), score('a', 'Beta', 7)],
+        outliers: [{ judge_email: 'a', team_name: 'Beta', round: 1, score: 7, peer_median: 2, deviation: 2.5 }],
+        judgeAnomalies: [{ judge_email: 'narrow', score_count: 3, mean: 5, std_dev: 0, flags: ['narrow'] }],
+        underJudged: [{ team_name: 'Gamma', round: 1, judge_count: 1, required_judges: 2 }]
+      });
+      expect(flags.Alpha.map(f => f.type)).toEqual(['judge']);
+      expect(flags.Beta.map(f => f.type)).toEqual(['outlier', 'judge']);
+      expect(flags.Gamma[0].message).toBe('1 of 2 judges in Round 1');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const awardsCeremony = require('../services/awards-ceremony');
+
+describe('Awards Ceremony Service', () => {
+  const teams = [
+    { id: 1, name: 'Alpha', project_name: 'P1', logo_image: 'alpha.png', banner_image: null, contact_email: 'a@x.com' },
+    { id: 2, name: 'Beta', project_name: 'P2', logo_image: null, banner_image: 'beta.png' },
+    { id: 3, name: 'Gamma', project_name: 'P3' },
+    { id: 4, name: 'Delta', project_name: 'P4' }
+  ];
+
+  describe('buildCeremonySlides', () => {
+    test('should reveal 3rd, 2nd and then 1st place in each division', () => {
+      const slides = awardsCeremony.buildCeremonySlides({
+        eventName: 'Code Camp',
+        divisions: ['Pro'],
+        winners: { Pro: [1, 2, 3] },
+        teams
+      });
+
+      expect(slides.map(slide => slide.type)).toEqual([
+        'title', 'section',
+        'drumroll', 'award', 'drumroll', 'award', 'drumroll', 'award',
+        'closing'
+      ]);
+      expect(slides[0]).toMatchObject({ title: 'Code Camp', subtitle: 'Awards Ceremony' });
+      expect(slides[1].title).toBe('Pro Division');
+
+      const awards = slides.filter(slide => slide.type === 'award');
+      expect(awards.map(award => [award.place, award.heading, award.team.name])).toEqual([
+        [3, '3rd Place', 'Gamma'],
+        [2, '2nd Place', 'Beta'],
+        [1, '1st Place', 'Alpha']
+      ]);
+      expect(slides.map(slide => slide.index)).toEqual(slides.map((slide, index) => index));
+
+      // Drumroll slides name the award before the team, and only stage details of the team are shown
+      expect(slides[6]).toMatchObject({ type: 'drumroll', section: 'Pro Division', heading: '1st Place', place: 1 });
+      expect(slides[6].team).toBeUndefined();
+      expect(slides[7].team).toEqual({ id: 1, name: 'Alpha', project_name: 'P1', logo_image: 'alpha.png', banner_image: null });
+    });
+
+    test('should follow the event division order and skip divisions and winners whose team is gone', () => {
+      const slides = awardsCeremony.buildCeremonySlides({
+        divisions: ['K12', 'Pro', 'Open'],
+        winners: { Pro: [1, 99], K12: [2], Legacy: [3], Open: [98] },
+        teams
+      });
+
+      expect(slides.filter(slide => slide.type === 'section').map(slide => slide.title))
+        .toEqual(['K12 Division', 'Pro Division', 'Legacy Division']);
+      expect(slides.filter(slide => slide.type === 'award').map(slide => slide.team.name)).toEqual(['Beta', 'Alpha', 'Gamma']);
+    });
+
+    test('should add category awards after the divisions', () => {
+      const slides = awardsCeremony.buildCeremonySlides({
+        divisions: ['Pro'],
+        winners: { Pro: [1] },
+        teams,
+        categoryLeaders: [
+          { category_name: 'AI', team_id: 4, tied: false },
+          { category_name: 'Hardware', team_id: 2, tied: true }
+        ]
+      });
+      const categoryAwards = slides.filter(slide => slide.type === 'award' && slide.section === 'Category Awards');
+
+      expect(slides[slides.length - 2]).toMatchObject({ type: 'award', heading: 'Hardware' });
+      expect(categoryAwards.map(award => [award.heading, award.team.name, award.tied])).toEqual([
+        ['AI', 'Delta', false],
+        ['Hardware', 'Beta', true]
+      ]);
+    });
+
+    test('should reveal special awards last, from the lowest placement up', () => {
+      const slides = awardsCeremony.buildCeremonySlides({
+        divisions: ['Pro'],
+        winners: { Pro: [1] },
+        teams,
+        specialAwards: [
+          { name: "Judges' Choice", sponsor: null, placements: 1, winners: [{ place: 1, team_id: 3 }] },
+          { name: 'Best Hack', sponsor: 'Acme', placements: 2, winners: [{ place: 1, team_id: 2 }, { place: 2, team_id: 4 }, { place: 3, team_id: 99 }] },
+          { name: 'Unawarded', placements: 1, winners: [] }
+        ]
+      });
+      const specialAwards = slides.filter(slide => slide.type === 'award' && slide.section === 'Special Awards');
+
+      expect(slides.filter(slide => slide.type === 'section').map(slide => slide.title)).toEqual(['Pro Division', 'Special Awards']);
+      expect(specialAwards.map(award => [award.heading, award.team.name, award.place, award.sponsor])).toEqual([
+        ["Judges' Choice", 'Gamma', undefined, null],
+        ['Best Hack, 2nd Place', 'Delta', 2, 'Acme'],
+        ['Best Hack, 1st Place', 'Beta', 1, 'Acme']
+      ]);
+    });
+  });
+
+  test('should keep slide positions within the presentation', () => {
+    expect(awardsCeremony.clampSlideIndex('4', 10)).toBe(4);
+    expect(awardsCeremony.clampSlideIndex(12, 10)).toBe(9);
+    expect(awardsCeremony.clampSlideIndex('next', 10)).toBe(0);
+  });
+});
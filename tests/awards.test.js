@@ -0,0 +1,81 @@
+const awards = require('../services/awards');
+
+describe('Awards Service', () => {
+  const options = { divisions: ['Pro', 'K12'], categories: ['AI', 'Hardware'] };
+  const teams = [
+    { id: 1, name: 'Alpha', division: 'Pro', category_name: 'AI' },
+    { id: 2, name: 'Beta', division: 'K12', category_name: 'Hardware' },
+    { id: 3, name: 'Gamma', division: 'Pro', category_name: null }
+  ];
+
+  describe('parseAwardForm', () => {
+    test('should read the award fields', () => {
+      const { award } = awards.parseAwardForm({
+        name: '  Best Use of AI ',
+        description: 'Most creative model',
+        sponsor: ' Acme ',
+        placements: '3',
+        divisions: 'Pro',
+        categories: ['AI', 'Legacy'],
+        announced: '1'
+      }, options);
+
+      expect(award).toEqual({
+        name: 'Best Use of AI',
+        description: 'Most creative model',
+        sponsor: 'Acme',
+        divisions: ['Pro'],
+        categories: ['AI'],
+        placements: 3,
+        announced: true
+      });
+    });
+
+    test('should reject a missing name or bad placements', () => {
+      expect(awards.parseAwardForm({ name: '  ' }, options)).toEqual({ error: 'missing_name' });
+      expect(awards.parseAwardForm({ name: 'A', placements: '1.5' }, options)).toEqual({ error: 'invalid_placements' });
+      expect(awards.parseAwardForm({ name: 'A', placements: String(awards.MAX_PLACEMENTS + 1) }, options)).toEqual({ error: 'invalid_placements' });
+    });
+  });
+
+  describe('parseAwardWinnersForm', () => {
+    const award = { divisions: ['Pro'], categories: [], placements: 3 };
+
+    test('should read the team picked for each place, rejecting ineligible and repeated teams', () => {
+      expect(awards.parseAwardWinnersForm({ place_1: '3', place_2: '', place_3: '1', place_4: '2' }, award, teams))
+        .toEqual({ winners: [{ place: 1, team_id: 3 }, { place: 3, team_id: 1 }] });
+      expect(awards.parseAwardWinnersForm({ place_1: '2' }, award, teams)).toEqual({ error: 'ineligible_team' });
+      expect(awards.parseAwardWinnersForm({ place_1: '1', place_2: '1' }, award, teams)).toEqual({ error: 'duplicate_team' });
+    });
+  });
+
+  describe('getPlacementLabel', () => {
+    test('should only add the place when an award has several', () => {
+      expect(awards.getPlacementLabel({ name: "Judges' Choice", placements: 1 }, 1)).toBe("Judges' Choice");
+      expect(awards.getPlacementLabel({ name: 'Best Hack', placements: 3 }, 2)).toBe('Best Hack, 2nd Place');
+      expect(awards.getPlacementLabel({ name: 'Best Hack', placements: 10 }, 3)).toBe('Best Hack, 3rd Place');
+    });
+  });
+
+  describe('visibility', () => {
+    const list = [
+      { id: 1, name: 'Best Use of AI', sponsor: 'Acme', placements: 1, announced: true, winners: [{ place: 1, team_id: 1 }] },
+      { id: 2, name: 'Best Hack', sponsor: null, placements: 2, announced: false, winners: [{ place: 2, team_id: 1 }] }
+    ];
+
+    test('should only show announced awards to participants and the public', () => {
+      expect(awards.getVisibleAwards(list, 'admin')).toHaveLength(2);
+      expect(awards.getVisibleAwards(list, 'judge')).toHaveLength(2);
+      expect(awards.getVisibleAwards(list, 'participant').map(award => award.id)).toEqual([1]);
+      expect(awards.getVisibleAwards(list).map(award => award.id)).toEqual([1]);
+    });
+
+    test('should list the placements a team won', () => {
+      expect(awards.getTeamAwards(list, '1')).toEqual([
+        { award_id: 1, label: 'Best Use of AI', sponsor: 'Acme', place: 1 },
+        { award_id: 2, label: 'Best Hack, 2nd Place', sponsor: null, place: 2 }
+      ]);
+      expect(awards.getTeamAwards(list, 2)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const calibration = require('../services/calibration');
+
+describe('Calibration Service', () => {
+  const items = [
+    { id: 1, name: 'Sample A' },
+    { id: 2, name: 'Sample B' }
+  ];
+
+  test('should hand out the first item the judge has not scored', () => {
+    expect(calibration.getNextCalibrationItem(items, ['2'])).toEqual(items[0]);
+    expect(calibration.getNextCalibrationItem(items, [1, 2])).toBeNull();
+  });
+
+  describe('buildCalibrationReport', () => {
+    const scores = [
+      { judge_email: 'harsh@test.com', item_id: 1, score: 4 },
+      { judge_email: 'harsh@test.com', item_id: 2, score: 2 },
+      { judge_email: 'fair@test.com', item_id: 1, score: 6 },
+      { judge_email: 'fair@test.com', item_id: 2, score: 5 },
+      { judge_email: 'lenient@test.com', item_id: 1, score: 8 }
+    ];
+
+    test('should compare each judge with the panel average, furthest first', () => {
+      const report = calibration.buildCalibrationReport(items, scores);
+      expect(report.items.map(item => item.average)).toEqual([6, 3.5]);
+      expect(report.judges.map(j => j.judge_email)).toEqual(['lenient@test.com', 'harsh@test.com', 'fair@test.com']);
+
+      const harsh = report.judges[1];
+      expect(harsh.completed).toBe(2);
+      expect(harsh.scores).toEqual([
+        { item_id: 1, score: 4, average: 6, deviation: -2 },
+        { item_id: 2, score: 2, average: 3.5, deviation: -1.5 }
+      ]);
+      expect(harsh.meanDeviation).toBe(-1.75);
+      expect(harsh.meanAbsoluteDeviation).toBe(1.75);
+    });
+
+    test('should ignore scores for items that were removed', () => {
+      const report = calibration.buildCalibrationReport([items[0]], scores);
+      expect(report.judges.every(j => j.scores.every(s => s.item_id === 1))).toBe(true);
+      expect(report.items).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const certificates = require('../services/certificates');
+
+describe('Certificates Service', () => {
+  const teams = [
+    { id: 1, name: 'Alpha Team', project_name: 'Rocket', division: 'Pro', team_members: ['Ada Lovelace', ' Alan Turing ', ''] },
+    { id: 2, name: 'Beta', project_name: 'Boat', division: 'K12', team_members: ['Grace Hopper', 'Grace Hopper'] },
+    { id: 3, name: 'Gamma', project_name: 'Glider', division: 'Pro', team_members: [] },
+    { id: 4, name: 'Delta', project_name: 'Drone', division: null, team_members: null }
+  ];
+
+  describe('formatEventDate', () => {
+    test('should prefer the event dates text', () => {
+      expect(certificates.formatEventDate({ event_dates_text: ' March 7-8 ', start_date: '2026-03-07' })).toBe('March 7-8');
+    });
+
+    test('should format the start and end dates', () => {
+      expect(certificates.formatEventDate({ start_date: '2026-03-07', end_date: '2026-03-08' })).toBe('March 7–8, 2026');
+      expect(certificates.formatEventDate({ start_date: '2026-03-07' })).toBe('March 7, 2026');
+      expect(certificates.formatEventDate({ start_date: '2026-03-31', end_date: '2026-04-01' })).toBe('March 31 – April 1, 2026');
+      expect(certificates.formatEventDate({ start_date: '2026-12-31', end_date: '2027-01-01' })).toBe('December 31, 2026 – January 1, 2027');
+      expect(certificates.formatEventDate({ start_date: 'soon' })).toBe('');
+      expect(certificates.formatEventDate()).toBe('');
+    });
+  });
+
+  describe('buildCertificates', () => {
+    const build = (winners = {}) => certificates.buildCertificates({
+      eventName: 'Code Camp',
+      eventDate: 'March 7, 2026',
+      teams,
+      winners
+    });
+
+    test('should make a participation certificate for every listed member', () => {
+      const list = build();
+
+      expect(list.map(certificate => [certificate.type, certificate.recipient, certificate.filename])).toEqual([
+        ['participation', 'Ada Lovelace', 'alpha-team/participation-ada-lovelace.pdf'],
+        ['participation', 'Alan Turing', 'alpha-team/participation-alan-turing.pdf'],
+        ['participation', 'Grace Hopper', 'beta/participation-grace-hopper.pdf'],
+        // Same name twice in a team still gets two files
+        ['participation', 'Grace Hopper', 'beta/participation-grace-hopper-2.pdf']
+      ]);
+      expect(list[0]).toMatchObject({
+        title: 'Certificate of Participation',
+        division: 'Pro',
+        eventName: 'Code Camp',
+        eventDate: 'March 7, 2026',
+        lines: ['for taking part in Code Camp as a member of Alpha Team', 'Pro Division']
+      });
+    });
+
+    test('should add winner certificates for each placement', () => {
+      const list = build({ Pro: [3, 1], K12: [2] }).filter(certificate => certificate.type === 'winner');
+
+      expect(list.map(certificate => [certificate.recipient, certificate.award, certificate.place])).toEqual([
+        ['Ada Lovelace', '2nd Place, Pro Division', 2],
+        ['Alan Turing', '2nd Place, Pro Division', 2],
+        ['Grace Hopper', '1st Place, K12 Division', 1],
+        ['Grace Hopper', '1st Place, K12 Division', 1],
+        // Winning teams without members get one certificate in the team's name
+        ['Gamma', '1st Place, Pro Division', 1]
+      ]);
+      expect(list[0]).toMatchObject({
+        title: 'Certificate of Achievement',
+        filename: 'alpha-team/2nd-place-ada-lovelace.pdf',
+        lines: ['awarded 2nd Place, Pro Division', 'at Code Camp as a member of Alpha Team']
+      });
+      expect(list[4].lines).toEqual(['awarded 1st Place, Pro Division', 'at Code Camp']);
+    });
+
+    test('should skip winners whose team no longer exists and places past 3rd', () => {
+      const list = build({ Pro: [99, 3, 1, 4] }).filter(certificate => certificate.type === 'winner');
+      expect(list.map(certificate => [certificate.recipient, certificate.place])).toEqual([
+        ['Ada Lovelace', 3],
+        ['Alan Turing', 3],
+        ['Gamma', 2]
+      ]);
+    });
+  });
+
+  describe('buildCertificates with awards', () => {
+    test('should add winner certificates for award placements after division places', () => {
+      const list = certificates.buildCertificates({
+        eventName: 'Code Camp',
+        teams,
+        winners: { Pro: [1] },
+        awards: [
+          { name: 'Best Use of AI', sponsor: 'Acme', placements: 1, winners: [{ place: 1, team_id: 1 }] },
+          { name: 'Best Hardware Hack', sponsor: null, placements: 3, winners: [{ place: 2, team_id: 3 }, { place: 1, team_id: 99 }] }
+        ]
+      }).filter(certificate => certificate.type === 'winner');
+
+      expect(list.map(certificate => [certificate.recipient, certificate.award, certificate.filename])).toEqual([
+        ['Ada Lovelace', '1st Place, Pro Division', 'alpha-team/1st-place-ada-lovelace.pdf'],
+        ['Alan Turing', '1st Place, Pro Division', 'alpha-team/1st-place-alan-turing.pdf'],
+        ['Ada Lovelace', 'Best Use of AI', 'alpha-team/best-use-of-ai-ada-lovelace.pdf'],
+        ['Alan Turing', 'Best Use of AI', 'alpha-team/best-use-of-ai-alan-turing.pdf'],
+        ['Gamma', 'Best Hardware Hack, 2nd Place', 'gamma/best-hardware-hack-2nd-place-gamma.pdf']
+      ]);
+      expect(list[2].lines).toEqual(['awarded Best Use of AI', 'sponsored by Acme', 'at Code Camp as a member of Alpha Team']);
+    });
+  });
+
+  describe('groupCertificatesByTeam', () => {
+    test('should group certificates by team in team order', () => {
+      const groups = certificates.groupCertificatesByTeam(certificates.buildCertificates({ teams, winners: { Pro: [3] } }));
+      expect(groups.map(group => [group.team.name, group.certificates.length])).toEqual([
+        ['Alpha Team', 2],
+        ['Beta', 2],
+        ['Gamma', 1]
+      ]);
+    });
+  });
+
+  describe('PDF output', () => {
+    const collect = async (write, list) => {
+      const output = new PassThrough();
+      const chunks = [];
+      output.on('data', chunk => chunks.push(chunk));
+      await write(list, output);
+      return Buffer.concat(chunks);
+    };
+    const list = certificates.buildCertificates({ eventName: 'Code Camp', teams: teams.slice(0, 1) });
+
+    test('should draw a page per certificate', async () => {
+      const pdf = await certificates.renderCertificatesPdf(list);
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+      expect(pdf.toString('latin1')).toContain('/Count 2');
+    });
+
+    test('should fall back to the plain design when the template file is missing', async () => {
+      const pdf = await certificates.renderCertificatesPdf(list, { templatePath: '/no/such/template.png' });
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('should close the output when a certificate cannot be drawn', async () => {
+      const templatePath = path.join(os.tmpdir(), `broken-template-${process.pid}.png`);
+      fs.writeFileSync(templatePath, 'not an image');
+      const output = new PassThrough();
+      output.resume();
+      const closed = new Promise(resolve => output.on('end', resolve));
+
+      try {
+        await expect(certificates.writeCertificatesPdf(list, output, { templatePath })).rejects.toThrow();
+        await closed;
+      } finally {
+        fs.unlinkSync(templatePath);
+      }
+    });
+
+    test('should write a zip of certificates', async () => {
+      const zip = await collect(certificates.writeCertificatesZip, list);
+      // Zip files start with PK
+      expect(zip.slice(0, 2).toString()).toBe('PK');
+      expect(zip.toString('latin1')).toContain('alpha-team/participation-ada-lovelace.pdf');
+    });
+  });
+});
@@ -583,5 +583,257 @@ describe('Database Functions', () => {
       expect(JSON.parse(settings.divisions)).toEqual(['Beginner', 'Advanced']);
     });
   });
-});
 
+  // setRoundFinalists and advanceToNextRound from db/database.js itself, on a database of their own
+  describe('Round Finalists', () => {
+    const FINALISTS_DB_PATH = path.join(__dirname, '../test-round-finalists.db');
+    let finalistsDb;
+    let rawDb;
+
+    beforeAll(async () => {
+      if (fs.existsSync(FINALISTS_DB_PATH)) {
+        fs.unlinkSync(FINALISTS_DB_PATH);
+      }
+      process.env.DATABASE_PATH = FINALISTS_DB_PATH;
+      jest.isolateModules(() => {
+        finalistsDb = require('../db/database');
+      });
+      await finalistsDb.init();
+      rawDb = new sqlite3.Database(FINALISTS_DB_PATH);
+      // Make one team name fail to insert, and clearing round 9 fail, to check nothing is left half saved
+      const failWhen = (sql) => new Promise((resolve, reject) => {
+        rawDb.run(sql, (err) => err ? reject(err) : resolve());
+      });
+      await failWhen(`CREATE TRIGGER fail_finalist BEFORE INSERT ON round_finalists WHEN NEW.team_name = 'Broken'
+        BEGIN SELECT RAISE(ABORT, 'finalist rejected'); END`);
+      await failWhen(`CREATE TRIGGER fail_clear BEFORE DELETE ON round_finalists WHEN OLD.round = 9
+        BEGIN SELECT RAISE(ABORT, 'clear rejected'); END`);
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => rawDb.close(resolve));
+      await finalistsDb.close();
+      delete process.env.DATABASE_PATH;
+      if (fs.existsSync(FINALISTS_DB_PATH)) {
+        fs.unlinkSync(FINALISTS_DB_PATH);
+      }
+    });
+
+    test('should keep the old finalists when saving new ones fails', async () => {
+      await finalistsDb.setRoundFinalists(5, ['Alpha', 'Beta']);
+      await expect(finalistsDb.setRoundFinalists(5, ['Gamma', 'Broken'])).rejects.toThrow('finalist rejected');
+      expect((await finalistsDb.getRoundFinalists(5)).sort()).toEqual(['Alpha', 'Beta']);
+    });
+
+    test('should not add new finalists when clearing the old ones fails', async () => {
+      await finalistsDb.setRoundFinalists(9, ['Alpha']);
+      await expect(finalistsDb.setRoundFinalists(9, ['Beta'])).rejects.toThrow('clear rejected');
+      expect(await finalistsDb.getRoundFinalists(9)).toEqual(['Alpha']);
+    });
+
+    test('should advance to the next round with its finalists', async () => {
+      const before = (await finalistsDb.getEventSettings()).current_round || 1;
+
+      const result = await finalistsDb.advanceToNextRound(['Alpha', 'Alpha', 'Gamma'], 'admin@test.com');
+      expect(result).toMatchObject({ currentRound: before + 1, finalists: 2 });
+      expect((await finalistsDb.getEventSettings()).current_round).toBe(before + 1);
+      expect(await finalistsDb.isRoundLocked(before)).toBe(true);
+      expect((await finalistsDb.getRoundFinalists(before + 1)).sort()).toEqual(['Alpha', 'Gamma']);
+    });
+
+    test('should stay in the round when the finalists cannot be saved', async () => {
+      const before = (await finalistsDb.getEventSettings()).current_round;
+
+      await expect(finalistsDb.advanceToNextRound(['Delta', 'Broken'])).rejects.toThrow('finalist rejected');
+      expect((await finalistsDb.getEventSettings()).current_round).toBe(before);
+      expect(await finalistsDb.getRoundFinalists(before + 1)).toEqual([]);
+    });
+  });
+
+  // deleteScore from db/database.js itself, on a database of its own
+  describe('Score Deletion', () => {
+    const DELETE_DB_PATH = path.join(__dirname, '../test-score-delete.db');
+    let deleteDb;
+    let rawDb;
+    let criterionId;
+
+    beforeAll(async () => {
+      if (fs.existsSync(DELETE_DB_PATH)) {
+        fs.unlinkSync(DELETE_DB_PATH);
+      }
+      process.env.DATABASE_PATH = DELETE_DB_PATH;
+      jest.isolateModules(() => {
+        deleteDb = require('../db/database');
+      });
+      await deleteDb.init();
+      rawDb = new sqlite3.Database(DELETE_DB_PATH);
+      // Make recording a deletion fail for one team, after its score rows are deleted
+      await new Promise((resolve, reject) => {
+        rawDb.run(`CREATE TRIGGER fail_delete_history BEFORE INSERT ON score_history
+          WHEN NEW.team_name = 'Broken' AND NEW.action = 'delete'
+          BEGIN SELECT RAISE(ABORT, 'history rejected'); END`, (err) => err ? reject(err) : resolve());
+      });
+      criterionId = (await deleteDb.createRubricCriterion({ name: 'Impact', weight: 1, min_score: 0, max_score: 10 })).id;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => rawDb.close(resolve));
+      await deleteDb.close();
+      delete process.env.DATABASE_PATH;
+      if (fs.existsSync(DELETE_DB_PATH)) {
+        fs.unlinkSync(DELETE_DB_PATH);
+      }
+    });
+
+    test('should delete the score and its criteria and record the deletion', async () => {
+      await deleteDb.saveScore('judge@test.com', 'Alpha', 'Table 1', 1, 8);
+      await deleteDb.saveCriterionScores('judge@test.com', 'Alpha', 1, [{ criterion_id: criterionId, score: 8 }]);
+
+      expect(await deleteDb.deleteScore('judge@test.com', 'Alpha', 1, 'admin@test.com', 'Wrong team')).toEqual({ deleted: true });
+      expect(await deleteDb.getScore('judge@test.com', 'Alpha', 1)).toBeUndefined();
+      expect(await deleteDb.getCriterionScores('judge@test.com', 'Alpha', 1)).toEqual([]);
+      expect((await deleteDb.getScoreHistory({ teamName: 'Alpha' })).map(entry => entry.action).sort()).toEqual(['create', 'delete']);
+    });
+
+    test('should keep the score when recording the deletion fails', async () => {
+      await deleteDb.saveScore('judge@test.com', 'Broken', 'Table 2', 1, 6);
+      await deleteDb.saveCriterionScores('judge@test.com', 'Broken', 1, [{ criterion_id: criterionId, score: 6 }]);
+
+      await expect(deleteDb.deleteScore('judge@test.com', 'Broken', 1, 'admin@test.com')).rejects.toThrow('history rejected');
+      expect((await deleteDb.getScore('judge@test.com', 'Broken', 1)).score).toBe(6);
+      expect(await deleteDb.getCriterionScores('judge@test.com', 'Broken', 1)).toHaveLength(1);
+    });
+  });
+
+  // submitScore from db/database.js itself, on a database of its own
+  describe('Score Submission', () => {
+    const SUBMIT_DB_PATH = path.join(__dirname, '../test-score-submit.db');
+    let submitDb;
+    let rawDb;
+    let criterionId;
+
+    beforeAll(async () => {
+      if (fs.existsSync(SUBMIT_DB_PATH)) {
+        fs.unlinkSync(SUBMIT_DB_PATH);
+      }
+      process.env.DATABASE_PATH = SUBMIT_DB_PATH;
+      jest.isolateModules(() => {
+        submitDb = require('../db/database');
+      });
+      await submitDb.init();
+      rawDb = new sqlite3.Database(SUBMIT_DB_PATH);
+      // Make recording the submission id fail for one team, after its score and criteria are written
+      await new Promise((resolve, reject) => {
+        rawDb.run(`CREATE TRIGGER fail_submission BEFORE INSERT ON score_submissions WHEN NEW.team_name = 'Broken'
+          BEGIN SELECT RAISE(ABORT, 'submission rejected'); END`, (err) => err ? reject(err) : resolve());
+      });
+      criterionId = (await submitDb.createRubricCriterion({ name: 'Impact', weight: 1, min_score: 0, max_score: 10 })).id;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => rawDb.close(resolve));
+      await submitDb.close();
+      delete process.env.DATABASE_PATH;
+      if (fs.existsSync(SUBMIT_DB_PATH)) {
+        fs.unlinkSync(SUBMIT_DB_PATH);
+      }
+    });
+
+    test('should save the score, its criteria and the submission id', async () => {
+      await submitDb.submitScore('judge@test.com', 'Alpha', 'Table 1', 1, 8, 'Nice', [{ criterion_id: criterionId, score: 8 }],
+        '11111111-1111-4111-8111-111111111111');
+
+      expect((await submitDb.getScore('judge@test.com', 'Alpha', 1)).score).toBe(8);
+      expect(await submitDb.getCriterionScores('judge@test.com', 'Alpha', 1)).toHaveLength(1);
+      expect(await submitDb.getScoreSubmission('11111111-1111-4111-8111-111111111111')).not.toBeNull();
+    });
+
+    test('should save nothing when part of the submission fails', async () => {
+      await expect(submitDb.submitScore('judge@test.com', 'Broken', 'Table 2', 1, 6, null, [{ criterion_id: criterionId, score: 6 }],
+        '22222222-2222-4222-8222-222222222222')).rejects.toThrow('submission rejected');
+
+      expect(await submitDb.getScore('judge@test.com', 'Broken', 1)).toBeUndefined();
+      expect(await submitDb.getCriterionScores('judge@test.com', 'Broken', 1)).toEqual([]);
+      expect(await submitDb.getScoreHistory({ teamName: 'Broken' })).toEqual([]);
+    });
+  });
+
+  // Award writes from db/database.js itself, on a database of their own
+  describe('Awards', () => {
+    const AWARDS_DB_PATH = path.join(__dirname, '../test-awards.db');
+    let awardsDb;
+    let rawDb;
+
+    // Placements straight from award_winners, without the join on teams
+    const getPlacements = (awardId) => new Promise((resolve, reject) => {
+      rawDb.all('SELECT place, team_id FROM award_winners WHERE award_id = ? ORDER BY place', [awardId],
+        (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    beforeAll(async () => {
+      if (fs.existsSync(AWARDS_DB_PATH)) {
+        fs.unlinkSync(AWARDS_DB_PATH);
+      }
+      process.env.DATABASE_PATH = AWARDS_DB_PATH;
+      jest.isolateModules(() => {
+        awardsDb = require('../db/database');
+      });
+      await awardsDb.init();
+      rawDb = new sqlite3.Database(AWARDS_DB_PATH);
+      // Make placing team 999 fail, and renaming or deleting an award called Locked fail
+      const failWhen = (sql) => new Promise((resolve, reject) => {
+        rawDb.run(sql, (err) => err ? reject(err) : resolve());
+      });
+      await failWhen(`CREATE TRIGGER fail_winner BEFORE INSERT ON award_winners WHEN NEW.team_id = 999
+        BEGIN SELECT RAISE(ABORT, 'winner rejected'); END`);
+      await failWhen(`CREATE TRIGGER fail_award_delete BEFORE DELETE ON awards WHEN OLD.name = 'Locked'
+        BEGIN SELECT RAISE(ABORT, 'award delete rejected'); END`);
+      await failWhen(`CREATE TRIGGER fail_award_update BEFORE UPDATE ON awards WHEN OLD.name = 'Locked'
+        BEGIN SELECT RAISE(ABORT, 'award update rejected'); END`);
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => rawDb.close(resolve));
+      await awardsDb.close();
+      delete process.env.DATABASE_PATH;
+      if (fs.existsSync(AWARDS_DB_PATH)) {
+        fs.unlinkSync(AWARDS_DB_PATH);
+      }
+    });
+
+    test('should keep the old winners when placing new ones fails', async () => {
+      const award = await awardsDb.createAward({ name: 'Best Hack', placements: 2 });
+      await awardsDb.setAwardWinners(award.id, [{ place: 1, team_id: 1 }, { place: 2, team_id: 2 }]);
+
+      await expect(awardsDb.setAwardWinners(award.id, [{ place: 1, team_id: 3 }, { place: 2, team_id: 999 }]))
+        .rejects.toThrow('winner rejected');
+      expect(await getPlacements(award.id)).toEqual([{ place: 1, team_id: 1 }, { place: 2, team_id: 2 }]);
+    });
+
+    test('should keep placements when updating the award fails', async () => {
+      const award = await awardsDb.createAward({ name: 'Locked', placements: 2 });
+      await awardsDb.setAwardWinners(award.id, [{ place: 1, team_id: 1 }, { place: 2, team_id: 2 }]);
+
+      await expect(awardsDb.updateAward(award.id, { name: 'Locked', placements: 1 })).rejects.toThrow('award update rejected');
+      expect(await getPlacements(award.id)).toHaveLength(2);
+    });
+
+    test('should keep placements when deleting the award fails', async () => {
+      const [locked] = (await awardsDb.getAwards()).filter(award => award.name === 'Locked');
+
+      await expect(awardsDb.deleteAward(locked.id)).rejects.toThrow('award delete rejected');
+      expect(await getPlacements(locked.id)).toHaveLength(2);
+    });
+
+    test('should drop placements beyond the new number of placements', async () => {
+      const award = await awardsDb.createAward({ name: 'Sponsor Prize', placements: 2 });
+      await awardsDb.setAwardWinners(award.id, [{ place: 1, team_id: 1 }, { place: 2, team_id: 2 }]);
+
+      await awardsDb.updateAward(award.id, { name: 'Sponsor Prize', placements: 1 });
+      expect(await getPlacements(award.id)).toEqual([{ place: 1, team_id: 1 }]);
+
+      expect(await awardsDb.deleteAward(award.id)).toEqual({ changes: 1 });
+      expect(await getPlacements(award.id)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const expertise = require('../services/expertise');
+
+describe('Expertise Service', () => {
+  const k12Judge = { divisions: ['K12'], categories: [] };
+  const aiJudge = { divisions: [], categories: ['AI'] };
+  const proAiJudge = { divisions: ['Pro'], categories: ['AI'] };
+  const untagged = { divisions: [], categories: [] };
+
+  test('should only narrow by the kinds of tags a judge has', () => {
+    expect(expertise.matchesExpertise(untagged, { division: 'Pro', category: 'AI' })).toBe(true);
+    expect(expertise.matchesExpertise(k12Judge, { division: 'K12', category: 'AI' })).toBe(true);
+    expect(expertise.matchesExpertise(k12Judge, { division: 'Pro', category: 'AI' })).toBe(false);
+    expect(expertise.matchesExpertise(aiJudge, { division: 'Pro', category: 'Health' })).toBe(false);
+    expect(expertise.matchesExpertise(proAiJudge, { division: 'K12', category: 'AI' })).toBe(false);
+    expect(expertise.matchesExpertise(proAiJudge, { division: 'Pro', category: null })).toBe(false);
+  });
+
+  describe('getTeamsWithQualifiedJudges', () => {
+    const teams = [
+      { name: 'Alpha', division: 'Pro', category: 'AI' },
+      { name: 'Gamma', division: 'K12', category: 'AI' }
+    ];
+    const expertiseByJudge = { 'k12@t.com': k12Judge, 'proai@t.com': proAiJudge };
+
+    test('should report teams another qualified judge can still take', () => {
+      const covered = expertise.getTeamsWithQualifiedJudges(
+        teams, ['k12@t.com', 'proai@t.com'], expertiseByJudge, new Set(), 'k12@t.com'
+      );
+
+      expect(covered.has('Alpha')).toBe(true);
+      expect(covered.has('Gamma')).toBe(false);
+    });
+
+    test('should fall back once qualified judges have judged or conflicted with the team', () => {
+      const covered = expertise.getTeamsWithQualifiedJudges(
+        teams, ['k12@t.com', 'proai@t.com'], expertiseByJudge, new Set(['proai@t.com|Alpha']), 'k12@t.com'
+      );
+
+      expect(covered.has('Alpha')).toBe(false);
+    });
+  });
+
+  test('should read ticked expertise and drop unknown values', () => {
+    expect(expertise.parseExpertiseSelection({ divisions: 'K12', categories: ['AI', 'Removed'] }, ['Pro', 'K12'], ['AI', 'Health']))
+      .toEqual({ divisions: ['K12'], categories: ['AI'] });
+    expect(expertise.parseExpertiseSelection({}, ['Pro'], ['AI'])).toEqual({ divisions: [], categories: [] });
+  });
+});
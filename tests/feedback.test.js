@@ -0,0 +1,32 @@
+const feedback = require('../services/feedback');
+
+describe('Feedback Service', () => {
+  test('should release the admin edited text and withhold hidden and empty notes', () => {
+    expect(feedback.getReleasedNote({ notes: 'Great demo!!', feedback_notes: 'Great demo' })).toBe('Great demo');
+    expect(feedback.getReleasedNote({ notes: 'Great demo', feedback_hidden: 1 })).toBeNull();
+    expect(feedback.getReleasedNote({ notes: '   ' })).toBeNull();
+  });
+
+  describe('buildTeamFeedback', () => {
+    const scores = [
+      { id: 1, round: 1, judge_email: 'a@test.com', notes: 'Nice idea' },
+      { id: 2, round: 1, judge_email: 'b@test.com', notes: 'Rude remark', feedback_hidden: 1 },
+      { id: 3, round: 1, judge_email: 'c@test.com', notes: '' },
+      { id: 4, round: 2, judge_email: 'b@test.com', notes: 'Polished' }
+    ];
+    const criterionScores = [
+      { round: 1, judge_email: 'b@test.com', name: 'Innovation', score: 7, max_score: 10 }
+    ];
+
+    test('should group anonymized feedback by round, newest first', () => {
+      const result = feedback.buildTeamFeedback(scores, criterionScores);
+
+      expect(result.map(round => round.round)).toEqual([2, 1]);
+      expect(result[1].entries).toEqual([
+        { judge: 'Judge 1', notes: 'Nice idea', criteria: [] },
+        { judge: 'Judge 2', notes: null, criteria: [{ name: 'Innovation', score: 7, max_score: 10 }] }
+      ]);
+      expect(JSON.stringify(result)).not.toMatch(/@test\.com/);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const finalists = require('../services/finalists');
+
+describe('Finalists Service', () => {
+  const results = {
+    Pro: [
+      { team_name: 'Alpha', rank: 1 },
+      { team_name: 'Beta', rank: 2 },
+      { team_name: 'Delta', rank: 2 },
+      { team_name: 'Epsilon', rank: 4 }
+    ],
+    K12: [
+      { team_name: 'Gamma', rank: 1 }
+    ]
+  };
+
+  test('should take the top N in each division, including every team tied at the cutoff', () => {
+    expect(finalists.selectTopFinalists(results, 1)).toEqual(['Gamma', 'Alpha']);
+    expect(finalists.selectTopFinalists(results, 2)).toEqual(['Gamma', 'Alpha', 'Beta', 'Delta']);
+    expect(finalists.validateTopN('3')).toBeNull();
+    expect(finalists.validateTopN('2.5')).toMatch(/between 1 and/);
+  });
+
+  test('should drop ticked teams that are not in the round', () => {
+    expect(finalists.parseFinalistSelection(['Alpha', 'Zeta', 'Alpha'], ['Alpha', 'Beta'])).toEqual(['Alpha']);
+    expect(finalists.parseFinalistSelection(undefined, ['Alpha'])).toEqual([]);
+  });
+
+  describe('isTeamInRound and getLastActiveRound', () => {
+    const finalistsByRound = { 2: ['Alpha', 'Beta'], 3: ['Alpha'] };
+
+    test('should treat rounds without finalists as open to every team', () => {
+      expect(finalists.isTeamInRound(finalistsByRound, 'Gamma', 1)).toBe(true);
+      expect(finalists.isTeamInRound(finalistsByRound, 'Gamma', 2)).toBe(false);
+      expect(finalists.isTeamInRound({}, 'Gamma', 5)).toBe(true);
+    });
+
+    test('should find the last round an eliminated team competed in', () => {
+      expect(finalists.getLastActiveRound(finalistsByRound, 'Alpha', 3)).toBe(3);
+      expect(finalists.getLastActiveRound(finalistsByRound, 'Beta', 3)).toBe(2);
+      expect(finalists.getLastActiveRound(finalistsByRound, 'Gamma', 3)).toBe(1);
+    });
+  });
+});
@@ -73,6 +73,21 @@ describe('Judge Queue System', () => {
                     testDb.run(`ALTER TABLE judge_team_assignments ADD COLUMN assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP`, () => { });
                 });
 
+                // Judge conflicts of interest table
+                testDb.run(`
+          CREATE TABLE IF NOT EXISTS judge_conflicts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            judge_email TEXT NOT NULL,
+            team_name TEXT NOT NULL,
+            reason TEXT,
+            declared_by TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(judge_email, team_name)
+          )
+        `, (err) => {
+                    if (err) reject(err);
+                });
+
                 // Scores table
                 testDb.run(`
           CREATE TABLE IF NOT EXISTS scores (
@@ -122,6 +137,9 @@ describe('Judge Queue System', () => {
                 testDb.run('DELETE FROM judge_team_assignments', (err) => {
                     if (err) reject(err);
                 });
+                testDb.run('DELETE FROM judge_conflicts', (err) => {
+                    if (err) reject(err);
+                });
                 testDb.run('DELETE FROM users', (err) => {
                     if (err) reject(err);
                 });
@@ -211,10 +229,12 @@ describe('Judge Queue System', () => {
                     return;
                 }
 
-                // Get all teams this judge has EVER judged
+                // Get all teams this judge has EVER judged or has a conflict with
                 testDb.all(
-                    'SELECT DISTINCT team_name FROM judge_team_assignments WHERE judge_email = ?',
-                    [judgeEmail],
+                    `SELECT DISTINCT team_name FROM judge_team_assignments WHERE judge_email = ?
+                     UNION
+                     SELECT team_name FROM judge_conflicts WHERE judge_email = ?`,
+                    [judgeEmail, judgeEmail],
                     (err, judgedTeams) => {
                         if (err) {
                             reject(err);
@@ -310,6 +330,20 @@ describe('Judge Queue System', () => {
         });
     };
 
+    // Helper function to declare a conflict of interest
+    const declareConflict = async (judgeEmail, teamName) => {
+        return new Promise((resolve, reject) => {
+            testDb.run(
+                'INSERT INTO judge_conflicts (judge_email, team_name, declared_by) VALUES (?, ?, ?)',
+                [judgeEmail, teamName, judgeEmail],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                }
+            );
+        });
+    };
+
     // Helper function to simulate a judge completing a team
     const judgeTeam = async (judgeEmail, teamName, round) => {
         await assignJudgeToTeam(judgeEmail, teamName, round);
@@ -713,6 +747,36 @@ describe('Judge Queue System', () => {
         });
     });
 
+    describe('Conflicts of Interest', () => {
+        test('should never assign a judge a team they have a conflict with', async () => {
+            const teams = await createTestTeams(3);
+            const judges = await createTestJudges(1);
+
+            await declareConflict(judges[0].email, teams[0].name);
+
+            const assigned = [];
+            let nextTeam = await getNextTeamForJudge(judges[0].email, 1);
+            while (nextTeam) {
+                assigned.push(nextTeam.name);
+                await judgeTeam(judges[0].email, nextTeam.name, 1);
+                nextTeam = await getNextTeamForJudge(judges[0].email, 1);
+            }
+
+            expect(assigned).toEqual([teams[1].name, teams[2].name]);
+        });
+
+        test('should still assign the conflicted team to other judges', async () => {
+            const teams = await createTestTeams(1);
+            const judges = await createTestJudges(2);
+
+            await declareConflict(judges[0].email, teams[0].name);
+
+            expect(await getNextTeamForJudge(judges[0].email, 1)).toBeNull();
+            const nextTeam = await getNextTeamForJudge(judges[1].email, 1);
+            expect(nextTeam.name).toBe(teams[0].name);
+        });
+    });
+
     describe('Round Isolation', () => {
         test('should handle multiple rounds independently', async () => {
             const teams = await createTestTeams(3);
@@ -748,15 +812,17 @@ describe('Judge Queue System', () => {
                     }
 
                     testDb.get(
-                        `SELECT judge_email 
-                         FROM judge_team_assignments 
-                         WHERE team_name = ? 
-                           AND round = ? 
-                           AND completed = 0 
-                           AND locked_at IS NOT NULL
-                           AND judge_email != ?
-                         LIMIT 1`,
-                        [teamName, round, judgeEmail],
+                        `SELECT
+                          (SELECT judge_email 
+                           FROM judge_team_assignments 
+                           WHERE team_name = ? 
+                             AND round = ? 
+                             AND completed = 0 
+                             AND locked_at IS NOT NULL
+                             AND judge_email != ?
+                           LIMIT 1) as locked_by,
+                          (SELECT id FROM judge_conflicts WHERE judge_email = ? AND team_name = ?) as conflict_id`,
+                        [teamName, round, judgeEmail, judgeEmail, teamName],
                         (err, existingLock) => {
                             if (err) {
                                 testDb.run('ROLLBACK', () => { });
@@ -764,7 +830,13 @@ describe('Judge Queue System', () => {
                                 return;
                             }
 
-                            if (existingLock) {
+                            if (existingLock.conflict_id) {
+                                testDb.run('ROLLBACK', () => { });
+                                resolve({ success: false, reason: 'conflict' });
+                                return;
+                            }
+
+                            if (existingLock.locked_by) {
                                 testDb.run('ROLLBACK', () => { });
                                 resolve({ success: false, reason: 'already_locked' });
                                 return;
@@ -927,6 +999,102 @@ describe('Judge Queue System', () => {
             expect(lockResult2.reason).toBe('already_locked');
         });
 
+        test('should refuse to lock a team the judge has a conflict with', async () => {
+            const teams = await createTestTeams(2);
+            const judges = await createTestJudges(2);
+            const round = 1;
+
+            await declareConflict(judges[0].email, teams[0].name);
+
+            const lockResult = await lockTeamForJudgeTestDb(judges[0].email, teams[0].name, round);
+            expect(lockResult.success).toBe(false);
+            expect(lockResult.reason).toBe('conflict');
+
+            // Other judges are unaffected
+            const otherLock = await lockTeamForJudgeTestDb(judges[1].email, teams[0].name, round);
+            expect(otherLock.success).toBe(true);
+        });
+
+        // Helper function to release stale locks using test database
+        const releaseStaleLocksTestDb = (timeoutMinutes) => {
+            return new Promise((resolve, reject) => {
+                if (!timeoutMinutes || timeoutMinutes <= 0) {
+                    resolve({ released: 0 });
+                    return;
+                }
+                testDb.run(
+                    `DELETE FROM judge_team_assignments 
+                     WHERE completed = 0 
+                       AND locked_at IS NOT NULL 
+                       AND locked_at <= datetime('now', ?)`,
+                    [`-${timeoutMinutes} minutes`],
+                    function (err) {
+                        if (err) reject(err);
+                        else resolve({ released: this.changes });
+                    }
+                );
+            });
+        };
+
+        // Helper function to insert a lock taken some minutes ago
+        const insertLockMinutesAgo = (judgeEmail, teamName, round, minutesAgo, completed = 0) => {
+            return new Promise((resolve, reject) => {
+                testDb.run(
+                    `INSERT INTO judge_team_assignments (judge_email, team_name, round, completed, locked_at) 
+                     VALUES (?, ?, ?, ?, datetime('now', ?))`,
+                    [judgeEmail, teamName, round, completed, `-${minutesAgo} minutes`],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
+            });
+        };
+
+        test('should release locks older than the timeout and return the team to the queue', async () => {
+            const teams = await createTestTeams(1);
+            const judges = await createTestJudges(2);
+            const round = 1;
+
+            await insertLockMinutesAgo(judges[0].email, teams[0].name, round, 30);
+            expect(await isTeamLockedTestDb(teams[0].name, round)).toBe(true);
+
+            const result = await releaseStaleLocksTestDb(15);
+            expect(result.released).toBe(1);
+            expect(await isTeamLockedTestDb(teams[0].name, round)).toBe(false);
+
+            // The abandoned assignment no longer counts towards the team's judges
+            const stats = await getQueueStats(round);
+            expect(stats[0].judge_count).toBe(0);
+
+            const nextTeam = await getNextTeamForJudge(judges[1].email, round);
+            expect(nextTeam.name).toBe(teams[0].name);
+        });
+
+        test('should keep fresh and completed locks when releasing stale ones', async () => {
+            const teams = await createTestTeams(2);
+            const judges = await createTestJudges(1);
+            const round = 1;
+
+            await insertLockMinutesAgo(judges[0].email, teams[0].name, round, 5);
+            await insertLockMinutesAgo(judges[0].email, teams[1].name, round, 60, 1);
+
+            const result = await releaseStaleLocksTestDb(15);
+            expect(result.released).toBe(0);
+            expect(await isTeamLockedTestDb(teams[0].name, round)).toBe(true);
+        });
+
+        test('should never release locks when the timeout is 0', async () => {
+            const teams = await createTestTeams(1);
+            const judges = await createTestJudges(1);
+
+            await insertLockMinutesAgo(judges[0].email, teams[0].name, 1, 600);
+
+            const result = await releaseStaleLocksTestDb(0);
+            expect(result.released).toBe(0);
+            expect(await isTeamLockedTestDb(teams[0].name, 1)).toBe(true);
+        });
+
         test('should allow judge to lock team after previous judge completes', async () => {
             const teams = await createTestTeams(2);
             const judges = await createTestJudges(2);
@@ -1585,5 +1753,164 @@ describe('Judge Queue System', () => {
             });
         });
     });
-});
 
+    // The queue functions of db/database.js itself, on a database of their own
+    describe('Queue Database Functions', () => {
+        const QUEUE_DB_PATH = path.join(__dirname, '../test-queue-functions.db');
+        let queueDb;
+        let rawDb;
+        let teamCount = 0;
+
+        beforeAll(async () => {
+            if (fs.existsSync(QUEUE_DB_PATH)) {
+                fs.unlinkSync(QUEUE_DB_PATH);
+            }
+            process.env.DATABASE_PATH = QUEUE_DB_PATH;
+            jest.isolateModules(() => {
+                queueDb = require('../db/database');
+            });
+            await queueDb.init();
+            rawDb = new sqlite3.Database(QUEUE_DB_PATH);
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => rawDb.close(resolve));
+            await queueDb.close();
+            delete process.env.DATABASE_PATH;
+            if (fs.existsSync(QUEUE_DB_PATH)) {
+                fs.unlinkSync(QUEUE_DB_PATH);
+            }
+        });
+
+        const createTeam = async () => {
+            teamCount++;
+            await queueDb.syncTables([{ name: `Q${teamCount}` }]);
+            return queueDb.createTeam({ name: `Queue Team ${teamCount}`, table_name: `Q${teamCount}`, project_name: `Project ${teamCount}` });
+        };
+
+        // Age a judge's lock so releaseStaleLocks treats it as abandoned
+        const ageLock = (judgeEmail, teamName, minutes) => {
+            return new Promise((resolve, reject) => {
+                rawDb.run(
+                    `UPDATE judge_team_assignments SET locked_at = datetime('now', ?) WHERE judge_email = ? AND team_name = ?`,
+                    [`-${minutes} minutes`, judgeEmail, teamName],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
+            });
+        };
+
+        const getJudgeCount = async (teamName, round) => {
+            const stats = await queueDb.getJudgeQueueStats(round);
+            return stats.find(t => t.team_name === teamName).judge_count;
+        };
+
+        test('should take an expired lock again when the judge submits and the team still needs judges', async () => {
+            const team = await createTeam();
+            await queueDb.lockTeamForJudge('late@test.com', team.name, 1);
+            await ageLock('late@test.com', team.name, 30);
+            expect((await queueDb.releaseStaleLocks(15)).released).toBe(1);
+
+            const claim = await queueDb.reclaimAssignment('late@test.com', team.name, 1);
+            expect(claim).toEqual({ success: true, reclaimed: true });
+            await queueDb.markAssignmentCompleted('late@test.com', team.name, 1);
+            expect(await getJudgeCount(team.name, 1)).toBe(1);
+        });
+
+        test('should refuse a score submitted after expiry once other judges filled the team', async () => {
+            const team = await createTeam();
+            await queueDb.lockTeamForJudge('late@test.com', team.name, 1);
+            await ageLock('late@test.com', team.name, 30);
+            await queueDb.releaseStaleLocks(15);
+
+            for (let i = 0; i < REQUIRED_JUDGES_PER_TEAM; i++) {
+                await queueDb.lockTeamForJudge(`other${i}@test.com`, team.name, 1);
+                await queueDb.markAssignmentCompleted(`other${i}@test.com`, team.name, 1);
+            }
+
+            const claim = await queueDb.reclaimAssignment('late@test.com', team.name, 1);
+            expect(claim).toEqual({ success: false, reason: 'team_complete' });
+            expect(await getJudgeCount(team.name, 1)).toBe(REQUIRED_JUDGES_PER_TEAM);
+        });
+
+        test('should keep a lock the judge still holds', async () => {
+            const team = await createTeam();
+            await queueDb.lockTeamForJudge('judge@test.com', team.name, 1);
+
+            const claim = await queueDb.reclaimAssignment('judge@test.com', team.name, 1);
+            expect(claim).toEqual({ success: true, reclaimed: false });
+            expect(await getJudgeCount(team.name, 1)).toBe(1);
+        });
+
+        describe('Skipping Teams', () => {
+            // Each test plays its own round with only its own teams in it
+            let round = 100;
+            const createRoundTeams = async (count) => {
+                round++;
+                const teams = [];
+                for (let i = 0; i < count; i++) {
+                    teams.push(await createTeam());
+                }
+                await queueDb.setRoundFinalists(round, teams.map(t => t.name));
+                return teams;
+            };
+            const getSkips = async () => (await queueDb.getTeamSkipSummary()).filter(s => s.round === round);
+
+            test('should release the assignment without marking the team as judged', async () => {
+                const [team] = await createRoundTeams(1);
+                await queueDb.lockTeamForJudge('skipper@test.com', team.name, round);
+
+                const result = await queueDb.skipTeamForJudge('skipper@test.com', team.name, round, 'absent');
+                expect(result).toEqual({ success: true });
+                expect(await getJudgeCount(team.name, round)).toBe(0);
+                expect(await getSkips()).toEqual([
+                    expect.objectContaining({ team_name: team.name, skip_count: 1, absent_count: 1 })
+                ]);
+
+                // The same judge can be sent back once the team returns
+                const nextTeam = await queueDb.getNextTeamForJudge('skipper@test.com', round);
+                expect(nextTeam.name).toBe(team.name);
+            });
+
+            test('should not skip a team the judge is not assigned to', async () => {
+                const [team] = await createRoundTeams(1);
+
+                const result = await queueDb.skipTeamForJudge('skipper@test.com', team.name, round, 'absent');
+                expect(result).toEqual({ success: false, reason: 'not_assigned' });
+                expect(await getSkips()).toEqual([]);
+            });
+
+            test('should record a conflict found at the table', async () => {
+                const [team] = await createRoundTeams(1);
+                await queueDb.lockTeamForJudge('skipper@test.com', team.name, round);
+
+                await queueDb.skipTeamForJudge('skipper@test.com', team.name, round, 'conflict');
+
+                expect(await queueDb.getNextTeamForJudge('skipper@test.com', round)).toBeNull();
+                expect(await queueDb.lockTeamForJudge('skipper@test.com', team.name, round))
+                    .toEqual(expect.objectContaining({ success: false, reason: 'conflict' }));
+            });
+
+            test('should push skipped teams behind teams with as many judges, but not behind teams with more', async () => {
+                const teams = await createRoundTeams(3);
+                await queueDb.lockTeamForJudge('skipper@test.com', teams[0].name, round);
+                await queueDb.skipTeamForJudge('skipper@test.com', teams[0].name, round, 'absent');
+                await queueDb.lockTeamForJudge('first@test.com', teams[1].name, round);
+                await queueDb.markAssignmentCompleted('first@test.com', teams[1].name, round);
+
+                const order = [];
+                let nextTeam = await queueDb.getNextTeamForJudge('next@test.com', round);
+                while (nextTeam) {
+                    order.push(nextTeam.name);
+                    await queueDb.lockTeamForJudge('next@test.com', nextTeam.name, round);
+                    await queueDb.markAssignmentCompleted('next@test.com', nextTeam.name, round);
+                    nextTeam = await queueDb.getNextTeamForJudge('next@test.com', round);
+                }
+
+                expect(order).toEqual([teams[2].name, teams[0].name, teams[1].name]);
+            });
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const judgeRequirements = require('../services/judge-requirements');
+
+describe('Judge Requirements Service', () => {
+  const originalEnv = process.env.JUDGES_PER_TEAM;
+
+  afterEach(() => {
+    if (originalEnv === undefined) {
+      delete process.env.JUDGES_PER_TEAM;
+    } else {
+      process.env.JUDGES_PER_TEAM = originalEnv;
+    }
+  });
+
+  test('should parse stored rules, dropping ones without a usable judge count or round', () => {
+    expect(judgeRequirements.parseJudgeRequirements(
+      '{"default":3,"rules":[{"round":2,"division":"Pro","judges":5},{"round":1,"division":null,"judges":0},{"round":"x","division":null,"judges":3}]}'
+    )).toEqual({ default: 3, rules: [{ round: 2, division: 'Pro', judges: 5 }] });
+    expect(judgeRequirements.parseJudgeRequirements('not json')).toEqual({ default: null, rules: [] });
+  });
+
+  test('should reject judge counts that are zero, fractional or too large', () => {
+    expect(judgeRequirements.validateJudgeRequirements({ default: 2, rules: [{ round: 1, division: 'Pro', judges: 4 }] })).toBeNull();
+    expect(judgeRequirements.validateJudgeRequirements({ default: 0, rules: [] })).toMatch(/between 1 and/);
+    expect(judgeRequirements.validateJudgeRequirements({ default: null, rules: [{ round: 1, division: null, judges: 2.5 }] }))
+      .toMatch(/whole number/);
+  });
+
+  describe('getRequiredJudges', () => {
+    const requirements = {
+      default: 2,
+      rules: [
+        { round: 2, division: null, judges: 4 },
+        { round: null, division: 'K12', judges: 3 },
+        { round: 2, division: 'K12', judges: 5 }
+      ]
+    };
+
+    test('should use the most specific matching rule', () => {
+      expect(judgeRequirements.getRequiredJudges(requirements, 1, 'Pro')).toBe(2);
+      expect(judgeRequirements.getRequiredJudges(requirements, 2, 'K12')).toBe(5);
+      expect(judgeRequirements.getRequiredJudges(requirements, 1, 'K12')).toBe(3);
+      expect(judgeRequirements.getRequiredJudges(requirements, 2, 'Pro')).toBe(4);
+      expect(judgeRequirements.getRequiredJudges(requirements, 2, null)).toBe(4);
+      // A division rule beats a round rule
+      expect(judgeRequirements.getRequiredJudges({ default: 2, rules: requirements.rules.slice(0, 2) }, 2, 'K12')).toBe(3);
+    });
+
+    test('should fall back to JUDGES_PER_TEAM and then 2 when no default is saved', () => {
+      process.env.JUDGES_PER_TEAM = '3';
+      expect(judgeRequirements.getRequiredJudges(null, 1, 'Pro')).toBe(3);
+
+      delete process.env.JUDGES_PER_TEAM;
+      expect(judgeRequirements.getRequiredJudges(null, 1, 'Pro')).toBe(2);
+    });
+  });
+});
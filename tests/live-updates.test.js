@@ -0,0 +1,182 @@
+const { EventEmitter } = require('events');
+const liveUpdates = require('../services/live-updates');
+
+// A response that records what was written to it
+const createResponse = () => ({
+  headers: null,
+  chunks: [],
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  },
+  write(chunk) {
+    this.chunks.push(chunk);
+    return true;
+  },
+  body() {
+    return this.chunks.join('');
+  }
+});
+
+describe('Live Updates Service', () => {
+  describe('formatEvent', () => {
+    test('should format a named event with JSON data', () => {
+      expect(liveUpdates.formatEvent('leaderboard', { version: 2 }, 2))
+        .toBe('id: 2\nevent: leaderboard\ndata: {"version":2}\n\n');
+      expect(liveUpdates.formatEvent('ready', {})).toBe('event: ready\ndata: {}\n\n');
+    });
+  });
+
+  describe('parseChannels', () => {
+    test('should keep known channels only, once each', () => {
+      expect(liveUpdates.parseChannels('leaderboard,queue,leaderboard')).toEqual(['leaderboard', 'queue']);
+      expect(liveUpdates.parseChannels(' queue , admin')).toEqual(['queue']);
+      expect(liveUpdates.parseChannels(['leaderboard'])).toEqual(['leaderboard']);
+      expect(liveUpdates.parseChannels(undefined)).toEqual([]);
+    });
+  });
+
+  describe('createHub', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const subscribe = (hub, channels) => {
+      const req = new EventEmitter();
+      const res = createResponse();
+      hub.subscribe(req, res, channels);
+      return { req, res };
+    };
+
+    test('should open an event stream with the current versions', () => {
+      const hub = liveUpdates.createHub();
+      hub.publish('leaderboard');
+      const { res } = subscribe(hub, ['leaderboard']);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['Content-Type']).toBe('text/event-stream');
+      expect(res.body()).toContain('event: ready\ndata: {"leaderboard":1}');
+      expect(hub.getClientCount()).toBe(1);
+    });
+
+    test('should send a burst of changes as one event per channel', () => {
+      const hub = liveUpdates.createHub({ broadcastDelayMs: 500 });
+      const { res } = subscribe(hub, ['leaderboard']);
+
+      hub.publish('leaderboard', 'queue');
+      hub.publish('leaderboard');
+      hub.publish('leaderboard');
+      expect(res.body()).not.toContain('event: leaderboard');
+
+      jest.advanceTimersByTime(500);
+      const events = res.body().match(/event: leaderboard/g);
+      expect(events).toHaveLength(1);
+      expect(res.body()).toContain('data: {"version":3}');
+    });
+
+    test('should only send subscribers the channels they asked for', () => {
+      const hub = liveUpdates.createHub({ broadcastDelayMs: 10 });
+      const leaderboard = subscribe(hub, ['leaderboard']);
+      const queue = subscribe(hub, ['queue']);
+
+      hub.publish('queue');
+      jest.advanceTimersByTime(10);
+
+      expect(leaderboard.res.body()).not.toContain('event: queue');
+      expect(queue.res.body()).toContain('event: queue');
+    });
+
+    test('should forget subscribers whose connection closed', () => {
+      const hub = liveUpdates.createHub({ broadcastDelayMs: 10 });
+      const { req, res } = subscribe(hub, ['leaderboard']);
+      req.emit('close');
+
+      hub.publish('leaderboard');
+      jest.advanceTimersByTime(10);
+
+      expect(hub.getClientCount()).toBe(0);
+      expect(res.body()).not.toContain('event: leaderboard');
+    });
+
+    test('should send heartbeats to keep connections open', () => {
+      const hub = liveUpdates.createHub({ heartbeatMs: 1000 });
+      const { res } = subscribe(hub, ['queue']);
+
+      jest.advanceTimersByTime(1000);
+      expect(res.body()).toContain(': ping\n\n');
+    });
+  });
+
+  describe('cached', () => {
+    test('should share one computation until the channel changes', async () => {
+      const hub = liveUpdates.createHub();
+      const compute = jest.fn().mockResolvedValue({ teams: 3 });
+
+      const [first, second] = await Promise.all([
+        hub.cached('leaderboard', 'round-1', compute),
+        hub.cached('leaderboard', 'round-1', compute)
+      ]);
+      expect(first).toEqual({ teams: 3 });
+      expect(second).toBe(first);
+      expect(compute).toHaveBeenCalledTimes(1);
+
+      await hub.cached('leaderboard', 'round-2', compute);
+      expect(compute).toHaveBeenCalledTimes(2);
+
+      hub.publish('leaderboard');
+      await hub.cached('leaderboard', 'round-1', compute);
+      expect(compute).toHaveBeenCalledTimes(3);
+    });
+
+    test('should keep cached values when another channel changes', async () => {
+      const hub = liveUpdates.createHub();
+      const compute = jest.fn().mockResolvedValue('results');
+
+      await hub.cached('leaderboard', 'round-1', compute);
+      hub.publish('queue');
+      await hub.cached('leaderboard', 'round-1', compute);
+      expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    test('should recompute values older than the maximum age', async () => {
+      const hub = liveUpdates.createHub({ cacheMaxAgeMs: 1000 });
+      const compute = jest.fn().mockResolvedValue('results');
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+      await hub.cached('leaderboard', 'round-1', compute);
+      now.mockReturnValue(1000);
+      await hub.cached('leaderboard', 'round-1', compute);
+      expect(compute).toHaveBeenCalledTimes(2);
+      now.mockRestore();
+    });
+
+    test('should drop the oldest values once the cache is full', async () => {
+      const hub = liveUpdates.createHub({ cacheMaxEntries: 2 });
+      const compute = jest.fn().mockResolvedValue('results');
+
+      await hub.cached('leaderboard', 'round-1', compute);
+      await hub.cached('leaderboard', 'round-2', compute);
+      await hub.cached('leaderboard', 'round-3', compute);
+      expect(hub.getCacheSize()).toBe(2);
+
+      await hub.cached('leaderboard', 'round-3', compute);
+      expect(compute).toHaveBeenCalledTimes(3);
+      await hub.cached('leaderboard', 'round-1', compute);
+      expect(compute).toHaveBeenCalledTimes(4);
+    });
+
+    test('should not cache failures', async () => {
+      const hub = liveUpdates.createHub();
+      const compute = jest.fn()
+        .mockRejectedValueOnce(new Error('database busy'))
+        .mockResolvedValue('results');
+
+      await expect(hub.cached('leaderboard', 'round-1', compute)).rejects.toThrow('database busy');
+      await expect(hub.cached('leaderboard', 'round-1', compute)).resolves.toBe('results');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const pairwise = require('../services/pairwise');
+
+describe('Pairwise Service', () => {
+  test('should prefer a round override over the event judging mode', () => {
+    const settings = {
+      judging_mode: 'scores',
+      round_judging_modes: pairwise.parseRoundJudgingModes('{"2":"pairwise","3":"bogus"}')
+    };
+
+    expect(settings.round_judging_modes).toEqual({ 2: 'pairwise' });
+    expect(pairwise.getJudgingMode(settings, '2')).toBe('pairwise');
+    expect(pairwise.getJudgingMode(settings, 1)).toBe('scores');
+    expect(pairwise.getJudgingMode({ judging_mode: 'unknown' }, 1)).toBe('scores');
+  });
+
+  test('should reject unknown judging modes and bad round overrides', () => {
+    expect(pairwise.validateJudgingModes('pairwise', { 1: 'scores', 2: 'pairwise' })).toBeNull();
+    expect(pairwise.validateJudgingModes('ranked')).toBe('Invalid judging mode: ranked');
+    expect(pairwise.validateJudgingModes('scores', { 2: 'bogus' })).toBe('Invalid judging mode for round 2: bogus');
+    expect(pairwise.validateJudgingModes('scores', { 0: 'pairwise' })).toBe('Invalid judging mode for round 0: pairwise');
+  });
+
+  describe('fitBradleyTerry', () => {
+    test('should rank a consistent chain of wins in order', () => {
+      const results = pairwise.fitBradleyTerry([
+        { winner: 'A', loser: 'B' },
+        { winner: 'B', loser: 'C' },
+        { winner: 'A', loser: 'C' }
+      ]);
+
+      expect(results.map(r => r.team_name)).toEqual(['A', 'B', 'C']);
+      expect(results[0]).toMatchObject({ wins: 2, losses: 0, comparisons: 2 });
+      expect(results[2]).toMatchObject({ wins: 0, losses: 2, comparisons: 2 });
+    });
+
+    test('should keep scores finite and between 0 and 100 for unbeaten teams', () => {
+      const results = pairwise.fitBradleyTerry([
+        { winner: 'A', loser: 'B' },
+        { winner: 'A', loser: 'B' },
+        { winner: 'A', loser: 'B' }
+      ]);
+
+      results.forEach(r => {
+        expect(Number.isFinite(r.strength)).toBe(true);
+        expect(r.score).toBeGreaterThan(0);
+        expect(r.score).toBeLessThan(100);
+      });
+      expect(results[0].score + results[1].score).toBeCloseTo(100, 5);
+    });
+
+    test('should credit wins against strong teams more than wins against weak ones', () => {
+      // X beat the strong team S; Y beat the weak team W
+      const results = pairwise.fitBradleyTerry([
+        { winner: 'S', loser: 'W' },
+        { winner: 'S', loser: 'W' },
+        { winner: 'S', loser: 'Z' },
+        { winner: 'X', loser: 'S' },
+        { winner: 'Y', loser: 'W' }
+      ]);
+      const score = name => results.find(r => r.team_name === name).score;
+
+      expect(score('X')).toBeGreaterThan(score('Y'));
+    });
+  });
+});
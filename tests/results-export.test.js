@@ -0,0 +1,160 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const resultsExport = require('../services/results-export');
+
+// Collect what a writer streams out
+const collect = async (write, report) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await write(report, output);
+  return Buffer.concat(chunks);
+};
+
+describe('Results Export Service', () => {
+  const results = {
+    Pro: [
+      { team_name: 'Alpha', table_name: 'A1', total_score: 20.456, judge_count: 2, rounds_completed: 1, rank: 1, tied: false },
+      { team_name: 'Beta', table_name: 'A2', total_score: 18, judge_count: 2, rounds_completed: 1, rank: 2, tied: false }
+    ],
+    K12: [
+      { team_name: 'Gamma', table_name: 'B1', total_score: 8, judge_count: 1, rounds_completed: 1, rank: 1, tied: true }
+    ]
+  };
+  const teams = [
+    { name: 'Alpha', project_name: 'Rocket' },
+    { name: 'Beta', project_name: 'Boat' },
+    { name: 'Gamma', project_name: 'Glider' }
+  ];
+  const categoryLeaders = [
+    { category_name: 'AI', team_name: 'Alpha', project_name: 'Rocket', table_name: 'A1', total_score: 20.456, tied: false }
+  ];
+  const scores = [
+    { judge_email: 'b@x.com', judge_name: 'Bea', team_name: 'Alpha', round: 1, score: 10, notes: 'Great demo' },
+    { judge_email: 'a@x.com', judge_name: 'Al', team_name: 'Alpha', round: 1, score: 10.456, notes: '=HYPERLINK("x")' },
+    { judge_email: 'a@x.com', judge_name: 'Al', team_name: 'Beta', round: 2, score: 9, notes: '' },
+    { judge_email: 'a@x.com', judge_name: 'Al', team_name: 'Delta', round: 1, score: 7, notes: '' }
+  ];
+  const buildReport = (options = {}) => resultsExport.buildResultsReport({
+    eventName: 'Code Camp',
+    round: 1,
+    results,
+    teams,
+    categoryLeaders,
+    scores,
+    generatedAt: new Date(Date.UTC(2026, 2, 7, 20, 0, 0)),
+    ...options
+  });
+
+  describe('buildResultsReport', () => {
+    test('should list ranked teams by division with project names and rounded scores', () => {
+      const report = buildReport();
+
+      expect(report.title).toBe('Code Camp Results');
+      expect(report.subtitle).toBe('Round 1 · All divisions');
+      expect(report.sections.map(section => section.name)).toEqual(['Rankings', 'Category Leaders']);
+      expect(report.sections[0].rows).toEqual([
+        ['K12', 1, 'Yes', 'Gamma', 'Glider', 'B1', 8, 1, 1],
+        ['Pro', 1, '', 'Alpha', 'Rocket', 'A1', 20.46, 2, 1],
+        ['Pro', 2, '', 'Beta', 'Boat', 'A2', 18, 2, 1]
+      ]);
+      expect(report.sections[1].rows).toEqual([['AI', 'Alpha', 'Rocket', 'A1', 20.46, '']]);
+    });
+
+    test('should only include judge scores and notes when asked', () => {
+      const report = buildReport({ includeJudgeScores: true, division: 'Pro' });
+      const judgeScores = report.sections.find(section => section.name === 'Judge Scores');
+
+      expect(report.subtitle).toBe('Round 1 · Pro division');
+      // The round's scores for teams in the report, ordered by rank then judge
+      expect(judgeScores.rows).toEqual([
+        ['Pro', 'Alpha', 'Al', 'a@x.com', 10.46, '=HYPERLINK("x")'],
+        ['Pro', 'Alpha', 'Bea', 'b@x.com', 10, 'Great demo']
+      ]);
+      expect(buildReport().sections.find(section => section.name === 'Judge Scores')).toBeUndefined();
+    });
+  });
+
+  describe('getExportFilename', () => {
+    test('should name files after the round and division', () => {
+      expect(resultsExport.getExportFilename(2, null, 'csv')).toBe('results-round-2.csv');
+      expect(resultsExport.getExportFilename(1, 'K-12 / Juniors', 'pdf')).toBe('results-round-1-k-12-juniors.pdf');
+    });
+  });
+
+  describe('toCsv', () => {
+    test('should quote values with commas, quotes and line breaks', () => {
+      expect(resultsExport.escapeCsvValue('Alpha, Inc')).toBe('"Alpha, Inc"');
+      expect(resultsExport.escapeCsvValue('Say "hi"')).toBe('"Say ""hi"""');
+      expect(resultsExport.escapeCsvValue('two\nlines')).toBe('"two\nlines"');
+      expect(resultsExport.escapeCsvValue(-1.5)).toBe('-1.5');
+      expect(resultsExport.escapeCsvValue(null)).toBe('');
+    });
+
+    test('should stop text from running as a spreadsheet formula', () => {
+      expect(resultsExport.escapeCsvValue('=1+1')).toBe("'=1+1");
+      expect(resultsExport.escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(resultsExport.escapeCsvValue('-2 points')).toBe("'-2 points");
+    });
+
+    test('should write each section with a header row', () => {
+      const csv = resultsExport.toCsv(buildReport({ includeJudgeScores: true }));
+      const lines = csv.replace(/^\uFEFF/, '').split('\r\n');
+
+      expect(csv.startsWith('\uFEFF')).toBe(true);
+      expect(lines.slice(0, 6)).toEqual([
+        'Code Camp Results',
+        'Round 1 · All divisions',
+        '',
+        'Rankings',
+        'Division,Rank,Tied,Team,Project,Table,Score,Judges,Rounds Judged',
+        'K12,1,Yes,Gamma,Glider,B1,8,1,1'
+      ]);
+      expect(lines).toContain('Judge Scores');
+      expect(lines).toContain('Pro,Alpha,Al,a@x.com,10.46,"\'=HYPERLINK(""x"")"');
+    });
+  });
+
+  describe('XLSX', () => {
+    test('should name spreadsheet columns', () => {
+      expect(resultsExport.columnName(0)).toBe('A');
+      expect(resultsExport.columnName(25)).toBe('Z');
+      expect(resultsExport.columnName(26)).toBe('AA');
+    });
+
+    test('should build one worksheet per section with typed cells', () => {
+      const files = resultsExport.buildXlsxFiles(buildReport({ includeJudgeScores: true }));
+      const names = files.map(file => file.name);
+      const workbook = files.find(file => file.name === 'xl/workbook.xml').content;
+      const rankings = files.find(file => file.name === 'xl/worksheets/sheet1.xml').content;
+      const judgeScores = files.find(file => file.name === 'xl/worksheets/sheet3.xml').content;
+
+      expect(names).toEqual(expect.arrayContaining(['[Content_Types].xml', '_rels/.rels', 'xl/styles.xml']));
+      expect(workbook).toContain('<sheet name="Rankings" sheetId="1" r:id="rId1"/>');
+      expect(workbook).toContain('<sheet name="Judge Scores" sheetId="3" r:id="rId3"/>');
+      expect(rankings).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Division</t></is></c>');
+      expect(rankings).toContain('<c r="G3"><v>20.46</v></c>');
+      expect(judgeScores).toContain('=HYPERLINK(&quot;x&quot;)');
+    });
+
+    test('should write a workbook spreadsheet apps can open', async () => {
+      const xlsx = await collect(resultsExport.writeXlsx, buildReport({ includeJudgeScores: true }));
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(xlsx);
+
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Rankings', 'Category Leaders', 'Judge Scores']);
+      const rankings = workbook.getWorksheet('Rankings');
+      expect(rankings.getRow(1).values.slice(1, 4)).toEqual(['Division', 'Rank', 'Tied']);
+      expect(rankings.getCell('D3').value).toBe('Alpha');
+      expect(rankings.getCell('G3').value).toBe(20.46);
+      expect(workbook.getWorksheet('Judge Scores').getColumn(6).values).toContain('=HYPERLINK("x")');
+    });
+  });
+
+  describe('writePdf', () => {
+    test('should write a PDF document', async () => {
+      const pdf = await collect(resultsExport.writePdf, buildReport({ includeJudgeScores: true }));
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
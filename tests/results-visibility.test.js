@@ -0,0 +1,85 @@
+const resultsVisibility = require('../services/results-visibility');
+
+describe('Results Visibility Service', () => {
+  test('should convert the admin\'s local freeze time to UTC, freezing now when no time is given', () => {
+    // getTimezoneOffset() is 300 in UTC-5
+    expect(resultsVisibility.parseFreezeTime('2026-03-07T18:30', 300)).toBe('2026-03-07 23:30:00');
+    expect(resultsVisibility.parseFreezeTime('', 300, new Date(Date.UTC(2026, 2, 7, 20, 0, 0)))).toBe('2026-03-07 20:00:00');
+    expect(resultsVisibility.parseFreezeTime('tomorrow', 0)).toBeNull();
+  });
+
+  test('should only freeze results for participants and the public', () => {
+    const frozen = { public_results: 'frozen', results_frozen_at: '2026-03-07 20:00:00' };
+    expect(resultsVisibility.getResultsCutoff(frozen, 'participant')).toBe('2026-03-07 20:00:00');
+    expect(resultsVisibility.getResultsCutoff(frozen)).toBe('2026-03-07 20:00:00');
+    expect(resultsVisibility.getResultsCutoff(frozen, 'judge')).toBeNull();
+    expect(resultsVisibility.getResultsCutoff({ ...frozen, public_results: 'live' }, 'participant')).toBeNull();
+  });
+
+  describe('getScoresAsOf', () => {
+    const cutoff = '2026-03-07 20:00:00';
+    const score = (judge, team, value, updatedAt) => ({
+      judge_email: judge, team_name: team, round: 1, score: value, updated_at: updatedAt
+    });
+    const change = (id, judge, team, action, newScore, createdAt) => ({
+      id, judge_email: judge, team_name: team, round: 1, action, new_score: newScore, created_at: createdAt
+    });
+
+    test('should keep scores entered before the cutoff and drop later ones', () => {
+      const scores = [
+        score('a@x.com', 'Alpha', 7, '2026-03-07 19:00:00'),
+        score('b@x.com', 'Alpha', 9, '2026-03-07 20:30:00')
+      ];
+      const history = [change(1, 'a@x.com', 'Alpha', 'create', 7, '2026-03-07 19:00:00')];
+
+      expect(resultsVisibility.getScoresAsOf(scores, history, cutoff)).toEqual([scores[0]]);
+    });
+
+    test('should show the last value before the cutoff for scores edited after it', () => {
+      const scores = [score('a@x.com', 'Alpha', 10, '2026-03-07 20:30:00')];
+      const history = [
+        change(1, 'a@x.com', 'Alpha', 'create', 5, '2026-03-07 18:00:00'),
+        change(2, 'a@x.com', 'Alpha', 'edit', 6, '2026-03-07 19:00:00'),
+        change(3, 'a@x.com', 'Alpha', 'edit', 10, '2026-03-07 20:30:00')
+      ];
+
+      expect(resultsVisibility.getScoresAsOf(scores, history, cutoff)).toEqual([
+        { ...scores[0], score: 6 }
+      ]);
+    });
+
+    test('should bring back scores deleted after the cutoff', () => {
+      const history = [
+        change(1, 'a@x.com', 'Alpha', 'create', 5, '2026-03-07 18:00:00'),
+        change(2, 'a@x.com', 'Alpha', 'edit', 6, '2026-03-07 19:00:00'),
+        change(3, 'a@x.com', 'Alpha', 'delete', null, '2026-03-07 20:30:00'),
+        change(4, 'b@x.com', 'Beta', 'create', 4, '2026-03-07 20:40:00'),
+        change(5, 'b@x.com', 'Beta', 'delete', null, '2026-03-07 20:50:00')
+      ];
+      const teams = [{ name: 'Alpha', table_name: 'A1', division: 'Pro' }];
+
+      expect(resultsVisibility.getScoresAsOf([], history, cutoff, teams)).toEqual([{
+        judge_email: 'a@x.com',
+        team_name: 'Alpha',
+        table_name: 'A1',
+        division: 'Pro',
+        round: 1,
+        score: 6,
+        notes: '',
+        created_at: '2026-03-07 19:00:00',
+        updated_at: '2026-03-07 19:00:00'
+      }]);
+    });
+
+    test('should leave out scores deleted before the cutoff and entered again after it', () => {
+      const scores = [score('a@x.com', 'Alpha', 8, '2026-03-07 20:30:00')];
+      const history = [
+        change(1, 'a@x.com', 'Alpha', 'create', 5, '2026-03-07 18:00:00'),
+        change(2, 'a@x.com', 'Alpha', 'delete', null, '2026-03-07 19:00:00'),
+        change(3, 'a@x.com', 'Alpha', 'create', 8, '2026-03-07 20:30:00')
+      ];
+
+      expect(resultsVisibility.getScoresAsOf(scores, history, cutoff)).toEqual([]);
+    });
+  });
+});
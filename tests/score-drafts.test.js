@@ -0,0 +1,25 @@
+const scoreDrafts = require('../services/score-drafts');
+
+describe('Score Drafts Service', () => {
+  const criteria = [{ id: 1 }, { id: 2 }];
+
+  test('should keep the fields as typed, capping very long ones', () => {
+    expect(scoreDrafts.parseDraftFields(criteria, { criterion_1: '7.', notes: 'Good demo', score: '99', criterion_9: '3' }))
+      .toEqual({ score: '', notes: 'Good demo', criteria: { 1: '7.', 2: '' } });
+    expect(scoreDrafts.parseDraftFields([], { score: '8', notes: 'x'.repeat(20000) }).notes).toHaveLength(10000);
+  });
+
+  test('should ignore broken stored drafts', () => {
+    expect(scoreDrafts.parseStoredDraft('{"score":"","notes":"Hi","criteria":{"1":"4"}}'))
+      .toEqual({ score: '', notes: 'Hi', criteria: { 1: '4' } });
+    expect(scoreDrafts.parseStoredDraft('not json')).toBeNull();
+    expect(scoreDrafts.parseStoredDraft('[1,2]')).toBeNull();
+  });
+
+  test('should prefer the draft over the saved score when filling the form', () => {
+    expect(scoreDrafts.getFormValues({ score: '6', notes: 'Draft', criteria: {} }, { score: 9, notes: 'Saved' }))
+      .toEqual({ score: '6', notes: 'Draft', criteria: {} });
+    expect(scoreDrafts.getFormValues(null, { score: 9, notes: null }, { 1: 4 }))
+      .toEqual({ score: 9, notes: '', criteria: { 1: 4 } });
+  });
+});
@@ -0,0 +1,15 @@
+const scoreHistory = require('../services/score-history');
+
+describe('Score History Service', () => {
+  test('should classify score writes, ignoring resubmissions that change nothing', () => {
+    expect(scoreHistory.getScoreChangeAction(null, { score: 8, notes: null })).toBe('create');
+    expect(scoreHistory.getScoreChangeAction({ score: 8, notes: 'ok' }, { score: 8, notes: 'great' })).toBe('edit');
+    expect(scoreHistory.getScoreChangeAction({ score: 8, notes: null }, null)).toBe('delete');
+    expect(scoreHistory.getScoreChangeAction({ score: 8, notes: null }, { score: '8', notes: '' })).toBeNull();
+  });
+
+  test('should return the score delta only when both sides are known', () => {
+    expect(scoreHistory.getScoreDelta({ old_score: 7.5, new_score: 9 })).toBe(1.5);
+    expect(scoreHistory.getScoreDelta({ old_score: null, new_score: 9 })).toBeNull();
+  });
+});
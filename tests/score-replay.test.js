@@ -0,0 +1,35 @@
+const scoreReplay = require('../services/score-replay');
+
+describe('Score Replay Service', () => {
+  const judgeEmail = 'judge@test.com';
+
+  test('should accept UUID submission ids only', () => {
+    expect(scoreReplay.isValidSubmissionId('3b241101-e2bb-4255-8caf-4136c566a962')).toBe(true);
+    expect(scoreReplay.isValidSubmissionId('3B241101-E2BB-4255-8CAF-4136C566A962')).toBe(true);
+    expect(scoreReplay.isValidSubmissionId('my-submission-01')).toBe(false);
+    expect(scoreReplay.isValidSubmissionId('3b241101e2bb42558caf4136c566a962')).toBe(false);
+    expect(scoreReplay.isValidSubmissionId('3b241101-e2bb-4255-8caf-4136c566a96g')).toBe(false);
+    expect(scoreReplay.isValidSubmissionId(undefined)).toBe(false);
+  });
+
+  test('should treat a replay of a saved submission as a duplicate, even after a lock', () => {
+    const previousSubmission = { judge_email: judgeEmail };
+    expect(scoreReplay.checkSubmission({ judgeEmail })).toBeNull();
+    expect(scoreReplay.checkSubmission({ previousSubmission, judgeEmail, judgingLocked: true, roundLocked: true }))
+      .toEqual({ status: 'duplicate' });
+    expect(scoreReplay.checkSubmission({ previousSubmission: { judge_email: 'other@test.com' }, judgeEmail }))
+      .toEqual({ status: 'rejected', reason: 'invalid_submission' });
+  });
+
+  test('should reject a replay entered by another judge on the same device', () => {
+    expect(scoreReplay.checkSubmission({ judgeEmail, enteredBy: 'other@test.com' }))
+      .toEqual({ status: 'rejected', reason: 'other_judge' });
+    expect(scoreReplay.checkSubmission({ judgeEmail, enteredBy: judgeEmail })).toBeNull();
+  });
+
+  test('should reject new submissions once the round is locked', () => {
+    expect(scoreReplay.checkSubmission({ judgeEmail, roundLocked: true }))
+      .toEqual({ status: 'rejected', reason: 'round_locked' });
+    expect(scoreReplay.getRejectionMessage('round_locked', 2)).toMatch(/Round 2 has been locked/);
+  });
+});
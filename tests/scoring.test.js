@@ -0,0 +1,174 @@
+const scoring = require('../services/scoring');
+
+describe('Scoring Service', () => {
+  const criteria = [
+    { id: 1, name: 'Innovation', weight: 2, min_score: 0, max_score: 10 },
+    { id: 2, name: 'Technical Difficulty', weight: 1.5, min_score: 0, max_score: 10 },
+    { id: 3, name: 'Presentation', weight: 1, min_score: 1, max_score: 5 }
+  ];
+
+  describe('parseCriterionScores', () => {
+    test('should parse a score for every criterion', () => {
+      const result = scoring.parseCriterionScores(criteria, {
+        criterion_1: '8',
+        criterion_2: '6.5',
+        criterion_3: '4'
+      });
+
+      expect(result.error).toBeNull();
+      expect(result.scores).toEqual([
+        { criterion_id: 1, score: 8 },
+        { criterion_id: 2, score: 6.5 },
+        { criterion_id: 3, score: 4 }
+      ]);
+    });
+
+    test('should reject missing, non-numeric and out of range scores', () => {
+      expect(scoring.parseCriterionScores(criteria, { criterion_1: '8', criterion_3: '4' }))
+        .toEqual({ scores: [], error: expect.stringContaining('Technical Difficulty') });
+      expect(scoring.parseCriterionScores(criteria, { criterion_1: 'abc', criterion_2: '5', criterion_3: '4' }).error)
+        .toContain('Innovation');
+      expect(scoring.parseCriterionScores(criteria, { criterion_1: '8', criterion_2: '5', criterion_3: '6' }).error)
+        .toContain('between 1 and 5');
+    });
+  });
+
+  describe('weighted totals', () => {
+    test('should sum score multiplied by weight, ignoring unknown criteria', () => {
+      const total = scoring.calculateWeightedScore(criteria, [
+        { criterion_id: 1, score: 8 },
+        { criterion_id: 2, score: 6 },
+        { criterion_id: 3, score: 4 },
+        { criterion_id: 99, score: 10 }
+      ]);
+
+      expect(total).toBeCloseTo(8 * 2 + 6 * 1.5 + 4 * 1);
+      expect(scoring.calculateWeightedScore(null, null)).toBe(0);
+    });
+
+    test('should return the highest possible weighted total', () => {
+      expect(scoring.getMaxWeightedScore(criteria)).toBe(10 * 2 + 10 * 1.5 + 5 * 1);
+      expect(scoring.getMaxWeightedScore([])).toBe(0);
+    });
+  });
+
+  describe('normalizeScores', () => {
+    const rows = [
+      { judge_email: 'harsh@test.com', team_name: 'Alpha', round: 1, score: 2 },
+      { judge_email: 'harsh@test.com', team_name: 'Beta', round: 1, score: 4 },
+      { judge_email: 'harsh@test.com', team_name: 'Gamma', round: 1, score: 6 },
+      { judge_email: 'easy@test.com', team_name: 'Alpha', round: 1, score: 8 },
+      { judge_email: 'easy@test.com', team_name: 'Beta', round: 1, score: 9 },
+      { judge_email: 'easy@test.com', team_name: 'Gamma', round: 1, score: 10 }
+    ];
+
+    const scoreFor = (result, judge, team) => {
+      return result.find(r => r.judge_email === judge && r.team_name === team).score;
+    };
+
+    test('should leave scores unchanged in raw mode', () => {
+      const result = scoring.normalizeScores(rows, 'raw');
+      expect(result.map(r => r.score)).toEqual([2, 4, 6, 8, 9, 10]);
+      expect(result[0].raw_score).toBe(2);
+    });
+
+    test('should fall back to raw for an unknown mode', () => {
+      const result = scoring.normalizeScores(rows, 'bogus');
+      expect(result.map(r => r.score)).toEqual([2, 4, 6, 8, 9, 10]);
+    });
+
+    test('should standardize each judge with z-scores', () => {
+      const result = scoring.normalizeScores(rows, 'zscore');
+
+      // Harsh and lenient judges produce the same spread after normalization
+      expect(scoreFor(result, 'harsh@test.com', 'Beta')).toBeCloseTo(0);
+      expect(scoreFor(result, 'easy@test.com', 'Beta')).toBeCloseTo(0);
+      expect(scoreFor(result, 'harsh@test.com', 'Gamma')).toBeCloseTo(Math.sqrt(1.5));
+      expect(scoreFor(result, 'easy@test.com', 'Gamma')).toBeCloseTo(Math.sqrt(1.5));
+      expect(scoreFor(result, 'harsh@test.com', 'Alpha')).toBeCloseTo(-Math.sqrt(1.5));
+      expect(result.find(r => r.team_name === 'Gamma').raw_score).toBe(6);
+    });
+
+    test('should give 0 when a judge scored every team the same', () => {
+      const result = scoring.normalizeScores([
+        { judge_email: 'flat@test.com', team_name: 'Alpha', round: 1, score: 7 },
+        { judge_email: 'flat@test.com', team_name: 'Beta', round: 1, score: 7 }
+      ], 'zscore');
+
+      expect(result.map(r => r.score)).toEqual([0, 0]);
+    });
+
+    test('should convert scores to rank percentiles per judge', () => {
+      const result = scoring.normalizeScores(rows, 'rank');
+
+      expect(scoreFor(result, 'harsh@test.com', 'Alpha')).toBe(0);
+      expect(scoreFor(result, 'harsh@test.com', 'Beta')).toBe(0.5);
+      expect(scoreFor(result, 'easy@test.com', 'Gamma')).toBe(1);
+    });
+
+    test('should count ties as half in rank mode', () => {
+      const result = scoring.normalizeScores([
+        { judge_email: 'j@test.com', team_name: 'Alpha', round: 1, score: 5 },
+        { judge_email: 'j@test.com', team_name: 'Beta', round: 1, score: 5 },
+        { judge_email: 'j@test.com', team_name: 'Gamma', round: 1, score: 9 }
+      ], 'rank');
+
+      expect(result.map(r => r.score)).toEqual([0.25, 0.25, 1]);
+    });
+
+    test('should normalize each round separately', () => {
+      const result = scoring.normalizeScores([
+        { judge_email: 'j@test.com', team_name: 'Alpha', round: 1, score: 3 },
+        { judge_email: 'j@test.com', team_name: 'Alpha', round: 2, score: 9 }
+      ], 'rank');
+
+      // A single score in a round has nothing to be compared against
+      expect(result.map(r => r.score)).toEqual([0.5, 0.5]);
+    });
+  });
+
+  describe('aggregateScores', () => {
+    const rows = [
+      { round: 1, score: 2 },
+      { round: 1, score: 6 },
+      { round: 1, score: 7 },
+      { round: 2, score: 9 }
+    ];
+
+    test('should sum scores by default', () => {
+      expect(scoring.aggregateScores(rows)).toBe(24);
+      expect(scoring.aggregateScores([])).toBe(0);
+    });
+
+    test('should average, trim and take the median', () => {
+      expect(scoring.aggregateScores(rows, 'mean')).toBe(6);
+      expect(scoring.aggregateScores(rows, 'trimmed_mean')).toBe(6.5);
+      expect(scoring.aggregateScores(rows, 'median')).toBe(6.5);
+    });
+
+    test('should only trim once a team has at least 3 scores', () => {
+      expect(scoring.aggregateScores(rows.slice(0, 2), 'trimmed_mean')).toBe(4);
+    });
+
+    test('should weight each round mean', () => {
+      expect(scoring.aggregateScores(rows, 'weighted_rounds')).toBe(7);
+      expect(scoring.aggregateScores(rows, 'weighted_rounds', { 2: 3 })).toBe(8);
+      expect(scoring.aggregateScores(rows, 'weighted_rounds', { 1: 0 })).toBe(9);
+      expect(scoring.aggregateScores(rows, 'weighted_rounds', { 1: 0, 2: 0 })).toBe(0);
+    });
+  });
+
+  describe('round weights', () => {
+    test('should parse stored weights and drop unusable entries', () => {
+      expect(scoring.parseRoundWeights('{"1":2,"2":"0.5","0":1,"3":-1,"x":1}')).toEqual({ 1: 2, 2: 0.5 });
+      expect(scoring.parseRoundWeights('not json')).toEqual({});
+    });
+
+    test('should reject out of range weights and invalid rounds', () => {
+      expect(scoring.validateRoundWeights({ 1: 2, 2: 0 })).toBeNull();
+      expect(scoring.validateRoundWeights({ 1: 101 })).toMatch(/between 0 and 100/);
+      expect(scoring.validateRoundWeights({ 1: NaN })).toMatch(/between 0 and 100/);
+      expect(scoring.validateRoundWeights({ 0: 1 })).toMatch(/whole numbers/);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const tiebreakers = require('../services/tiebreakers');
+
+describe('Tiebreakers Service', () => {
+  const teams = [
+    { team_name: 'Delta', total_score: 20, judge_count: 2, latest_round_score: 9 },
+    { team_name: 'Alpha', total_score: 30, judge_count: 2, latest_round_score: 10 },
+    { team_name: 'Beta', total_score: 20, judge_count: 3, latest_round_score: 8 },
+    { team_name: 'Gamma', total_score: 10, judge_count: 1, latest_round_score: 10 }
+  ];
+  const summarize = (ranked) => ranked.map(team => `${team.rank}:${team.team_name}${team.tied ? '=' : ''}`);
+
+  describe('rankTeams', () => {
+    test('should share ranks between tied teams and skip the ranks they use', () => {
+      expect(summarize(tiebreakers.rankTeams(teams))).toEqual(['1:Alpha', '2:Beta=', '2:Delta=', '4:Gamma']);
+    });
+
+    test('should apply tiebreakers in order', () => {
+      expect(summarize(tiebreakers.rankTeams(teams, { tiebreakers: ['judge_count'] })))
+        .toEqual(['1:Alpha', '2:Beta', '3:Delta', '4:Gamma']);
+      expect(summarize(tiebreakers.rankTeams(teams, { tiebreakers: ['latest_round', 'judge_count'] })))
+        .toEqual(['1:Alpha', '2:Delta', '3:Beta', '4:Gamma']);
+    });
+
+    test('should break ties on a rubric criterion average or the head judge decision', () => {
+      const data = { criterionAverages: { Delta: { 7: 4.5 }, Beta: { 7: 3 } }, headJudgeOrder: { Delta: 1 } };
+      expect(summarize(tiebreakers.rankTeams(teams, { tiebreakers: ['criterion:7'], data })))
+        .toEqual(['1:Alpha', '2:Delta', '3:Beta', '4:Gamma']);
+      expect(summarize(tiebreakers.rankTeams(teams, { tiebreakers: ['head_judge'], data })))
+        .toEqual(['1:Alpha', '2:Delta', '3:Beta', '4:Gamma']);
+    });
+
+    test('should treat scores within floating point error as equal', () => {
+      const ranked = tiebreakers.rankTeams([
+        { team_name: 'A', total_score: 0.1 + 0.2 },
+        { team_name: 'B', total_score: 0.3 }
+      ]);
+      expect(summarize(ranked)).toEqual(['1:A=', '1:B=']);
+    });
+  });
+
+  describe('getTieGroups', () => {
+    test('should group teams that still share a rank', () => {
+      const groups = tiebreakers.getTieGroups(tiebreakers.rankTeams(teams));
+      expect(groups).toHaveLength(1);
+      expect(groups[0].rank).toBe(2);
+      expect(groups[0].teams.map(team => team.team_name)).toEqual(['Beta', 'Delta']);
+    });
+  });
+
+  test('should parse and validate the configured tiebreakers', () => {
+    expect(tiebreakers.parseTiebreakers('["judge_count","bogus","criterion:2","judge_count"]'))
+      .toEqual(['judge_count', 'criterion:2']);
+    expect(tiebreakers.validateTiebreakers(['criterion:2', 'head_judge'], [{ id: 2 }])).toBeNull();
+    expect(tiebreakers.validateTiebreakers(['criterion:9'], [{ id: 2 }])).toMatch(/no longer exists/);
+    expect(tiebreakers.parseHeadJudgeOrder('{"Alpha":1,"Beta":"2","Gamma":0}')).toEqual({ Alpha: 1, Beta: 2 });
+  });
+});
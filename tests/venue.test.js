@@ -0,0 +1,47 @@
+const venue = require('../services/venue');
+
+describe('Venue Service', () => {
+  test('should parse grid positions from table names', () => {
+    expect(venue.parseGridPosition('A1')).toEqual({ x: 0, y: 0 });
+    expect(venue.parseGridPosition(' c10 ')).toEqual({ x: 9, y: 2 });
+    expect(venue.parseGridPosition('Main Stage')).toBeNull();
+    expect(venue.parseGridPosition('AA1')).toBeNull();
+    expect(venue.parseGridPosition(null)).toBeNull();
+  });
+
+  test('should prefer admin-supplied coordinates over the grid name', () => {
+    expect(venue.getTablePosition({ name: 'A1', x: 12.5, y: 4 })).toEqual({ x: 12.5, y: 4 });
+    expect(venue.getTablePosition({ name: 'B2', x: 5, y: null })).toEqual({ x: 1, y: 1 });
+    expect(venue.getTablePosition({ name: 'Lobby', x: null, y: null })).toBeNull();
+  });
+
+  test('should use walking (Manhattan) distance between tables', () => {
+    const positions = venue.buildPositionMap([
+      { name: 'A1', x: null, y: null },
+      { name: 'Lobby', x: 0, y: 10 },
+      { name: 'Stage', x: null, y: null }
+    ]);
+
+    expect(venue.getTableDistance(positions, 'A1', 'C4')).toBe(5);
+    expect(venue.getTableDistance(positions, 'A1', 'Lobby')).toBe(10);
+    expect(venue.getTableDistance(positions, 'A1', 'Stage')).toBeNull();
+  });
+
+  describe('measureWalking', () => {
+    test('should compare the walk against the expected distance of a random visiting order', () => {
+      // Pairwise distances: A1-A2 1, A1-A3 2, A2-A3 1 => mean 4/3 per move, 2 moves
+      const result = venue.measureWalking({}, ['A1', 'A2', 'A3']);
+
+      expect(result.legs).toBe(2);
+      expect(result.walked).toBe(2);
+      expect(result.baseline).toBeCloseTo(8 / 3);
+      expect(result.saved).toBeCloseTo(8 / 3 - 2);
+      expect(venue.measureWalking({}, ['A1', 'A3', 'A2']).saved).toBeLessThan(0);
+    });
+
+    test('should ignore tables without a position and handle empty sequences', () => {
+      expect(venue.measureWalking({}, ['A1', 'Stage', 'A2']).walked).toBe(1);
+      expect(venue.measureWalking({}, [])).toEqual({ legs: 0, walked: 0, baseline: 0, saved: 0 });
+    });
+  });
+});